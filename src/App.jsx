@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useRef, useState, Fragment } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState, Fragment } from "react";
 import {
   api,
   clearApiUrl,
@@ -8,101 +8,368 @@ import {
   setApiUrl,
   setToken,
   onUnauthorized,
+  isTransientError,
+  isAbortError,
+  cancelRequests,
+  cancelAllRequests,
+  createProfile,
+  deleteProfile,
+  getActiveProfile,
+  getActiveProfileId,
+  listProfiles,
+  renameActiveProfile,
+  setActiveProfile,
+  refreshSession,
+  LOCAL_API_URL,
+  isLocalApiUrl,
+  subscribeLive,
 } from "./api";
+import {
+  discardOutboxItem,
+  discardProfileOutbox,
+  enqueueRecord,
+  flushOutbox,
+  listOutbox,
+  newClientId,
+  onOutboxChange,
+  retryOutboxItem,
+} from "./outbox";
+import { applyUpdate, onUpdateAvailable } from "./pwa";
+import {
+  HOME_ROUTE,
+  currentRoute,
+  formatRoute,
+  navigate,
+  onRouteChange,
+  parseRoute,
+  routePath,
+  routeUrl,
+  screenRoute,
+} from "./router";
+import VirtualList from "./VirtualList";
+import {
+  WHEN_NOW,
+  formatLocalFromUtcIso,
+  formatLocalShort,
+  fromLocalInputValue,
+  localDayKey,
+  localDayLabel,
+  resolveWhen,
+  toLocalInputValue,
+  tsMs,
+} from "./dates";
+import { EXPORT_FORMATS, exportRecords } from "./exportRecords";
+import ImportPanel from "./ImportPanel";
+import ReauthDialog from "./ReauthDialog";
+import ToastStack from "./Toasts";
+import CommandPalette from "./CommandPalette";
+import TagCloud from "./TagCloud";
+import CalendarView from "./CalendarView";
+import StatsView from "./StatsView";
+import TemplatePromptDialog from "./TemplatePromptDialog";
+import WhenPicker from "./WhenPicker";
+import BulkReplaceDialog from "./BulkReplaceDialog";
+import RevisionHistory from "./RevisionHistory";
+import { journalRevision, moveRevisions } from "./revisions";
+import { describeFailures, runBatched } from "./bulkRecords";
+import {
+  PINNED_SECTION,
+  addFolder,
+  arrangeShortcuts,
+  emptyLayout,
+  loadShortcutLayout,
+  moveShortcut,
+  removeFolder,
+  renameFolder,
+  replaceShortcutId,
+  saveShortcutLayout,
+  setFolder,
+  shiftShortcut,
+  togglePinned,
+} from "./shortcutLayout";
+import {
+  bumpCounter,
+  hasPlaceholders,
+  parseTemplate,
+  peekCounter,
+  renderTemplate,
+  templatePrompts,
+  validateTemplate,
+} from "./templates";
+import { countTags, describeTagFilter, extractTags, matchesTags, splitTags } from "./tags";
+import { findHighlightRanges, parseSearchQuery, SearchQueryError } from "./searchQuery";
+import { LOCALES, getLocale, getLocalePreference, onLocaleChange, setLocalePreference, t } from "./i18n";
+
+const RECORDS_PAGE_SIZE = 200;
+// con un filtro activo, resultados que se consideran "pantalla llena"
+const FILTER_FILL_RESULTS = 30;
+// ... y páginas que se piden solas por consulta; después, el usuario decide si seguir
+const FILTER_AUTO_PAGES = 4;
+
+// claves de los catálogos (ver i18n.js)
+const LIVE_STATUS_LABELS = {
+  connecting: "live.connecting",
+  sse: "live.on",
+  ws: "live.on",
+  polling: "live.polling",
+  offline: "live.offline",
+};
+const LIVE_STATUS_TITLES = {
+  connecting: "live.connecting.title",
+  sse: "live.sse.title",
+  ws: "live.ws.title",
+  polling: "live.polling.title",
+  offline: "live.offline.title",
+};
+const SCREEN_TITLES = {
+  records: "screen.records",
+  calendar: "screen.calendar",
+  stats: "screen.stats",
+  shortcuts: "screen.shortcuts",
+  record: "screen.record",
+};
+// tiempo para pulsar "Deshacer" tras borrar o editar
+const UNDO_TOAST_MS = 7000;
+// mantener pulsado un registro (táctil) para empezar a seleccionar
+const LONG_PRESS_MS = 500;
 
 function isMobileLike() {
   return window.matchMedia?.("(pointer: coarse)").matches ?? false;
 }
 
-function weekdayLetter(d) {
-  // ES: D L M X J V S (domingo..sábado)
-  const map = ["D", "L", "M", "X", "J", "V", "S"];
-  return map[d.getDay()] || "?";
+// trozo [offset, offset + raw.length) del texto con los tramos de `ranges` marcados
+function markRanges(raw, offset, ranges, keyPrefix) {
+  const out = [];
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    const from = Math.max(start - offset, pos);
+    const to = Math.min(end - offset, raw.length);
+    if (to <= from) continue;
+    if (from > pos) out.push(raw.slice(pos, from));
+    out.push(
+      <mark key={`${keyPrefix}m-${from}`} className="hl">
+        {raw.slice(from, to)}
+      </mark>
+    );
+    pos = to;
+  }
+  if (pos < raw.length) out.push(raw.slice(pos));
+  return out;
+}
+
+/** Texto con lo buscado resaltado (`highlights`: RegExp globales) y los #tags marcados. */
+function HighlightText({ text, highlights }) {
+  const raw = String(text ?? "");
+  const ranges = findHighlightRanges(raw, highlights);
+  const segments = splitTags(raw);
+  if (!ranges.length && !segments.some((seg) => seg.tag)) return raw;
+
+  return (
+    <>
+      {segments.map((seg, i) => {
+        const marked = markRanges(seg.text, seg.start, ranges, `${i}-`);
+        return seg.tag ? (
+          <span key={`t-${i}`} className="tagInline">
+            {marked}
+          </span>
+        ) : (
+          <Fragment key={`s-${i}`}>{marked}</Fragment>
+        );
+      })}
+    </>
+  );
+}
+
+/** Chips con los #tags del texto; pulsarlos filtra por ese tag (si hay `onToggle`). */
+function TagChips({ text, selected = [], onToggle }) {
+  const tags = extractTags(text);
+  if (!tags.length) return null;
+  return (
+    <div className="tagChips">
+      {tags.map((tag) =>
+        onToggle ? (
+          <button
+            key={tag}
+            type="button"
+            className={`tagChip ${selected.includes(tag) ? "tagChipActive" : ""}`}
+            onClick={() => onToggle(tag)}
+          >
+            #{tag}
+          </button>
+        ) : (
+          <span key={tag} className="tagChip">
+            #{tag}
+          </span>
+        )
+      )}
+    </div>
+  );
 }
 
-function formatLocalFromUtcIso(utcIso) {
-  // Desktop: W YYYY-MM-DD HH:mm:ss
-  if (!utcIso) return "";
-  const d = new Date(utcIso);
-  if (Number.isNaN(d.getTime())) return String(utcIso);
-
-  const W = weekdayLetter(d);
-  const YYYY = String(d.getFullYear());
-  const MM = String(d.getMonth() + 1).padStart(2, "0");
-  const DD = String(d.getDate()).padStart(2, "0");
-  const hh = String(d.getHours()).padStart(2, "0");
-  const mi = String(d.getMinutes()).padStart(2, "0");
-  const ss = String(d.getSeconds()).padStart(2, "0");
-
-  return `${W} ${YYYY}-${MM}-${DD} ${hh}:${mi}:${ss}`;
+// ¿la tecla va a un campo de texto? (entonces no es un atajo)
+function isTypingTarget(el) {
+  if (!el || !(el instanceof HTMLElement)) return false;
+  return el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName);
 }
 
-function formatLocalShort(utcIso) {
-  // Móvil: W MM-DD HH:mm:ss
-  // y si no es el año actual: W YY-MM-DD HH:mm:ss (año a la izquierda, 2 dígitos)
-  if (!utcIso) return "";
-  const d = new Date(utcIso);
-  if (Number.isNaN(d.getTime())) return String(utcIso);
+/** Debajo del editor de un acceso directo: cómo quedaría la plantilla, o su error. */
+function TemplatePreview({ text }) {
+  if (!hasPlaceholders(text)) return null;
+  const error = validateTemplate(text);
+  if (error) return <div className="searchError">{error}</div>;
+  return (
+    <div className="templatePreview">
+      <small className="muted">{t("template.preview")}</small> {renderTemplate(parseTemplate(text))}
+    </div>
+  );
+}
 
-  const now = new Date();
-  const showYear = d.getFullYear() !== now.getFullYear();
+/** Mensaje de un error de login según su tipo (ApiError.kind). */
+function describeLoginError(e) {
+  if (e?.kind === "network") return t("login.error.network");
+  if (e?.kind === "timeout") return t("login.error.timeout");
+  if (e?.kind === "rateLimit" && e.retryAfterMs) {
+    return t("login.error.rateLimit", { seconds: Math.ceil(e.retryAfterMs / 1000) });
+  }
+  if (e?.kind === "server") return t("login.error.server", { message: e.message });
+  return e?.message || t("common.error");
+}
 
-  const W = weekdayLetter(d);
-  const YY = String(d.getFullYear() % 100).padStart(2, "0");
-  const MM = String(d.getMonth() + 1).padStart(2, "0");
-  const DD = String(d.getDate()).padStart(2, "0");
+function FieldError({ message }) {
+  return message ? <small className="fieldError">{message}</small> : null;
+}
 
-  const hh = String(d.getHours()).padStart(2, "0");
-  const mi = String(d.getMinutes()).padStart(2, "0");
-  const ss = String(d.getSeconds()).padStart(2, "0");
+function OutboxBadge({ item }) {
+  if (!item) return null;
+  if (item.status === "failed") {
+    return (
+      <span className="badge badgeFailed" title={item.lastError || t("common.error")}>
+        {t("outbox.badge.failed")}
+      </span>
+    );
+  }
+  return (
+    <span className="badge badgePending" title={item.lastError || t("outbox.badge.pending.title")}>
+      {t("outbox.badge.pending")}
+    </span>
+  );
+}
 
-  const datePart = showYear ? `${YY}-${MM}-${DD}` : `${MM}-${DD}`;
-  return `${W} ${datePart} ${hh}:${mi}:${ss}`;
+function UpdateBanner({ onDismiss }) {
+  return (
+    <div className="updateBanner" role="status">
+      <span>{t("update.available")}</span>
+      <div style={{ display: "flex", gap: 8 }}>
+        <button className="btn btnPrimary" onClick={applyUpdate}>
+          {t("common.reload")}
+        </button>
+        <button className="btn" onClick={onDismiss}>
+          {t("update.later")}
+        </button>
+      </div>
+    </div>
+  );
 }
 
-function localDayKey(utcIso) {
-  const d = new Date(utcIso);
-  if (Number.isNaN(d.getTime())) return "invalid";
-  const YYYY = String(d.getFullYear());
-  const MM = String(d.getMonth() + 1).padStart(2, "0");
-  const DD = String(d.getDate()).padStart(2, "0");
-  return `${YYYY}-${MM}-${DD}`;
+const BUSY_LABELS = {
+  creating: "busy.creating",
+  saving: "busy.saving",
+  deleting: "busy.deleting",
+};
+
+function BusyBadge({ op }) {
+  if (!op) return null;
+  return <span className="badge badgeBusy">{BUSY_LABELS[op] ? t(BUSY_LABELS[op]) : op}</span>;
 }
 
-function localDayLabel(utcIso) {
-  const d = new Date(utcIso);
-  if (Number.isNaN(d.getTime())) return "Fecha inválida";
-  const W = weekdayLetter(d);
-  return `${W} ${localDayKey(utcIso)}`;
+// --- Listas (actualizaciones optimistas) ---
+function replaceById(list, id, next) {
+  return list.map((it) => (it.id === id ? next : it));
 }
 
-function escapeRegExp(str) {
-  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+function removeById(list, id) {
+  return list.filter((it) => it.id !== id);
 }
 
-function HighlightText({ text, query }) {
-  const raw = String(text ?? "");
-  const q = String(query ?? "").trim();
-  if (!q) return raw;
+/**
+ * Sustituye el elemento optimista `tempId` por el del servidor; si ese ya llegó
+ * antes por un evento en vivo, solo quita el optimista para no duplicarlo.
+ */
+function settleTemp(list, tempId, item) {
+  return list.some((it) => it.id === item.id) ? removeById(list, tempId) : replaceById(list, tempId, item);
+}
 
-  const re = new RegExp(escapeRegExp(q), "ig");
-  const parts = raw.split(re);
-  const matches = raw.match(re);
+function insertAt(list, index, item) {
+  const i = Math.min(Math.max(0, index), list.length);
+  return [...list.slice(0, i), item, ...list.slice(i)];
+}
 
-  if (!matches) return raw;
+/**
+ * Coloca `item` por fecha en una lista de más reciente a más antiguo. Con `paged`
+ * (quedan páginas anteriores sin cargar) lo más antiguo que lo cargado se queda
+ * fuera: si no, "Cargar anteriores" se saltaría lo que hay en medio.
+ */
+function placeByTime(list, item, paged) {
+  const ms = tsMs(item.tsUtc);
+  if (paged && list.length && ms < tsMs(list[list.length - 1].tsUtc)) return list;
+  const at = list.findIndex((it) => tsMs(it.tsUtc) < ms);
+  return insertAt(list, at < 0 ? list.length : at, item);
+}
 
-  const out = [];
-  for (let i = 0; i < parts.length; i++) {
-    out.push(parts[i]);
-    if (i < matches.length) {
-      out.push(
-        <mark key={`m-${i}`} className="hl">
-          {matches[i]}
-        </mark>
-      );
-    }
+/**
+ * Aplica un cambio en vivo ({ action, id, item }, ver subscribeLive) a una lista.
+ * Con `byTime` (registros) se respeta el orden por fecha y, con `paged`, de lo no
+ * cargado solo entran altas más recientes que lo más antiguo de la lista.
+ */
+function applyLiveChange(list, { action, id, item }, { byTime = false, paged = false } = {}) {
+  const i = list.findIndex((it) => String(it.id) === id);
+  if (action === "deleted") return i < 0 ? list : list.filter((_, j) => j !== i);
+  if (i >= 0) {
+    if (JSON.stringify(list[i]) === JSON.stringify(item)) return list;
+    if (!byTime || list[i].tsUtc === item.tsUtc) return replaceById(list, list[i].id, item);
+    // cambió de fecha: se recoloca
+    return placeByTime(list.filter((_, j) => j !== i), item, paged);
   }
-  return <>{out}</>;
+  // alta hecha aquí mismo cuya respuesta aún no ha llegado: el evento ocupa el sitio del optimista
+  const tempId = item.clientId ? `tmp-${item.clientId}` : "";
+  if (tempId && list.some((it) => it.id === tempId)) return replaceById(list, tempId, item);
+  if (!byTime) return [item, ...list];
+  // una edición de algo no cargado no se añade: aparecerá al cargar su página
+  if (paged && action !== "created") return list;
+  return placeByTime(list, item, paged);
+}
+
+/** Aplica a un item suelto un cambio pensado para una lista; null si el cambio lo quita. */
+function applyToSingle(item, change) {
+  return item ? change([item]).find((it) => it.id === item.id) || null : item;
+}
+
+// --- Paginación de registros ---
+function pageHasMore(resp, page, limit) {
+  // si el servidor no manda cursor, una página llena indica que puede haber más
+  if (resp && "nextCursor" in resp) return Boolean(resp.nextCursor);
+  return page.length >= limit;
+}
+
+/** Sustituye la franja más reciente por `page` y conserva lo más antiguo ya cargado. */
+function mergeNewestPage(prev, page, hasMore) {
+  if (!hasMore) return page;
+  const oldest = tsMs(page[page.length - 1]?.tsUtc);
+  const ids = new Set(page.map((r) => r.id));
+  return [...page, ...prev.filter((r) => !ids.has(r.id) && tsMs(r.tsUtc) < oldest)];
+}
+
+// --- Filas de la lista virtualizada ---
+function rowKey(row) {
+  return row.key;
+}
+
+function estimateCardRowHeight(row) {
+  return row.type === "day" ? 54 : 104;
+}
+
+function estimateTableRowHeight(row) {
+  return row.type === "day" ? 44 : 58;
 }
 
 // --- JWT exp helpers ---
@@ -127,10 +394,14 @@ function getJwtExpMs(token) {
 
 // -------------------- API URL helpers (http/https selector) --------------------
 
+// "esquema" del backend local de demo (sin servidor)
+const LOCAL_SCHEME = "local";
+
 function splitApiUrl(url) {
-  // Devuelve { scheme: "http://" | "https://", rest: "host:port/..." }
+  // Devuelve { scheme: "http://" | "https://" | "local", rest: "host:port/..." }
   const raw = String(url || "").trim();
   if (!raw) return { scheme: "http://", rest: "" };
+  if (isLocalApiUrl(raw)) return { scheme: LOCAL_SCHEME, rest: "" };
 
   const m = raw.match(/^(https?:\/\/)(.+)$/i);
   if (m) return { scheme: m[1].toLowerCase(), rest: m[2] };
@@ -140,6 +411,7 @@ function splitApiUrl(url) {
 }
 
 function joinApiUrl(scheme, rest) {
+  if (scheme === LOCAL_SCHEME) return LOCAL_API_URL;
   const s = String(scheme || "http://").toLowerCase();
   const r = String(rest || "").trim();
   if (!r) return "";
@@ -152,16 +424,37 @@ export default function App() {
   const [token, setTokenState] = useState(getToken());
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({}); // { campo: mensaje } del último envío del login
+  const [demoNotice, setDemoNotice] = useState("");
+
+  // Avisos (toasts): { id, kind: "success" | "error" | "info", message, action?, durationMs? }
+  const [toasts, setToasts] = useState([]);
+
+  // Sesión caducada sin refresco posible => diálogo de re-login (no se pierden borradores)
+  const [reauthMessage, setReauthMessage] = useState("");
 
   const [mobileLike] = useState(() => isMobileLike());
 
-  // Pantallas
-  const [screen, setScreen] = useState("records"); // "records" | "shortcuts"
+  // Versión nueva desplegada (service worker en espera)
+  const [updateAvailable, setUpdateAvailable] = useState(false);
+
+  // Idioma: "" sigue al navegador; al cambiar, todo se vuelve a pintar con el catálogo nuevo
+  const [locale, setLocale] = useState(getLocale);
+  const [localePreference, setLocalePreferenceState] = useState(getLocalePreference);
+
+  // Pantallas: salen de la ruta (#/records, #/records/<id>…, ver router.js)
+  const [route, setRoute] = useState(currentRoute);
+  const screen = route.name === "login" ? "records" : route.name; // "records" | "calendar" | "stats" | "shortcuts" | "record"
 
   // Bottom nav auto-hide
   const [navHidden, setNavHidden] = useState(false);
   const lastScrollYRef = useRef(0);
 
+  // Perfiles (URL + sesión por perfil; datos separados)
+  const [profileId, setProfileId] = useState(() => getActiveProfileId());
+  const [profileName, setProfileName] = useState(() => getActiveProfile().name);
+  const [profiles, setProfiles] = useState(() => listProfiles());
+
   // Login
   const storedApiUrl = getApiUrl() || "";
   const initialSplit = splitApiUrl(storedApiUrl);
@@ -187,29 +480,117 @@ export default function App() {
   const [records, setRecords] = useState([]);
   const [newRecordText, setNewRecordText] = useState("");
   const recordInputRef = useRef(null);
-
-  // búsqueda en registros
-  const [recordQuery, setRecordQuery] = useState("");
+  const searchInputRef = useRef(null);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [selectedRecordId, setSelectedRecordId] = useState(""); // navegación con j/k
+  const hotkeyHandlerRef = useRef(null);
+
+  // selección múltiple y acciones en bloque
+  const [selecting, setSelecting] = useState(false);
+  const [bulkIds, setBulkIds] = useState(() => new Set());
+  const [bulkTask, setBulkTask] = useState(null); // { label, done, total } mientras corre
+  const [bulkReplaceOpen, setBulkReplaceOpen] = useState(false);
+  const bulkAnchorRef = useRef(""); // último marcado, para Shift+clic
+  const bulkStopRef = useRef(false);
+  const longPressRef = useRef(null);
+
+  // Outbox: registros creados sin conexión pendientes de enviar
+  const [outboxItems, setOutboxItems] = useState([]);
+
+  // cambios hechos en otros dispositivos (ver subscribeLive)
+  const [liveStatus, setLiveStatus] = useState("");
+
+  // paginación (de más reciente a más antiguo)
+  const [recordsCursor, setRecordsCursor] = useState("");
+  const [hasMoreRecords, setHasMoreRecords] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadingMoreRef = useRef(false);
+  // páginas anteriores pedidas solas para la consulta actual: { key, count }
+  const [autoPages, setAutoPages] = useState({ key: "", count: 0 });
+  // los cambios en vivo se suscriben una vez por sesión: leen esto en vez del estado
+  const hasMoreRecordsRef = useRef(false);
+
+  // búsqueda en registros (la consulta y el día van en la ruta: ?q= y ?day=)
+  const recordQuery = route.q || "";
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMode, setTagMode] = useState("or"); // "or" | "and"
+  const dayFilter = route.day || ""; // "YYYY-MM-DD" abierto desde el calendario
+
+  // enlace directo a un registro que no se pudo cargar: { id, message }
+  const [linkError, setLinkError] = useState(null);
+  // registro abierto por enlace que no está entre los cargados. No entra en `records`:
+  // pasaría a ser "el más antiguo" y "Cargar anteriores" se saltaría lo de en medio
+  const [linkedRecord, setLinkedRecord] = useState(null);
+
+  // exportación
+  const [exportFormat, setExportFormat] = useState("csv"); // "csv" | "json" | "md"
+  const [exportOnlyFiltered, setExportOnlyFiltered] = useState(true);
+  const [importOpen, setImportOpen] = useState(false);
 
   // Shortcuts
   const [shortcuts, setShortcuts] = useState([]);
   const [newShortcutText, setNewShortcutText] = useState("");
+  const [templatePrompt, setTemplatePrompt] = useState(null); // { shortcut, parts, counter, tsUtc }
+  const [shortcutLayout, setShortcutLayout] = useState(emptyLayout);
+  const [arrangingShortcuts, setArrangingShortcuts] = useState(false);
+  const [draggingShortcutId, setDraggingShortcutId] = useState("");
+  const [newFolderName, setNewFolderName] = useState("");
   const shortcutInputRef = useRef(null);
 
   // edición in-place
   const [editingType, setEditingType] = useState(""); // "record" | "shortcut" | ""
   const [editingId, setEditingId] = useState("");
   const [editingText, setEditingText] = useState("");
+  const [editingTs, setEditingTs] = useState(""); // valor de <input type="datetime-local"> (solo registros)
+  const [historyRecordId, setHistoryRecordId] = useState(""); // historial de versiones abierto
+
+  // cuándo se crean los registros nuevos (ahora, hace X minutos u otra fecha)
+  const [recordWhen, setRecordWhen] = useState(WHEN_NOW);
+  const [recordInputError, setRecordInputError] = useState(""); // validación del servidor al crear
+
+  // estado por item durante mutaciones optimistas: id => "creating" | "saving" | "deleting"
+  const [busyIds, setBusyIds] = useState({});
+
+  // respuestas fuera de orden: solo se aplica la de la petición vigente.
+  // recordsEpochRef cambia al recargar desde cero (o salir); newestReqRef, con cada refresco de la primera página
+  const recordsEpochRef = useRef(0);
+  const newestReqRef = useRef(0);
+  const shortcutsReqRef = useRef(0);
 
   // reenfoque tras operaciones
   const [shouldRefocus, setShouldRefocus] = useState(""); // "record" | "shortcut" | ""
 
   const isLogged = useMemo(() => Boolean(token), [token]);
 
-  function doLogout(message = "") {
-    clearToken();
+  // -------------------- Avisos --------------------
+
+  const notify = useCallback((kind, message, { action, durationMs } = {}) => {
+    const id = newClientId();
+    // máximo 4 a la vez: el más antiguo se va
+    setToasts((prev) => [...prev.slice(-3), { id, kind, message, action, durationMs }]);
+    return id;
+  }, []);
+
+  const showError = useCallback((message) => notify("error", message), [notify]);
+
+  const dismissToast = useCallback((id) => {
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  }, []);
+
+  /**
+   * Sale de la sesión del perfil activo y limpia sus datos en pantalla.
+   * Con keepStoredToken (cambio de perfil) el token guardado se conserva.
+   */
+  function doLogout(message = "", { keepStoredToken = false } = {}) {
+    // nada de lo que siga en vuelo debe escribir en la sesión que se cierra
+    cancelAllRequests();
+    recordsEpochRef.current += 1;
+    shortcutsReqRef.current += 1;
+    if (!keepStoredToken) clearToken();
     setTokenState("");
     setError(message);
+    setReauthMessage("");
+    setProfiles(listProfiles());
 
     setUsername("");
     setPassword("");
@@ -221,41 +602,77 @@ export default function App() {
     setTgCooldownUntilMs(0);
     setTgCooldownLeftSec(0);
 
-    setRecordQuery("");
+    setImportOpen(false);
 
     setRecords([]);
+    setLinkedRecord(null);
+    setRecordsCursor("");
+    setHasMoreRecords(false);
+    setOutboxItems([]);
     setShortcuts([]);
+    setShortcutLayout(emptyLayout());
     setEditingType("");
     setEditingId("");
     setEditingText("");
+    setEditingTs("");
     setNewRecordText("");
     setNewShortcutText("");
+    setRecordWhen(WHEN_NOW);
     setShouldRefocus("");
+    setBusyIds({});
+    setSelecting(false);
+    setBulkIds(new Set());
+    setBulkReplaceOpen(false);
+    setHistoryRecordId("");
   }
 
-  // 401 => logout
+  // 401 sin refresco posible => pedir login otra vez sin desmontar la app
   useEffect(() => {
     const unsub = onUnauthorized((msg) => {
-      doLogout(msg || "Sesión caducada. Vuelve a entrar.");
+      setReauthMessage(msg || t("session.expired"));
     });
     return unsub;
   }, []);
 
-  // Logout al expirar JWT (opcional)
+  useEffect(() => onUpdateAvailable(() => setUpdateAvailable(true)), []);
+
+  useEffect(() => onLocaleChange(setLocale), []);
+
+  function changeLocale(id) {
+    setLocalePreference(id);
+    setLocalePreferenceState(id);
+  }
+
+  // Renovar el JWT antes de que caduque; si no se puede, diálogo de re-login al expirar
   useEffect(() => {
     if (!token) return;
 
     const expMs = getJwtExpMs(token);
     if (!expMs) return;
 
+    const REFRESH_BEFORE_MS = 60000;
     const SKEW_MS = 5000;
-    const delay = Math.max(0, expMs - Date.now() - SKEW_MS);
+    const MAX_TIMEOUT_MS = 2 ** 31 - 1; // más allá setTimeout dispara al instante
+    let expireId = 0;
 
-    const id = setTimeout(() => {
-      doLogout("Sesión caducada. Vuelve a entrar.");
-    }, delay);
+    const refreshDelay = Math.max(0, expMs - Date.now() - REFRESH_BEFORE_MS);
+    if (refreshDelay > MAX_TIMEOUT_MS) return;
+
+    const refreshId = setTimeout(async () => {
+      try {
+        const next = await refreshSession();
+        setTokenState(next);
+      } catch {
+        expireId = setTimeout(() => {
+          setReauthMessage(t("session.expired"));
+        }, Math.max(0, expMs - Date.now() - SKEW_MS));
+      }
+    }, refreshDelay);
 
-    return () => clearTimeout(id);
+    return () => {
+      clearTimeout(refreshId);
+      clearTimeout(expireId);
+    };
   }, [token]);
 
   // Bottom nav auto-hide al hacer scroll (solo logueado)
@@ -317,26 +734,201 @@ export default function App() {
     }
   }, [loading, shouldRefocus]);
 
-  // limpiar búsqueda al cambiar de pantalla
+  // al cambiar de pantalla sobran las cargas que solo servían a la anterior (páginas antiguas, etc.)
   useEffect(() => {
-    setRecordQuery("");
+    cancelRequests("screen");
   }, [screen]);
 
+  useEffect(
+    () =>
+      onRouteChange((next) => {
+        setRoute(next);
+        setLinkError(null);
+      }),
+    []
+  );
+
+  // sin sesión todo lleva al login, que recuerda a dónde se iba; con sesión, el login devuelve allí
+  useEffect(() => {
+    if (!isLogged && route.name !== "login") {
+      const next = routePath(route);
+      navigate({ name: "login", next: next === routePath(HOME_ROUTE) ? "" : next }, { replace: true });
+    } else if (isLogged && route.name === "login") {
+      const next = route.next ? parseRoute(route.next) : HOME_ROUTE;
+      navigate(next.name === "login" ? HOME_ROUTE : next, { replace: true });
+    }
+  }, [isLogged, route]);
+
+  /** Primera página (reinicia la paginación). */
   async function loadRecords() {
-    const { records } = await api.listRecords();
-    setRecords(records || []);
+    const epoch = ++recordsEpochRef.current;
+    const resp = await api.listRecords({ limit: RECORDS_PAGE_SIZE });
+    if (epoch !== recordsEpochRef.current) return;
+    const page = resp?.records || [];
+    setRecords(page);
+    setRecordsCursor(resp?.nextCursor || "");
+    setHasMoreRecords(pageHasMore(resp, page, RECORDS_PAGE_SIZE));
+  }
+
+  /** Refresca la primera página sin perder las anteriores ya cargadas. */
+  async function refreshNewestRecords() {
+    const epoch = recordsEpochRef.current;
+    const seq = ++newestReqRef.current;
+    const resp = await api.listRecords({ limit: RECORDS_PAGE_SIZE });
+    if (epoch !== recordsEpochRef.current || seq !== newestReqRef.current) return;
+    const page = resp?.records || [];
+    setRecords((prev) => mergeNewestPage(prev, page, pageHasMore(resp, page, RECORDS_PAGE_SIZE)));
+  }
+
+  /** Siguiente página hacia atrás (scroll infinito). */
+  async function loadOlderRecords() {
+    if (loadingMoreRef.current || !hasMoreRecords) return;
+
+    let oldest = null;
+    for (const r of records) {
+      if (!oldest || tsMs(r.tsUtc) < tsMs(oldest.tsUtc)) oldest = r;
+    }
+
+    loadingMoreRef.current = true;
+    setLoadingMore(true);
+    const epoch = recordsEpochRef.current;
+    try {
+      const resp = await api.listRecords(
+        { limit: RECORDS_PAGE_SIZE, before: recordsCursor || oldest?.tsUtc },
+        { scope: "screen" }
+      );
+      // recargada desde cero mientras tanto: esta página ya no encaja
+      if (epoch !== recordsEpochRef.current) return;
+      const page = resp?.records || [];
+      const known = new Set(records.map((r) => r.id));
+      const fresh = page.filter((r) => !known.has(r.id));
+
+      setRecords((prev) => {
+        const ids = new Set(prev.map((r) => r.id));
+        return [...prev, ...fresh.filter((r) => !ids.has(r.id))];
+      });
+      setRecordsCursor(resp?.nextCursor || "");
+      // sin nada nuevo => el servidor no pagina o ya no hay más
+      setHasMoreRecords(fresh.length > 0 && pageHasMore(resp, page, RECORDS_PAGE_SIZE));
+    } catch (e) {
+      if (!isAbortError(e)) showError(e.message);
+    } finally {
+      loadingMoreRef.current = false;
+      setLoadingMore(false);
+    }
   }
 
   async function loadShortcuts() {
-    const { shortcuts } = await api.listShortcuts();
+    const seq = ++shortcutsReqRef.current;
+    const [{ shortcuts }, layout] = await Promise.all([
+      api.listShortcuts(),
+      loadShortcutLayout(getActiveProfileId()),
+    ]);
+    if (seq !== shortcutsReqRef.current) return;
     setShortcuts(shortcuts || []);
+    setShortcutLayout(layout);
+  }
+
+  /** Aplica la disposición al momento y la guarda (servidor si puede, si no en local). */
+  function updateShortcutLayout(next) {
+    setShortcutLayout(next);
+    saveShortcutLayout(getActiveProfileId(), next).catch((e) =>
+      showError(t("shortcuts.layoutSaveError", { message: e.message }))
+    );
+  }
+
+  function dropShortcut(section, beforeId) {
+    const id = draggingShortcutId;
+    setDraggingShortcutId("");
+    if (!id || id === beforeId) return;
+    updateShortcutLayout(moveShortcut(shortcuts, shortcutLayout, id, { section, beforeId }));
+  }
+
+  function handleAddFolder() {
+    const name = newFolderName.trim();
+    if (!name) return;
+    setNewFolderName("");
+    updateShortcutLayout(addFolder(shortcutLayout, name));
   }
 
   async function refreshCurrentScreen() {
-    if (screen === "records") await loadRecords();
+    if (screen !== "shortcuts") await loadRecords();
     else await loadShortcuts();
   }
 
+  async function refreshOutbox() {
+    try {
+      setOutboxItems(await listOutbox(getActiveProfileId()));
+    } catch {
+      setOutboxItems([]);
+    }
+  }
+
+  async function syncOutbox() {
+    if (navigator.onLine === false) return;
+    try {
+      const { sent } = await flushOutbox(getActiveProfileId());
+      if (sent.length) {
+        const epoch = recordsEpochRef.current;
+        const seq = ++newestReqRef.current;
+        const resp = await api.listRecords({ limit: RECORDS_PAGE_SIZE });
+        if (epoch !== recordsEpochRef.current || seq !== newestReqRef.current) return;
+        const page = resp?.records || [];
+        setRecords((prev) => mergeNewestPage(prev, page, pageHasMore(resp, page, RECORDS_PAGE_SIZE)));
+      }
+    } catch {
+      // en segundo plano: se reintenta en el próximo ciclo
+    }
+  }
+
+  // Outbox: escuchar cambios y enviar al recuperar conexión
+  useEffect(() => {
+    if (!isLogged) return;
+
+    refreshOutbox();
+    syncOutbox();
+
+    const unsub = onOutboxChange(refreshOutbox);
+    const onOnline = () => syncOutbox();
+    const onVisible = () => {
+      if (document.visibilityState === "visible") syncOutbox();
+    };
+    const id = setInterval(syncOutbox, 30000);
+
+    window.addEventListener("online", onOnline);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      unsub();
+      clearInterval(id);
+      window.removeEventListener("online", onOnline);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [isLogged, profileId]);
+
+  useEffect(() => {
+    hasMoreRecordsRef.current = hasMoreRecords;
+  }, [hasMoreRecords]);
+
+  // Cambios en vivo: se aplican sobre lo cargado, sin volver a pedir la lista
+  useEffect(() => {
+    if (!isLogged) return;
+    const unsub = subscribeLive(
+      (ev) => {
+        if (ev.entity === "record") {
+          setRecords((list) => applyLiveChange(list, ev, { byTime: true, paged: hasMoreRecordsRef.current }));
+          setLinkedRecord((r) => applyToSingle(r, (list) => applyLiveChange(list, ev, { byTime: true })));
+        } else {
+          setShortcuts((list) => applyLiveChange(list, ev));
+        }
+      },
+      { onStatus: setLiveStatus }
+    );
+    return () => {
+      unsub();
+      setLiveStatus("");
+    };
+  }, [isLogged, profileId]);
+
   useEffect(() => {
     if (!isLogged) return;
 
@@ -346,69 +938,78 @@ export default function App() {
       try {
         await Promise.all([loadRecords(), loadShortcuts()]);
       } catch (e) {
-        setError(e.message);
+        if (!isAbortError(e)) showError(e.message);
       } finally {
         setLoading(false);
       }
     })();
-  }, [isLogged]);
+  }, [isLogged, profileId, showError]);
 
   function normalizeAndStoreApiUrlOrThrow() {
     const full = joinApiUrl(apiScheme, apiHost);
     const normalized = setApiUrl(full); // quita trailing slashes
-    if (!/^https?:\/\/.+/i.test(normalized)) {
-      throw new Error("La URL de la API no es válida.");
+    if (!/^https?:\/\/.+/i.test(normalized) && !isLocalApiUrl(normalized)) {
+      throw new Error(t("login.invalidApiUrl"));
     }
     return normalized;
   }
 
+  function clearFieldError(name) {
+    setFieldErrors((prev) => (prev[name] ? { ...prev, [name]: "" } : prev));
+  }
+
   async function handleLoginPassword(e) {
     e.preventDefault();
     setError("");
+    setFieldErrors({});
     setTgInfo("");
     setLoading(true);
     try {
       normalizeAndStoreApiUrlOrThrow();
-      const { token } = await api.login(username, password);
-      setToken(token);
+      const { token, refreshToken } = await api.login(username, password);
+      setToken(token, refreshToken);
       setTokenState(token);
+      setProfiles(listProfiles());
       setPassword("");
     } catch (e) {
-      setError(e.message);
+      setError(describeLoginError(e));
+      setFieldErrors(e?.kind === "auth" ? { password: t("login.field.checkCredentials") } : e?.fields || {});
     } finally {
       setLoading(false);
     }
   }
 
-  function parseWaitSecondsFromMessage(msg) {
-    const m = String(msg || "").match(/(\d+)\s*s/i);
-    if (!m) return 0;
-    const n = Number(m[1]);
-    return Number.isFinite(n) ? n : 0;
-  }
-
   async function handleRequestTelegramCode() {
     setError("");
+    setFieldErrors({});
     setTgInfo("");
     setLoading(true);
     try {
       normalizeAndStoreApiUrlOrThrow();
 
       const pin = String(tgPin || "").trim();
-      if (!pin) throw new Error("Introduce el PIN para enviar el código.");
+      if (!pin) throw new Error(t("login.tg.pinRequired"));
 
       const resp = await api.requestTelegramCode(pin);
       const secs = Math.ceil((resp?.expiresInMs || 0) / 1000);
 
-      setTgInfo(secs ? `Código enviado. Caduca en ~${secs}s.` : "Código enviado.");
+      setTgInfo(
+        [
+          secs ? t("login.tg.codeSentExpires", { seconds: secs }) : t("login.tg.codeSent"),
+          // modo demo: no hay Telegram, el backend local devuelve el código
+          resp?.demoCode ? t("login.tg.demoCode", { code: resp.demoCode }) : "",
+        ]
+          .filter(Boolean)
+          .join(" ")
+      );
       setTgStep("code");
 
       setTgCooldownUntilMs(Date.now() + 1000);
     } catch (e) {
-      const msg = e?.message || "Error";
-      const waitSec = parseWaitSecondsFromMessage(msg);
-      if (waitSec > 0) setTgCooldownUntilMs(Date.now() + waitSec * 1000);
-      setError(msg);
+      // el servidor dice cuánto esperar (Retry-After) antes de pedir otro código
+      if (e?.retryAfterMs) setTgCooldownUntilMs(Date.now() + e.retryAfterMs);
+      setError(describeLoginError(e));
+      setFieldErrors(e?.kind === "auth" ? { pin: t("login.field.wrongPin") } : e?.fields || {});
     } finally {
       setLoading(false);
     }
@@ -425,20 +1026,23 @@ export default function App() {
   async function handleLoginTelegram(e) {
     e.preventDefault();
     setError("");
+    setFieldErrors({});
     setLoading(true);
     try {
       normalizeAndStoreApiUrlOrThrow();
 
       const code = String(tgCode || "").trim();
-      const { token } = await api.verifyTelegramCode(code);
-      setToken(token);
+      const { token, refreshToken } = await api.verifyTelegramCode(code);
+      setToken(token, refreshToken);
       setTokenState(token);
+      setProfiles(listProfiles());
 
       setTgCode("");
       setTgInfo("");
       setTgStep("pin");
     } catch (e) {
-      setError(e.message);
+      setError(describeLoginError(e));
+      setFieldErrors(e?.kind === "auth" ? { code: t("login.field.wrongCode") } : e?.fields || {});
     } finally {
       setLoading(false);
     }
@@ -448,6 +1052,14 @@ export default function App() {
     doLogout("");
   }
 
+  function handleReauthSuccess(nextToken, refreshToken) {
+    setToken(nextToken, refreshToken);
+    setTokenState(nextToken);
+    setReauthMessage("");
+    setProfiles(listProfiles());
+    syncOutbox();
+  }
+
   function handleResetApiUrl() {
     clearApiUrl();
     doLogout("");
@@ -455,139 +1067,753 @@ export default function App() {
     setApiHost("");
   }
 
+  /** Vuelve a los datos de ejemplo del backend local (cierra las sesiones de la demo). */
+  async function handleResetDemo() {
+    setError("");
+    setDemoNotice("");
+    try {
+      const { resetDemoData } = await import("./localBackend");
+      await resetDemoData();
+      setDemoNotice(t("login.demo.resetDone"));
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  // -------------------- Perfiles --------------------
+
+  /** Carga en la UI el perfil activo: su URL, su sesión (si la tiene) y datos vacíos. */
+  function applyActiveProfile(message = "") {
+    const p = getActiveProfile();
+    doLogout(message, { keepStoredToken: true });
+    setProfileId(p.id);
+    setProfileName(p.name);
+
+    const split = splitApiUrl(p.apiUrl);
+    setApiScheme(split.scheme || "http://");
+    setApiHost(split.rest || "");
+    setTokenState(getToken());
+  }
+
+  function switchProfile(id) {
+    if (id === profileId) return;
+    setActiveProfile(id);
+    applyActiveProfile();
+  }
+
+  function handleNewProfile() {
+    const p = createProfile(t("profile.defaultName", { n: profiles.length + 1 }));
+    setActiveProfile(p.id);
+    applyActiveProfile();
+  }
+
+  function handleRenameProfile(name) {
+    setProfileName(name);
+    renameActiveProfile(name);
+    setProfiles(listProfiles());
+  }
+
+  async function handleDeleteProfile() {
+    const ok = window.confirm(t("profile.deleteConfirm", { name: profileName }));
+    if (!ok) return;
+
+    const id = profileId;
+    deleteProfile(id);
+    applyActiveProfile();
+    try {
+      await discardProfileOutbox(id);
+    } catch {
+      // sin IndexedDB no hay nada que borrar
+    }
+  }
+
+  function setBusy(id, op) {
+    setBusyIds((prev) => {
+      const next = { ...prev };
+      if (op) next[id] = op;
+      else delete next[id];
+      return next;
+    });
+  }
+
+  /** Un registro por id: de los cargados o el abierto por enlace. */
+  function findRecord(id) {
+    return records.find((r) => r.id === id) || (linkedRecord?.id === id ? linkedRecord : null);
+  }
+
+  /** setRecords que también alcanza al registro abierto por enlace. */
+  function updateRecords(change) {
+    setRecords(change);
+    setLinkedRecord((r) => applyToSingle(r, change));
+  }
+
   function startEdit(type, item) {
     setEditingType(type);
     setEditingId(item.id);
     setEditingText(item.text || "");
+    setEditingTs(type === "record" ? toLocalInputValue(item.tsUtc) : "");
   }
 
   function cancelEdit() {
     setEditingType("");
     setEditingId("");
     setEditingText("");
+    setEditingTs("");
   }
 
   async function saveEdit() {
-    setError("");
-    setLoading(true);
-    try {
-      const text = editingText.trim();
-      if (!text) throw new Error("El texto no puede estar vacío.");
-
-      if (editingType === "record") {
-        await api.updateRecord(editingId, text);
-        await loadRecords();
-      } else if (editingType === "shortcut") {
-        await api.updateShortcut(editingId, text);
-        await loadShortcuts();
-      }
+    const text = editingText.trim();
+    if (!text) {
+      showError(t("common.emptyText"));
+      return;
+    }
 
+    const type = editingType;
+    const id = editingId;
+    const templateError = type === "shortcut" ? validateTemplate(text) : "";
+    if (templateError) {
+      showError(templateError);
+      return;
+    }
+    const prev = type === "record" ? findRecord(id) : shortcuts.find((it) => it.id === id);
+    if (!prev) {
       cancelEdit();
-    } catch (e) {
-      setError(e.message);
-    } finally {
-      setLoading(false);
+      return;
+    }
+
+    // la fecha solo se manda si ha cambiado (el input no tiene milisegundos)
+    const patch = { text };
+    if (type === "record" && editingTs !== toLocalInputValue(prev.tsUtc)) {
+      const tsUtc = fromLocalInputValue(editingTs);
+      if (!tsUtc) {
+        showError(t("when.invalid"));
+        return;
+      }
+      if (tsMs(tsUtc) > Date.now() + 60000) {
+        showError(t("when.future"));
+        return;
+      }
+      patch.tsUtc = tsUtc;
+    }
+    cancelEdit();
+    if (prev.text === text && !patch.tsUtc) return;
+
+    const ok = await patchItem(type, prev, patch);
+    if (ok) {
+      const undo = type === "record" ? { text: prev.text, tsUtc: prev.tsUtc } : { text: prev.text };
+      notify("success", patch.tsUtc ? t("edit.savedWithDate") : t("edit.saved"), {
+        action: { label: t("common.undo"), onClick: () => patchItem(type, { ...prev, ...patch }, undo) },
+        durationMs: UNDO_TOAST_MS,
+      });
     }
   }
 
-  async function createRecordFromInput() {
-    setError("");
-    setLoading(true);
+  /**
+   * Aplica `patch` ({ text, tsUtc? }) a `prev` al momento y lo confirma con el
+   * servidor; devuelve si se guardó.
+   */
+  async function patchItem(type, prev, patch) {
+    const id = prev.id;
+    const setList = type === "record" ? updateRecords : setShortcuts;
+    const next = { ...prev, ...patch };
+
+    setList((list) => replaceById(list, id, next));
+    setBusy(id, "saving");
     try {
-      const text = newRecordText.trim();
-      if (!text) throw new Error("El texto no puede estar vacío.");
-
-      await api.createRecord(text);
-      setNewRecordText("");
-      setShouldRefocus("record");
-      await loadRecords();
+      const resp =
+        type === "record" ? await api.updateRecord(id, patch) : await api.updateShortcut(id, patch.text);
+      const saved = resp?.[type];
+      if (saved?.id) setList((list) => replaceById(list, id, saved));
+      if (type === "record") journalRevision(prev).catch(() => {});
+      return true;
     } catch (e) {
-      setError(e.message);
+      // rollback (salvo que otro cambio posterior ya lo haya tocado)
+      setList((list) =>
+        list.map((it) => (it.id === id && it.text === next.text && it.tsUtc === next.tsUtc ? prev : it))
+      );
+      showError(t("edit.saveError", { message: e.message }));
+      return false;
     } finally {
-      setLoading(false);
+      setBusy(id, "");
     }
   }
 
-  async function createShortcutFromInput() {
-    setError("");
-    setLoading(true);
-    try {
-      const text = newShortcutText.trim();
-      if (!text) throw new Error("El texto no puede estar vacío.");
+  /**
+   * Crea un registro: directo si hay conexión, o a la outbox si no la hay
+   * (o si ya hay pendientes, para conservar el orden).
+   * Devuelve { queued, record } (record solo si el servidor lo devuelve).
+   */
+  async function submitRecord(text, opts) {
+    const hasPending = outboxItems.some((it) => it.status === "pending");
+    if (navigator.onLine === false || hasPending) {
+      await enqueueRecord(text, opts);
+      syncOutbox();
+      return { queued: true, record: null };
+    }
 
-      await api.createShortcut(text);
-      setNewShortcutText("");
-      setShouldRefocus("shortcut");
-      await loadShortcuts();
+    try {
+      const resp = await api.createRecord(text, opts);
+      return { queued: false, record: resp?.record || null };
     } catch (e) {
-      setError(e.message);
-    } finally {
-      setLoading(false);
+      if (!isTransientError(e)) throw e;
+      // mismo clientId => si la petición llegó al servidor, el reintento no duplica
+      await enqueueRecord(text, opts);
+      return { queued: true, record: null };
     }
   }
 
-  async function deleteRecord(id) {
-    const ok = window.confirm("¿Seguro que quieres borrar este registro?");
-    if (!ok) return;
+  /** Inserta el registro en local al momento y lo sustituye por el del servidor. */
+  async function createRecordOptimistic(text, tsUtc = new Date().toISOString()) {
+    const opts = { clientId: newClientId(), tsUtc };
+    const tempId = `tmp-${opts.clientId}`;
 
-    setError("");
-    setLoading(true);
+    setRecords((list) => [{ id: tempId, text, tsUtc: opts.tsUtc }, ...list]);
+    setBusy(tempId, "creating");
     try {
-      await api.deleteRecord(id);
-      if (editingType === "record" && editingId === id) cancelEdit();
-      await loadRecords();
+      const { queued, record } = await submitRecord(text, opts);
+      if (queued) setRecords((list) => removeById(list, tempId)); // lo muestra la outbox
+      else if (record?.id) setRecords((list) => settleTemp(list, tempId, record));
+      else await refreshNewestRecords().catch(() => {});
     } catch (e) {
-      setError(e.message);
+      setRecords((list) => removeById(list, tempId));
+      throw e;
     } finally {
-      setLoading(false);
+      setBusy(tempId, "");
     }
   }
 
-  async function deleteShortcut(id) {
-    const ok = window.confirm("¿Seguro que quieres borrar este acceso directo?");
-    if (!ok) return;
+  async function createRecordFromInput() {
+    const text = newRecordText.trim();
+    if (!text) {
+      showError(t("common.emptyText"));
+      return;
+    }
+    let tsUtc;
+    try {
+      tsUtc = resolveWhen(recordWhen);
+    } catch (e) {
+      showError(e.message);
+      return;
+    }
+    setNewRecordText("");
+    setRecordInputError("");
+    setRecordWhen(WHEN_NOW);
+    setShouldRefocus("record");
+    try {
+      await createRecordOptimistic(text, tsUtc);
+    } catch (e) {
+      // devolvemos el texto al input para no perderlo
+      setNewRecordText((cur) => cur || text);
+      // datos no válidos => se marca el campo; el resto (red, servidor…) va como aviso
+      if (e?.kind === "validation") setRecordInputError(e.fields?.text || e.fields?.tsUtc || e.message);
+      else showError(t("records.createError", { message: e.message }));
+    }
+  }
 
-    setError("");
-    setLoading(true);
+  async function createShortcutFromInput() {
+    const text = newShortcutText.trim();
+    if (!text) {
+      showError(t("common.emptyText"));
+      return;
+    }
+    const templateError = validateTemplate(text);
+    if (templateError) {
+      showError(templateError);
+      return;
+    }
+    setNewShortcutText("");
+    setShouldRefocus("shortcut");
+
+    const tempId = `tmp-${newClientId()}`;
+    setShortcuts((list) => [{ id: tempId, text, tsUtc: new Date().toISOString() }, ...list]);
+    setBusy(tempId, "creating");
     try {
-      await api.deleteShortcut(id);
-      if (editingType === "shortcut" && editingId === id) cancelEdit();
-      await loadShortcuts();
+      const resp = await api.createShortcut(text);
+      if (resp?.shortcut?.id) setShortcuts((list) => settleTemp(list, tempId, resp.shortcut));
+      else await loadShortcuts().catch(() => {});
     } catch (e) {
-      setError(e.message);
+      setShortcuts((list) => removeById(list, tempId));
+      setNewShortcutText((cur) => cur || text);
+      showError(t("shortcuts.createError", { message: e.message }));
     } finally {
-      setLoading(false);
+      setBusy(tempId, "");
     }
   }
 
-  async function registerFromShortcut(text) {
-    setError("");
-    setLoading(true);
+  /**
+   * Quita el item al momento; si el servidor falla, vuelve a su sitio.
+   * Si se borra, ofrece deshacer durante unos segundos.
+   */
+  async function deleteOptimistic(type, id) {
+    const isRecord = type === "record";
+    const list = isRecord ? records : shortcuts;
+    const setList = isRecord ? updateRecords : setShortcuts;
+
+    const index = list.findIndex((it) => it.id === id);
+    // el registro abierto por enlace no está en la lista: se repone aparte
+    const linked = index < 0 && isRecord && linkedRecord?.id === id ? linkedRecord : null;
+    if (index < 0 && !linked) return;
+    const prev = linked || list[index];
+    if (editingType === type && editingId === id) cancelEdit();
+    setList((l) => removeById(l, id));
     try {
-      const t = String(text || "").trim();
-      if (!t) throw new Error("El texto del shortcut está vacío.");
+      if (isRecord) await api.deleteRecord(id);
+      else await api.deleteShortcut(id);
+    } catch (e) {
+      if (e?.status !== 404) {
+        if (linked) setLinkedRecord((r) => r || linked);
+        else setList((l) => (l.some((it) => it.id === id) ? l : insertAt(l, index, prev)));
+        showError(t("delete.error", { message: e.message }));
+        return;
+      }
+      // 404: ya no existía, cuenta como borrado
+    }
 
-      await api.createRecord(t);
-      await loadRecords();
+    notify("success", isRecord ? t("records.deleted") : t("shortcuts.deleted"), {
+      action: { label: t("common.undo"), onClick: () => restoreDeleted(type, prev, index) },
+      durationMs: UNDO_TOAST_MS,
+    });
+  }
+
+  /**
+   * Deshace un borrado volviendo a crear el item en el servidor (con otro id)
+   * y conservando la fecha original en los registros.
+   */
+  async function restoreDeleted(type, prev, index) {
+    const isRecord = type === "record";
+    const setList = isRecord ? setRecords : setShortcuts;
+    const clientId = newClientId();
+    const tempId = `tmp-${clientId}`;
+
+    // sin sitio en la lista (era el registro abierto por enlace) va por fecha, si cae en lo cargado
+    const temp = { ...prev, id: tempId };
+    setList((l) => (index < 0 ? placeByTime(l, temp, hasMoreRecords) : insertAt(l, index, temp)));
+    setBusy(tempId, "creating");
+    try {
+      if (isRecord) {
+        const resp = await api.createRecord(prev.text, { clientId, tsUtc: prev.tsUtc });
+        if (resp?.record?.id) {
+          setRecords((l) => settleTemp(l, tempId, resp.record));
+          // vuelve con otro id: el historial local se va con él
+          moveRevisions(prev.id, resp.record.id).catch(() => {});
+        } else {
+          await refreshNewestRecords().catch(() => {});
+        }
+      } else {
+        const resp = await api.createShortcut(prev.text);
+        if (resp?.shortcut?.id) {
+          setShortcuts((l) => settleTemp(l, tempId, resp.shortcut));
+          // ... y el shortcut recupera su sitio, fijado y carpeta
+          const layout = replaceShortcutId(shortcutLayout, prev.id, resp.shortcut.id);
+          if (layout !== shortcutLayout) updateShortcutLayout(layout);
+        } else {
+          await loadShortcuts().catch(() => {});
+        }
+      }
     } catch (e) {
-      setError(e.message);
+      setList((l) => removeById(l, tempId));
+      showError(t("delete.undoError", { message: e.message }));
     } finally {
-      setLoading(false);
+      setBusy(tempId, "");
     }
   }
 
-  // Filtrado por texto (registros)
-  const filteredRecords = useMemo(() => {
-    const q = recordQuery.trim().toLowerCase();
-    if (!q) return records;
-    return records.filter((r) => String(r.text || "").toLowerCase().includes(q));
-  }, [records, recordQuery]);
+  function deleteRecord(id) {
+    return deleteOptimistic("record", id);
+  }
 
-  // Agrupación por día (registros)
-  const groupedRecords = useMemo(() => {
-    const map = new Map();
-    for (const r of filteredRecords) {
-      const key = localDayKey(r.tsUtc);
+  function deleteShortcut(id) {
+    return deleteOptimistic("shortcut", id);
+  }
+
+  /** Registra el texto del acceso directo; si es una plantilla la rellena (y pregunta los prompts). */
+  function registerFromShortcut(shortcut) {
+    const template = String(shortcut.text || "").trim();
+    if (!template) {
+      showError(t("shortcuts.emptyText"));
+      return;
+    }
+    let tsUtc;
+    try {
+      tsUtc = resolveWhen(recordWhen);
+    } catch (e) {
+      showError(e.message);
+      return;
+    }
+    if (!hasPlaceholders(template)) {
+      registerShortcutText(shortcut, template, tsUtc);
+      return;
+    }
+
+    let parts;
+    try {
+      parts = parseTemplate(template);
+    } catch (e) {
+      showError(t("shortcuts.invalidTemplate", { template, message: e.message }));
+      return;
+    }
+    // {{time}}, {{date}}… usan la fecha del registro, no la de ahora
+    const counter = peekCounter(shortcut.id);
+    if (templatePrompts(parts).length) setTemplatePrompt({ shortcut, parts, counter, tsUtc });
+    else registerShortcutText(shortcut, renderTemplate(parts, { counter, now: new Date(tsUtc) }), tsUtc);
+  }
+
+  async function registerShortcutText(shortcut, text, tsUtc) {
+    setRecordWhen(WHEN_NOW);
+    try {
+      await createRecordOptimistic(text, tsUtc);
+      bumpCounter(shortcut.id);
+    } catch (e) {
+      showError(t("shortcuts.registerError", { text, message: e.message }));
+    }
+  }
+
+  /** Vuelve a una versión anterior (texto y fecha) con opción de deshacer. */
+  async function restoreRevision(record, revision) {
+    setHistoryRecordId("");
+    const patch = { text: revision.text };
+    if (revision.tsUtc && revision.tsUtc !== record.tsUtc) patch.tsUtc = revision.tsUtc;
+
+    const ok = await patchItem("record", record, patch);
+    if (ok) {
+      notify("success", t("history.restored"), {
+        action: {
+          label: t("common.undo"),
+          onClick: () => patchItem("record", { ...record, ...patch }, { text: record.text, tsUtc: record.tsUtc }),
+        },
+        durationMs: UNDO_TOAST_MS,
+      });
+    }
+  }
+
+  async function retryOutbox(item) {
+    try {
+      await retryOutboxItem(item);
+      await syncOutbox();
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  async function discardOutbox(item) {
+    try {
+      await discardOutboxItem(item.seq);
+    } catch (e) {
+      showError(e.message);
+      return;
+    }
+    notify("info", t("outbox.discarded"), {
+      // mismo clientId y fecha: si ya hubiera llegado al servidor no se duplica
+      action: {
+        label: t("common.undo"),
+        onClick: () =>
+          enqueueRecord(item.text, { clientId: item.clientId, tsUtc: item.tsUtc })
+            .then(() => syncOutbox())
+            .catch((e) => showError(e.message)),
+      },
+      durationMs: UNDO_TOAST_MS,
+    });
+  }
+
+  // Registros + pendientes de la outbox (los pendientes primero, son los más recientes)
+  const displayRecords = useMemo(() => {
+    const pending = outboxItems.map((it) => ({
+      id: `outbox-${it.seq}`,
+      text: it.text,
+      tsUtc: it.tsUtc,
+      outbox: it,
+    }));
+    return [...pending, ...records];
+  }, [records, outboxItems]);
+
+  const outboxPendingCount = outboxItems.filter((it) => it.status === "pending").length;
+  const outboxFailedCount = outboxItems.length - outboxPendingCount;
+
+  // Tags de todo lo cargado, con su número de registros
+  const recordTags = useMemo(() => countTags(displayRecords), [displayRecords]);
+
+  function toggleTag(tag) {
+    setSelectedTags((prev) => (prev.includes(tag) ? prev.filter((x) => x !== tag) : [...prev, tag]));
+  }
+
+  const isFiltering = Boolean(recordQuery.trim()) || selectedTags.length > 0 || Boolean(dayFilter);
+
+  // Búsqueda interpretada; si no es válida se avisa y no se filtra por ella
+  const recordSearch = useMemo(() => {
+    try {
+      return { ...parseSearchQuery(recordQuery), error: null };
+    } catch (e) {
+      if (!(e instanceof SearchQueryError)) throw e;
+      // { key, params }: se traduce al pintar, así sigue al idioma elegido
+      return { isEmpty: true, highlights: [], matches: () => true, error: { key: e.key, params: e.params } };
+    }
+  }, [recordQuery]);
+
+  // Filtrado por búsqueda y tags (registros); es lo que cuenta el calendario
+  const searchedRecords = useMemo(() => {
+    if (recordSearch.isEmpty && !selectedTags.length) return displayRecords;
+    return displayRecords.filter((r) => recordSearch.matches(r) && matchesTags(r.text, selectedTags, tagMode));
+  }, [displayRecords, recordSearch, selectedTags, tagMode]);
+
+  // ... y además por el día abierto desde el calendario
+  const filteredRecords = useMemo(() => {
+    if (!dayFilter) return searchedRecords;
+    return searchedRecords.filter((r) => localDayKey(r.tsUtc) === dayFilter);
+  }, [searchedRecords, dayFilter]);
+
+  // Los filtros solo ven las páginas cargadas: si dejan la pantalla (casi) vacía se
+  // piden páginas anteriores, si no la búsqueda se perdería lo más antiguo. Como
+  // mucho FILTER_AUTO_PAGES por consulta (una errata no recorre todo el historial);
+  // luego se ofrece seguir buscando.
+  const filterKey = isFiltering ? JSON.stringify([recordQuery, selectedTags, tagMode, dayFilter]) : "";
+  const autoPagesLeft = FILTER_AUTO_PAGES - (autoPages.key === filterKey ? autoPages.count : 0);
+
+  function loadOlderForFilter() {
+    if (autoPagesLeft <= 0 || loadingMoreRef.current || !hasMoreRecords) return;
+    setAutoPages((p) => ({ key: filterKey, count: (p.key === filterKey ? p.count : 0) + 1 }));
+    loadOlderRecords();
+  }
+
+  function searchOlderRecords() {
+    setAutoPages({ key: filterKey, count: 0 });
+    loadOlderRecords();
+  }
+
+  const loadOlderRef = useRef(null);
+  useEffect(() => {
+    loadOlderRef.current = loadOlderForFilter;
+  });
+  const filterActive = screen === "records" && isFiltering && !recordSearch.error && hasMoreRecords;
+  const needsMoreResults =
+    filterActive && !loadingMore && autoPagesLeft > 0 && filteredRecords.length < FILTER_FILL_RESULTS;
+  const filterPaused = filterActive && autoPagesLeft <= 0;
+  useEffect(() => {
+    if (needsMoreResults) loadOlderRef.current?.();
+  }, [needsMoreResults, records.length]);
+
+  // página de un registro (#/records/<id>)
+  const detailRecord =
+    screen === "record"
+      ? records.find((r) => String(r.id) === route.id) ||
+        (linkedRecord && String(linkedRecord.id) === route.id ? linkedRecord : null)
+      : null;
+  const detailError = screen === "record" && linkError?.id === route.id ? linkError.message : "";
+  const detailMissing = screen === "record" && !detailRecord && !detailError;
+
+  // enlace a un registro que no está entre los cargados: se pide suelto (ver linkedRecord)
+  useEffect(() => {
+    if (!isLogged || loading || !detailMissing) return;
+    const id = route.id;
+    const controller = new AbortController();
+    api
+      .getRecord(id, { scope: "screen", signal: controller.signal })
+      .then((resp) => {
+        const record = resp?.record;
+        if (!record?.id) throw new Error(t("detail.noRecordInResponse"));
+        setLinkedRecord(record);
+      })
+      .catch((e) => {
+        if (isAbortError(e)) return;
+        setLinkError({ id, message: e.kind === "notFound" ? t("detail.notFound") : e.message });
+      });
+    return () => controller.abort();
+  }, [isLogged, loading, detailMissing, route.id]);
+
+  const searchFilterLabel = [recordSearch.error ? "" : recordQuery.trim(), describeTagFilter(selectedTags, tagMode)]
+    .filter(Boolean)
+    .join(" · ");
+
+  function openDay(dayKey) {
+    navigate({ name: "records", q: recordQuery, day: dayKey });
+  }
+
+  /** La búsqueda va en la URL (sin llenar el historial con cada tecla). */
+  function setRecordQuery(q) {
+    navigate({ name: "records", q, day: dayFilter }, { replace: true });
+  }
+
+  function clearDayFilter() {
+    navigate({ name: "records", q: recordQuery });
+  }
+
+  function handleExport(format = exportFormat) {
+    try {
+      const useFilter = exportOnlyFiltered && isFiltering;
+      const source = useFilter ? filteredRecords : displayRecords;
+      // los pendientes de la outbox aún no tienen id real
+      const list = source.filter((r) => !r.outbox);
+      if (!list.length) throw new Error(t("export.nothing"));
+      const query = useFilter ? [searchFilterLabel, dayFilter && `date:${dayFilter}`].filter(Boolean).join(" · ") : "";
+      exportRecords(list, format, { query });
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  // -------------------- Selección múltiple y acciones en bloque --------------------
+
+  // los pendientes de la outbox no se pueden seleccionar: aún no tienen id real
+  const bulkRecords = useMemo(
+    () => displayRecords.filter((r) => !r.outbox && bulkIds.has(r.id)),
+    [displayRecords, bulkIds]
+  );
+  const selectableResults = filteredRecords.filter((r) => !r.outbox);
+
+  const historyRecord = historyRecordId ? findRecord(historyRecordId) : null;
+
+  function exitSelectMode() {
+    setSelecting(false);
+    setBulkIds(new Set());
+    bulkAnchorRef.current = "";
+  }
+
+  /** Marca o desmarca un registro; con `extend` (Shift+clic) todo el tramo desde el anterior. */
+  function toggleChecked(id, extend = false) {
+    const anchor = bulkAnchorRef.current;
+    bulkAnchorRef.current = id;
+    // orden en pantalla (por días, más recientes primero)
+    const order = recordRows.filter((row) => row.type === "record" && !row.record.outbox).map((row) => row.key);
+
+    setBulkIds((prev) => {
+      const on = !prev.has(id);
+      let ids = [id];
+      const from = order.indexOf(anchor);
+      const to = order.indexOf(id);
+      if (extend && from >= 0 && to >= 0) ids = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+
+      const next = new Set(prev);
+      for (const x of ids) {
+        if (on) next.add(x);
+        else next.delete(x);
+      }
+      return next;
+    });
+  }
+
+  function selectAllResults() {
+    setBulkIds(new Set(selectableResults.map((r) => r.id)));
+  }
+
+  /** Mantener pulsado (táctil) entra en modo selección marcando el registro. */
+  function longPressProps(r) {
+    if (r.outbox) return {};
+    const cancel = () => clearTimeout(longPressRef.current);
+    return {
+      onPointerDown: (e) => {
+        if (e.pointerType !== "touch" || selecting) return;
+        cancel();
+        longPressRef.current = setTimeout(() => {
+          setSelecting(true);
+          setBulkIds(new Set([r.id]));
+          bulkAnchorRef.current = r.id;
+          navigator.vibrate?.(20);
+        }, LONG_PRESS_MS);
+      },
+      onPointerUp: cancel,
+      onPointerLeave: cancel,
+      onPointerCancel: cancel,
+    };
+  }
+
+  /** Lanza `worker` sobre `items` por lotes mostrando el progreso en la barra de selección. */
+  async function runBulk(label, items, worker) {
+    bulkStopRef.current = false;
+    setBulkTask({ label, done: 0, total: items.length });
+    try {
+      return await runBatched(items, worker, {
+        onProgress: (done, total) => setBulkTask({ label, done, total }),
+        shouldStop: () => bulkStopRef.current,
+      });
+    } finally {
+      setBulkTask(null);
+    }
+  }
+
+  /** Aviso de fallos parciales; solo los fallidos (o no hechos) siguen seleccionados para reintentar. */
+  function reportBulkResult(verb, res, idOf) {
+    const doneIds = new Set(res.done.map(idOf));
+    setBulkIds((prev) => new Set([...prev].filter((id) => !doneIds.has(id))));
+    if (res.failed.length) {
+      showError(t("bulk.failedKeepSelected", { verb, failures: describeFailures(res) }));
+    } else if (res.cancelled) {
+      notify("info", t("bulk.stopped", { verb, count: res.done.length }));
+    }
+  }
+
+  async function bulkDelete() {
+    const items = bulkRecords;
+    if (!items.length) return;
+    if (editingType === "record" && bulkIds.has(editingId)) cancelEdit();
+
+    const res = await runBulk(t("bulk.task.deleting"), items, async (r) => {
+      try {
+        await api.deleteRecord(r.id);
+      } catch (e) {
+        if (e?.status !== 404) throw e; // 404: ya no existía, cuenta como borrado
+      }
+      setRecords((l) => removeById(l, r.id));
+    });
+    reportBulkResult(t("bulk.verb.delete"), res, (r) => r.id);
+    if (res.done.length) {
+      notify("success", t("bulk.deleted", { count: res.done.length }), {
+        action: { label: t("common.undo"), onClick: () => bulkRestore(res.done) },
+        durationMs: UNDO_TOAST_MS,
+      });
+    }
+  }
+
+  /** Deshace un borrado en bloque volviendo a crear los registros con su fecha original. */
+  async function bulkRestore(list) {
+    const res = await runBulk(t("bulk.task.restoring"), list, (r) =>
+      api.createRecord(r.text, { clientId: newClientId(), tsUtc: r.tsUtc })
+    );
+    await refreshNewestRecords().catch(() => {});
+    if (res.failed.length) showError(t("bulk.restoreFailed", { failures: describeFailures(res) }));
+    else notify("success", t("bulk.restored", { count: res.done.length }));
+  }
+
+  async function updateRecordText({ record, text }) {
+    const resp = await api.updateRecord(record.id, { text });
+    const saved = resp?.record;
+    setRecords((l) => replaceById(l, record.id, saved?.id ? saved : { ...record, text }));
+    journalRevision(record).catch(() => {});
+  }
+
+  /** Aplica [{ record, text }] (buscar y reemplazar) con opción de deshacer. */
+  async function bulkReplace(changes) {
+    setBulkReplaceOpen(false);
+    const res = await runBulk(t("bulk.task.replacing"), changes, updateRecordText);
+    reportBulkResult(t("bulk.verb.replace"), res, (c) => c.record.id);
+    if (res.done.length) {
+      const undo = res.done.map(({ record, text }) => ({ record: { ...record, text }, text: record.text }));
+      notify("success", t("bulk.replaced", { count: res.done.length }), {
+        action: {
+          label: t("common.undo"),
+          onClick: async () => {
+            const back = await runBulk(t("bulk.task.undoing"), undo, updateRecordText);
+            if (back.failed.length) showError(t("bulk.undoFailed", { failures: describeFailures(back) }));
+          },
+        },
+        durationMs: UNDO_TOAST_MS,
+      });
+    }
+  }
+
+  function bulkExport() {
+    try {
+      if (!bulkRecords.length) throw new Error(t("bulk.noneSelected"));
+      exportRecords(bulkRecords, exportFormat, { query: t("bulk.exportQuery", { count: bulkRecords.length }) });
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  // Agrupación por día (registros), más recientes primero también dentro del día
+  const groupedRecords = useMemo(() => {
+    const sorted = [...filteredRecords].sort((a, b) => tsMs(b.tsUtc) - tsMs(a.tsUtc));
+    const map = new Map();
+    for (const r of sorted) {
+      const key = localDayKey(r.tsUtc);
       if (!map.has(key)) map.set(key, []);
       map.get(key).push(r);
     }
@@ -595,17 +1821,184 @@ export default function App() {
     return keys.map((k) => ({ dayKey: k, items: map.get(k) || [] }));
   }, [filteredRecords]);
 
-  // Agrupación por día (shortcuts)
-  const groupedShortcuts = useMemo(() => {
-    const map = new Map();
+  // Filas planas (cabecera de día + registros) para la lista virtualizada
+  const recordRows = useMemo(() => {
+    const rows = [];
+    for (const g of groupedRecords) {
+      rows.push({ type: "day", key: `day-${g.dayKey}`, tsUtc: g.items[0]?.tsUtc, count: g.items.length });
+      for (const r of g.items) rows.push({ type: "record", key: r.id, record: r });
+    }
+    return rows;
+  }, [groupedRecords]);
+
+  // Shortcuts por secciones (fijados, carpetas, sin carpeta) en el orden guardado
+  const shortcutSections = useMemo(
+    () => arrangeShortcuts(shortcuts, shortcutLayout),
+    [shortcuts, shortcutLayout]
+  );
+
+  // -------------------- Teclado: paleta (Ctrl/Cmd+K) y atajos --------------------
+
+  const pinnedShortcuts = shortcutSections.find((sec) => sec.id === PINNED_SECTION)?.items || [];
+
+  /** Cambia de pantalla; calendario y estadísticas conservan la búsqueda de registros. */
+  function goToScreen(name) {
+    navigate(screenRoute(name, { q: recordQuery }));
+  }
+
+  function goToRecords() {
+    goToScreen("records");
+  }
+
+  function focusSearch() {
+    goToRecords();
+    // tras pintar la pantalla de registros
+    setTimeout(() => searchInputRef.current?.focus(), 0);
+  }
+
+  function focusNewRecord() {
+    goToRecords();
+    setTimeout(() => recordInputRef.current?.focus(), 0);
+  }
+
+  function openRecord(r) {
+    setSelectedTags([]);
+    setSelectedRecordId(r.id);
+    navigate({ name: "records", day: localDayKey(r.tsUtc) });
+  }
+
+  function moveSelection(delta) {
+    const list = recordRows.filter((row) => row.type === "record").map((row) => row.record);
+    if (!list.length) return;
+    const i = list.findIndex((r) => r.id === selectedRecordId);
+    const next = i < 0 ? (delta > 0 ? 0 : list.length - 1) : Math.min(list.length - 1, Math.max(0, i + delta));
+    setSelectedRecordId(list[next].id);
+  }
+
+  function paletteCommands() {
+    const cmds = [
+      { id: "go-records", label: t("palette.goRecords"), hint: t("palette.hint.screen"), run: goToRecords },
+      {
+        id: "go-calendar",
+        label: t("palette.goCalendar"),
+        hint: t("palette.hint.screen"),
+        run: () => goToScreen("calendar"),
+      },
+      { id: "go-stats", label: t("palette.goStats"), hint: t("palette.hint.screen"), run: () => goToScreen("stats") },
+      {
+        id: "go-shortcuts",
+        label: t("palette.goShortcuts"),
+        hint: t("palette.hint.screen"),
+        run: () => goToScreen("shortcuts"),
+      },
+      { id: "new-record", label: t("palette.newRecord"), hint: "n", run: focusNewRecord },
+      { id: "search", label: t("palette.search"), hint: "/", run: focusSearch },
+      {
+        id: "reload",
+        label: t("common.reload"),
+        hint: t("palette.hint.action"),
+        run: () => refreshCurrentScreen().catch((e) => showError(e.message)),
+      },
+      ...Object.entries(EXPORT_FORMATS).map(([key, f]) => ({
+        id: `export-${key}`,
+        label: t("palette.export", { format: f.label }),
+        hint: t("palette.hint.action"),
+        run: () => handleExport(key),
+      })),
+      {
+        id: "import",
+        label: t("palette.import"),
+        hint: t("palette.hint.action"),
+        run: () => {
+          goToRecords();
+          setImportOpen(true);
+        },
+      },
+      ...LOCALES.filter((l) => l.id !== locale).map((l) => ({
+        id: `locale-${l.id}`,
+        label: t("palette.language", { language: l.name }),
+        hint: t("palette.hint.action"),
+        run: () => changeLocale(l.id),
+      })),
+      { id: "logout", label: t("common.logout"), hint: t("palette.hint.action"), run: handleLogout },
+    ];
+
+    pinnedShortcuts.slice(0, 9).forEach((s, i) => {
+      cmds.push({
+        id: `sc-${s.id}`,
+        label: t("palette.register", { text: s.text }),
+        hint: t("palette.hint.pinned", { n: i + 1 }),
+        run: () => registerFromShortcut(s),
+      });
+    });
     for (const s of shortcuts) {
-      const key = localDayKey(s.tsUtc);
-      if (!map.has(key)) map.set(key, []);
-      map.get(key).push(s);
+      if (pinnedShortcuts.includes(s)) continue;
+      cmds.push({
+        id: `sc-${s.id}`,
+        label: t("palette.register", { text: s.text }),
+        hint: t("palette.hint.shortcut"),
+        run: () => registerFromShortcut(s),
+      });
     }
-    const keys = Array.from(map.keys()).sort((a, b) => b.localeCompare(a));
-    return keys.map((k) => ({ dayKey: k, items: map.get(k) || [] }));
-  }, [shortcuts]);
+
+    const recent = [...displayRecords].sort((a, b) => tsMs(b.tsUtc) - tsMs(a.tsUtc)).slice(0, 30);
+    for (const r of recent) {
+      cmds.push({ id: `rec-${r.id}`, label: r.text, hint: formatLocalShort(r.tsUtc), run: () => openRecord(r) });
+    }
+    return cmds;
+  }
+
+  function handleHotkey(e) {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      setPaletteOpen((v) => !v);
+      return;
+    }
+    if (paletteOpen || reauthMessage || templatePrompt || bulkReplaceOpen || historyRecord) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (isTypingTarget(e.target)) {
+      if (e.key === "Escape") e.target.blur();
+      return;
+    }
+
+    const selected = displayRecords.find((r) => r.id === selectedRecordId);
+    const onRecords = screen === "records";
+
+    if (e.key === "/") focusSearch();
+    else if (e.key === "n") focusNewRecord();
+    else if (/^[1-9]$/.test(e.key) && pinnedShortcuts[Number(e.key) - 1]) {
+      registerFromShortcut(pinnedShortcuts[Number(e.key) - 1]);
+    } else if (onRecords && (e.key === "j" || e.key === "k")) moveSelection(e.key === "j" ? 1 : -1);
+    else if (onRecords && e.key === "e" && selected && !selected.outbox) startEdit("record", selected);
+    else if (onRecords && e.key === "h" && selected && !selected.outbox) setHistoryRecordId(selected.id);
+    else if (onRecords && e.key === "Delete" && selected) {
+      if (selected.outbox) discardOutbox(selected.outbox);
+      else deleteRecord(selected.id);
+      moveSelection(1);
+    } else if (e.key === "Escape" && selectedRecordId) setSelectedRecordId("");
+    else if (e.key === "Escape" && selecting && !bulkTask) exitSelectMode();
+    else return;
+    e.preventDefault();
+  }
+
+  // el listener se pone una vez; siempre llama a la versión actual del manejador
+  useEffect(() => {
+    hotkeyHandlerRef.current = handleHotkey;
+  });
+
+  useEffect(() => {
+    if (!isLogged) return;
+    const onKeyDown = (e) => hotkeyHandlerRef.current?.(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [isLogged]);
+
+  // el registro seleccionado con j/k, a la vista
+  useEffect(() => {
+    if (!selectedRecordId) return;
+    const el = document.querySelector(`[data-vkey="${CSS.escape(selectedRecordId)}"]`);
+    el?.scrollIntoView({ block: "nearest" });
+  }, [selectedRecordId, recordRows]);
 
   const tgSendDisabled =
     loading || !String(tgPin || "").trim() || tgCooldownUntilMs > Date.now();
@@ -614,11 +2007,57 @@ export default function App() {
   if (!isLogged) {
     return (
       <div style={{ maxWidth: 460, margin: "40px auto", padding: 16 }}>
-        <h2>Login</h2>
+        {updateAvailable && <UpdateBanner onDismiss={() => setUpdateAvailable(false)} />}
+        <h2>{t("login.title")}</h2>
 
         <form style={{ display: "grid", gap: 12 }}>
           <label>
-            URL de la API
+            {t("login.language")}
+            <select className="select" value={localePreference} onChange={(e) => changeLocale(e.target.value)}>
+              <option value="">{t("login.language.auto")}</option>
+              {LOCALES.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.name}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label>
+            {t("login.profile")}
+            <div style={{ display: "flex", gap: 8, alignItems: "stretch" }}>
+              <select
+                className="select"
+                value={profileId}
+                onChange={(e) => switchProfile(e.target.value)}
+                disabled={loading}
+              >
+                {profiles.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                    {p.hasSession ? ` ${t("login.profile.withSession")}` : ""}
+                  </option>
+                ))}
+              </select>
+              <button className="btn" type="button" onClick={handleNewProfile} disabled={loading}>
+                {t("login.profile.new")}
+              </button>
+            </div>
+          </label>
+
+          <label>
+            {t("login.profile.name")}
+            <input
+              className="input"
+              value={profileName}
+              onChange={(e) => handleRenameProfile(e.target.value)}
+              placeholder={t("login.profile.name.placeholder")}
+              disabled={loading}
+            />
+          </label>
+
+          <label>
+            {t("login.apiUrl")}
             <div style={{ display: "flex", gap: 8, alignItems: "stretch" }}>
               <select
                 className="select"
@@ -626,24 +2065,38 @@ export default function App() {
                 onChange={(e) => setApiScheme(e.target.value)}
                 style={{ width: 130 }}
                 disabled={loading}
-                title="Esquema"
+                title={t("login.apiUrl.scheme")}
               >
                 <option value="http://">http://</option>
                 <option value="https://">https://</option>
+                <option value={LOCAL_SCHEME}>{t("login.demo.option")}</option>
               </select>
 
-              <input
-                className="input"
-                value={apiHost}
-                onChange={(e) => setApiHost(e.target.value)}
-                placeholder="localhost:3000"
-                disabled={loading}
-              />
+              {apiScheme !== LOCAL_SCHEME && (
+                <input
+                  className="input"
+                  value={apiHost}
+                  onChange={(e) => setApiHost(e.target.value)}
+                  placeholder="localhost:3000"
+                  disabled={loading}
+                />
+              )}
             </div>
 
-            <div className="muted" style={{ marginTop: 6 }}>
-              Usando: <code>{joinApiUrl(apiScheme, apiHost) || "(vacío)"}</code>
-            </div>
+            {apiScheme === LOCAL_SCHEME ? (
+              <div className="muted" style={{ marginTop: 6 }}>
+                {t("login.demo.hint")} {t("login.demo.user")} <code>demo</code>, {t("login.demo.password")}{" "}
+                <code>demo</code>, {t("login.demo.pin")} <code>1234</code>.{" "}
+                <button className="btn" type="button" onClick={handleResetDemo} disabled={loading}>
+                  {t("login.demo.reset")}
+                </button>{" "}
+                {demoNotice}
+              </div>
+            ) : (
+              <div className="muted" style={{ marginTop: 6 }}>
+                {t("login.apiUrl.using")} <code>{joinApiUrl(apiScheme, apiHost) || t("login.apiUrl.empty")}</code>
+              </div>
+            )}
           </label>
 
           <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
@@ -653,11 +2106,12 @@ export default function App() {
               onClick={() => {
                 setLoginMode("password");
                 setError("");
+                setFieldErrors({});
                 setTgInfo("");
               }}
               disabled={loading}
             >
-              Contraseña
+              {t("login.mode.password")}
             </button>
 
             <button
@@ -666,13 +2120,14 @@ export default function App() {
               onClick={() => {
                 setLoginMode("telegram");
                 setError("");
+                setFieldErrors({});
                 setTgInfo("");
                 setTgStep("pin");
                 setTgCode("");
               }}
               disabled={loading}
             >
-              Telegram
+              {t("login.mode.telegram")}
             </button>
           </div>
         </form>
@@ -683,30 +2138,40 @@ export default function App() {
             style={{ display: "grid", gap: 12, marginTop: 12 }}
           >
             <label>
-              Usuario
+              {t("login.username")}
               <input
                 className="input"
                 value={username}
-                onChange={(e) => setUsername(e.target.value)}
+                onChange={(e) => {
+                  setUsername(e.target.value);
+                  clearFieldError("username");
+                }}
+                aria-invalid={Boolean(fieldErrors.username)}
               />
+              <FieldError message={fieldErrors.username} />
             </label>
 
             <label>
-              Contraseña
+              {t("login.password")}
               <input
                 className="input"
                 type="password"
                 value={password}
-                onChange={(e) => setPassword(e.target.value)}
+                onChange={(e) => {
+                  setPassword(e.target.value);
+                  clearFieldError("password");
+                }}
+                aria-invalid={Boolean(fieldErrors.password)}
               />
+              <FieldError message={fieldErrors.password} />
             </label>
 
             <button className="btn btnPrimary" disabled={loading}>
-              Entrar
+              {t("login.submit")}
             </button>
 
             <button className="btn" type="button" onClick={handleResetApiUrl} disabled={loading}>
-              Borrar URL y sesión
+              {t("login.reset")}
             </button>
           </form>
         ) : (
@@ -714,17 +2179,24 @@ export default function App() {
             <form className="card" style={{ padding: 12 }} onSubmit={handleSubmitPin}>
               <div style={{ display: "grid", gap: 12 }}>
                 <label>
-                  PIN (para enviar el código)
+                  {t("login.tg.pin")}
                   <input
                     className="input"
                     type="password"
                     value={tgPin}
-                    onChange={(e) => setTgPin(e.target.value)}
+                    onChange={(e) => {
+                      setTgPin(e.target.value);
+                      clearFieldError("pin");
+                    }}
+                    aria-invalid={Boolean(fieldErrors.pin)}
                   />
+                  <FieldError message={fieldErrors.pin} />
                 </label>
 
                 <button type="submit" className="btn btnPrimary" disabled={tgSendDisabled}>
-                  {tgCooldownLeftSec > 0 ? `Reintentar en ${tgCooldownLeftSec}s` : "Enviar código por Telegram"}
+                  {tgCooldownLeftSec > 0
+                    ? t("login.tg.retryIn", { seconds: tgCooldownLeftSec })
+                    : t("login.tg.send")}
                 </button>
 
                 {tgInfo && <p className="muted" style={{ margin: 0 }}>{tgInfo}</p>}
@@ -738,7 +2210,7 @@ export default function App() {
                 style={{ padding: 12, display: "grid", gap: 12 }}
               >
                 <label>
-                  Código (6 dígitos)
+                  {t("login.tg.code")}
                   <input
                     className="input"
                     inputMode="numeric"
@@ -747,12 +2219,15 @@ export default function App() {
                     onChange={(e) => {
                       const v = e.target.value.replace(/\D+/g, "").slice(0, 6);
                       setTgCode(v);
+                      clearFieldError("code");
                     }}
+                    aria-invalid={Boolean(fieldErrors.code)}
                   />
+                  <FieldError message={fieldErrors.code} />
                 </label>
 
                 <button className="btn btnPrimary" disabled={loading || tgCode.length !== 6}>
-                  Entrar con código
+                  {t("login.tg.submit")}
                 </button>
 
                 <button
@@ -766,17 +2241,29 @@ export default function App() {
                   }}
                   disabled={loading}
                 >
-                  Volver
+                  {t("common.back")}
                 </button>
               </form>
             )}
 
             <button className="btn" type="button" onClick={handleResetApiUrl} disabled={loading}>
-              Borrar URL y sesión
+              {t("login.reset")}
             </button>
           </div>
         )}
 
+        {profiles.length > 1 && (
+          <button
+            className="btn"
+            type="button"
+            onClick={handleDeleteProfile}
+            disabled={loading}
+            style={{ marginTop: 12, width: "100%" }}
+          >
+            {t("login.profile.delete", { name: profileName })}
+          </button>
+        )}
+
         {error && <p style={{ color: "#fb7185" }}>{error}</p>}
       </div>
     );
@@ -784,45 +2271,502 @@ export default function App() {
 
   // -------------------- LOGGED IN UI --------------------
 
+  function renderBulkCheckbox(r) {
+    return (
+      <input
+        type="checkbox"
+        className="bulkCheck"
+        checked={bulkIds.has(r.id)}
+        onChange={(e) => toggleChecked(r.id, e.nativeEvent.shiftKey)}
+        onClick={(e) => e.stopPropagation()}
+        disabled={Boolean(bulkTask)}
+        aria-label={t("records.select")}
+      />
+    );
+  }
+
+  /** La fecha del registro enlaza a su página (#/records/<id>), para abrirla o copiar el enlace. */
+  function renderRecordTime(r, label) {
+    if (r.outbox || selecting || String(r.id).startsWith("tmp-")) return label;
+    return (
+      <a className="recordLink" href={formatRoute({ name: "record", id: r.id })} title={t("records.link.title")}>
+        {label}
+      </a>
+    );
+  }
+
+  async function copyRecordLink(r) {
+    try {
+      await navigator.clipboard.writeText(routeUrl({ name: "record", id: r.id }));
+      notify("success", t("detail.linkCopied"));
+    } catch {
+      showError(t("detail.linkCopyError"));
+    }
+  }
+
+  function renderRecordDetail() {
+    const r = detailRecord;
+    if (!r) {
+      return (
+        <div style={{ display: "grid", gap: 12, justifyItems: "start" }}>
+          <p className="muted" style={{ margin: 0 }}>
+            {detailError || t("detail.loading")}
+          </p>
+          <button className="btn" onClick={goToRecords}>
+            {t("detail.back")}
+          </button>
+        </div>
+      );
+    }
+
+    const isEditing = editingType === "record" && editingId === r.id;
+    const busy = Boolean(busyIds[r.id]);
+
+    return (
+      <div className="recordDetail">
+        <div className="muted" style={{ fontFamily: "monospace" }}>
+          {formatLocalFromUtcIso(r.tsUtc)} <BusyBadge op={busyIds[r.id]} />
+        </div>
+
+        {isEditing ? (
+          <>
+            <input
+              className="input editTsInput"
+              type="datetime-local"
+              step="1"
+              value={editingTs}
+              onChange={(e) => setEditingTs(e.target.value)}
+              disabled={busy}
+              aria-label={t("edit.ts.label")}
+            />
+            <textarea
+              className="input"
+              rows={4}
+              value={editingText}
+              onChange={(e) => setEditingText(e.target.value)}
+              disabled={busy}
+              autoFocus
+            />
+          </>
+        ) : (
+          <div className="recordDetailText">
+            <HighlightText text={r.text} />
+            <TagChips text={r.text} />
+          </div>
+        )}
+
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {isEditing ? (
+            <>
+              <button className="btn btnPrimary" onClick={saveEdit} disabled={busy}>
+                {t("common.save")}
+              </button>
+              <button className="btn" onClick={cancelEdit} disabled={busy}>
+                {t("common.cancel")}
+              </button>
+            </>
+          ) : (
+            <>
+              <button className="btn" onClick={goToRecords}>
+                {t("detail.back")}
+              </button>
+              <button className="btn btnPrimary" onClick={() => startEdit("record", r)} disabled={busy}>
+                {t("common.edit")}
+              </button>
+              <button className="btn" onClick={() => copyRecordLink(r)}>
+                {t("detail.copyLink")}
+              </button>
+              <button className="btn" onClick={() => openRecord(r)}>
+                {t("detail.openDay")}
+              </button>
+              <button className="btn" onClick={() => setHistoryRecordId(r.id)} disabled={busy}>
+                🕘 {t("common.history")}
+              </button>
+              <button
+                className="btn btnDanger"
+                onClick={() => {
+                  deleteRecord(r.id);
+                  goToRecords();
+                }}
+                disabled={busy}
+              >
+                {t("common.delete")}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  function renderRecordCard(r) {
+    const isEditing = editingType === "record" && editingId === r.id;
+    const busy = Boolean(busyIds[r.id]);
+    const checkable = selecting && !r.outbox;
+
+    return (
+      <div
+        className={`itemCard ${r.outbox ? "itemCardPending" : ""} ${r.id === selectedRecordId ? "itemSelected" : ""} ${
+          bulkIds.has(r.id) ? "itemChecked" : ""
+        }`}
+        {...longPressProps(r)}
+        onClick={checkable && !bulkTask ? () => toggleChecked(r.id) : undefined}
+      >
+        <div className="itemCardTop">
+          <div className="itemMeta">
+            {renderRecordTime(r, formatLocalShort(r.tsUtc))} <OutboxBadge item={r.outbox} />{" "}
+            <BusyBadge op={busyIds[r.id]} />
+          </div>
+
+          <div className="itemActions">
+            {checkable ? (
+              renderBulkCheckbox(r)
+            ) : r.outbox ? (
+              <>
+                {r.outbox.status === "failed" && (
+                  <button className="btn btnPrimary iconBtn" onClick={() => retryOutbox(r.outbox)} title={t("common.retry")}>
+                    🔁
+                  </button>
+                )}
+                <button className="btn iconBtn" onClick={() => discardOutbox(r.outbox)} title={t("common.discard")}>
+                  🗑
+                </button>
+              </>
+            ) : isEditing ? (
+              <>
+                <button className="btn btnPrimary iconBtn" onClick={saveEdit} disabled={busy} title={t("common.save")}>
+                  💾
+                </button>
+                <button className="btn iconBtn" onClick={cancelEdit} disabled={busy} title={t("common.cancel")}>
+                  ✖️
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  className="btn btnPrimary iconBtn"
+                  onClick={() => startEdit("record", r)}
+                  disabled={busy}
+                  title={t("common.edit")}
+                >
+                  ✏️
+                </button>
+                <button
+                  className="btn iconBtn"
+                  onClick={() => setHistoryRecordId(r.id)}
+                  disabled={busy}
+                  title={t("common.history")}
+                >
+                  🕘
+                </button>
+                <button
+                  className="btn iconBtn"
+                  onClick={() => deleteRecord(r.id)}
+                  disabled={busy}
+                  title={t("common.delete")}
+                >
+                  🗑
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        <div style={{ whiteSpace: "pre-wrap" }}>
+          {isEditing ? (
+            <>
+              <input
+                className="input editTsInput"
+                type="datetime-local"
+                step="1"
+                value={editingTs}
+                onChange={(e) => setEditingTs(e.target.value)}
+                disabled={busy}
+                aria-label={t("edit.ts.label")}
+              />
+              <textarea
+                className="input"
+                rows={3}
+                value={editingText}
+                onChange={(e) => setEditingText(e.target.value)}
+                disabled={busy}
+                autoFocus
+              />
+            </>
+          ) : (
+            <>
+              <HighlightText text={r.text} highlights={recordSearch.highlights} />
+              <TagChips text={r.text} selected={selectedTags} onToggle={toggleTag} />
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  function renderRecordRow(r, measureProps) {
+    const isEditing = editingType === "record" && editingId === r.id;
+    const busy = Boolean(busyIds[r.id]);
+
+    const checkable = selecting && !r.outbox;
+
+    return (
+      <tr
+        {...measureProps}
+        className={`${r.outbox ? "rowPending" : ""} ${r.id === selectedRecordId ? "rowSelected" : ""} ${
+          bulkIds.has(r.id) ? "rowChecked" : ""
+        }`}
+      >
+        <td className="td" style={{ fontFamily: "monospace" }}>
+          {checkable && renderBulkCheckbox(r)} {renderRecordTime(r, formatLocalFromUtcIso(r.tsUtc))}{" "}
+          <OutboxBadge item={r.outbox} /> <BusyBadge op={busyIds[r.id]} />
+        </td>
+
+        <td className="td" style={{ whiteSpace: "pre-wrap" }}>
+          {isEditing ? (
+            <>
+              <input
+                className="input editTsInput"
+                type="datetime-local"
+                step="1"
+                value={editingTs}
+                onChange={(e) => setEditingTs(e.target.value)}
+                disabled={busy}
+                aria-label={t("edit.ts.label")}
+              />
+              <textarea
+                className="input"
+                rows={2}
+                value={editingText}
+                onChange={(e) => setEditingText(e.target.value)}
+                disabled={busy}
+                autoFocus
+              />
+            </>
+          ) : (
+            <>
+              <HighlightText text={r.text} highlights={recordSearch.highlights} />
+              <TagChips text={r.text} selected={selectedTags} onToggle={toggleTag} />
+            </>
+          )}
+        </td>
+
+        <td className="td" style={{ textAlign: "center" }}>
+          {checkable ? null : r.outbox ? (
+            <div style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
+              {r.outbox.status === "failed" && (
+                <button className="btn btnPrimary" onClick={() => retryOutbox(r.outbox)}>
+                  {t("common.retry")}
+                </button>
+              )}
+              <button className="btn" onClick={() => discardOutbox(r.outbox)} title={t("common.discard")}>
+                🗑
+              </button>
+            </div>
+          ) : isEditing ? (
+            <div style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
+              <button className="btn btnPrimary" onClick={saveEdit} disabled={busy}>
+                {t("common.save")}
+              </button>
+              <button className="btn" onClick={cancelEdit} disabled={busy}>
+                {t("common.cancel")}
+              </button>
+            </div>
+          ) : (
+            <div style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
+              <button className="btn btnPrimary" onClick={() => startEdit("record", r)} disabled={busy}>
+                {t("common.edit")}
+              </button>
+              <button className="btn" onClick={() => setHistoryRecordId(r.id)} disabled={busy} title={t("common.history")}>
+                🕘
+              </button>
+              <button className="btn" onClick={() => deleteRecord(r.id)} disabled={busy} title={t("common.delete")}>
+                🗑
+              </button>
+            </div>
+          )}
+        </td>
+      </tr>
+    );
+  }
+
+  // Secciones vacías: solo al ordenar (carpetas) o al arrastrar (para poder soltar)
+  function isSectionVisible(sec) {
+    if (sec.items.length) return true;
+    if (draggingShortcutId) return true;
+    return arrangingShortcuts && sec.id !== PINNED_SECTION;
+  }
+
+  function renderSectionTitle(sec) {
+    const isFolder = shortcutLayout.folders.some((f) => f.id === sec.id);
+    return (
+      <>
+        {arrangingShortcuts && isFolder ? (
+          <span style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            📁
+            <input
+              key={sec.name}
+              className="input folderNameInput"
+              defaultValue={sec.name}
+              onBlur={(e) => {
+                const name = e.target.value.trim();
+                if (name && name !== sec.name) updateShortcutLayout(renameFolder(shortcutLayout, sec.id, name));
+              }}
+              aria-label={t("shortcuts.folder.name")}
+            />
+            <button
+              className="btn iconBtn"
+              onClick={() => updateShortcutLayout(removeFolder(shortcutLayout, sec.id))}
+              title={t("shortcuts.folder.delete")}
+            >
+              🗑
+            </button>
+          </span>
+        ) : (
+          <span>
+            {sec.id === PINNED_SECTION ? "★ " : isFolder ? "📁 " : ""}
+            {isFolder ? sec.name : t(sec.name)}
+          </span>
+        )}
+        <small>{t("shortcuts.count", { count: sec.items.length })}</small>
+      </>
+    );
+  }
+
+  function renderFolderSelect(s) {
+    if (!shortcutLayout.folders.length) return null;
+    return (
+      <select
+        className="select"
+        value={shortcutLayout.folders.some((f) => f.id === shortcutLayout.folderOf[s.id]) ? shortcutLayout.folderOf[s.id] : ""}
+        onChange={(e) => updateShortcutLayout(setFolder(shortcuts, shortcutLayout, s.id, e.target.value))}
+        style={{ width: "auto", maxWidth: 160 }}
+        title={t("shortcuts.folder")}
+      >
+        <option value="">{t("shortcuts.folder.none")}</option>
+        {shortcutLayout.folders.map((f) => (
+          <option key={f.id} value={f.id}>
+            {f.name}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
   return (
     <div className="withBottomNav" style={{ maxWidth: 980, margin: "40px auto", padding: 16 }}>
+      {updateAvailable && <UpdateBanner onDismiss={() => setUpdateAvailable(false)} />}
+      <ToastStack toasts={toasts} onDismiss={dismissToast} />
+      {paletteOpen && <CommandPalette commands={paletteCommands()} onClose={() => setPaletteOpen(false)} />}
+      {historyRecord && (
+        <RevisionHistory
+          record={historyRecord}
+          onRestore={(revision) => restoreRevision(historyRecord, revision)}
+          onClose={() => setHistoryRecordId("")}
+        />
+      )}
+      {bulkReplaceOpen && (
+        <BulkReplaceDialog
+          records={bulkRecords}
+          onSubmit={bulkReplace}
+          onCancel={() => setBulkReplaceOpen(false)}
+        />
+      )}
+      {templatePrompt && (
+        <TemplatePromptDialog
+          parts={templatePrompt.parts}
+          counter={templatePrompt.counter}
+          now={new Date(templatePrompt.tsUtc)}
+          onCancel={() => setTemplatePrompt(null)}
+          onSubmit={(text) => {
+            setTemplatePrompt(null);
+            registerShortcutText(templatePrompt.shortcut, text, templatePrompt.tsUtc);
+          }}
+        />
+      )}
+      {reauthMessage && (
+        <ReauthDialog
+          message={reauthMessage}
+          profileName={profileName}
+          onSuccess={handleReauthSuccess}
+          onLogout={handleLogout}
+        />
+      )}
       <div className="toolbar">
         <div>
-          <h2 style={{ margin: 0 }}>{screen === "records" ? "Registros" : "Accesos directos"}</h2>
+          <h2 style={{ margin: 0 }}>
+            {t(SCREEN_TITLES[screen])}
+          </h2>
           <div className="muted">
             API: <code>{getApiUrl()}</code>
+            {liveStatus && (
+              <span className={`liveStatus liveStatus-${liveStatus}`} title={t(LIVE_STATUS_TITLES[liveStatus])}>
+                {t(LIVE_STATUS_LABELS[liveStatus])}
+              </span>
+            )}
           </div>
         </div>
 
         <div style={{ display: "flex", gap: 8, flexWrap: "wrap", justifyContent: "flex-end" }}>
+          <select
+            className="select"
+            value={profileId}
+            onChange={(e) => {
+              if (e.target.value === "__new") handleNewProfile();
+              else switchProfile(e.target.value);
+            }}
+            style={{ width: "auto", maxWidth: 200 }}
+            title={t("login.profile")}
+          >
+            {profiles.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+                {p.id !== profileId && !p.hasSession ? ` ${t("header.profile.noSession")}` : ""}
+              </option>
+            ))}
+            <option value="__new">{t("header.profile.new")}</option>
+          </select>
+          <select
+            className="select"
+            value={locale}
+            onChange={(e) => changeLocale(e.target.value)}
+            style={{ width: "auto" }}
+            title={t("login.language")}
+            aria-label={t("login.language")}
+          >
+            {LOCALES.map((l) => (
+              <option key={l.id} value={l.id}>
+                {l.id.toUpperCase()}
+              </option>
+            ))}
+          </select>
           <button className="btn" onClick={refreshCurrentScreen} disabled={loading}>
-            Recargar
+            {t("common.reload")}
           </button>
           <button className="btn" onClick={handleLogout}>
-            Salir
+            {t("common.logout")}
           </button>
         </div>
       </div>
 
-      {error && <p style={{ color: "#fb7185" }}>{error}</p>}
-      {loading && <p className="muted">Cargando...</p>}
+      {loading && <p className="muted">{t("common.loading")}</p>}
 
       {screen === "records" ? (
         <div className="card" style={{ marginTop: 16, overflow: "hidden" }}>
-          <div className="toolbar" style={{ padding: 12, gap: 10, alignItems: "stretch" }}>
-            <div style={{ display: "flex", gap: 8, flex: 1, alignItems: "stretch" }}>
+          <div className="toolbar" style={{ padding: 12, gap: 10, alignItems: "stretch", flexWrap: "wrap" }}>
+            <div style={{ display: "flex", gap: 8, flex: 1, minWidth: 260, alignItems: "stretch" }}>
               <textarea
                 ref={recordInputRef}
                 className="input"
                 rows={mobileLike ? 3 : 2}
-                placeholder={
-                  mobileLike
-                    ? "Escribe un texto..."
-                    : "Escribe un texto (Enter envía, Shift+Enter salto de línea)..."
-                }
+                placeholder={mobileLike ? t("records.new.placeholderMobile") : t("records.new.placeholder")}
                 value={newRecordText}
-                onChange={(e) => setNewRecordText(e.target.value)}
+                onChange={(e) => {
+                  setNewRecordText(e.target.value);
+                  setRecordInputError("");
+                }}
                 disabled={loading}
+                aria-invalid={Boolean(recordInputError)}
                 onKeyDown={(e) => {
                   if (mobileLike) return;
                   if (e.key === "Enter" && !e.shiftKey) {
@@ -837,102 +2781,191 @@ export default function App() {
                 onClick={createRecordFromInput}
                 disabled={loading || !newRecordText.trim()}
               >
-                {mobileLike ? "Enviar" : "Guardar"}
+                {mobileLike ? t("records.new.send") : t("common.save")}
               </button>
             </div>
+            <WhenPicker value={recordWhen} onChange={setRecordWhen} disabled={loading} />
+            {recordInputError && <div className="searchError" style={{ flexBasis: "100%" }}>{recordInputError}</div>}
           </div>
 
           <div style={{ padding: 12, paddingTop: 0 }}>
             <input
+              ref={searchInputRef}
               className="input"
-              placeholder="Buscar en registros…"
+              placeholder={t("search.placeholder")}
               value={recordQuery}
               onChange={(e) => setRecordQuery(e.target.value)}
               disabled={loading}
+              aria-invalid={Boolean(recordSearch.error)}
+              title={t("search.help")}
             />
+            {recordSearch.error && (
+              <div className="searchError">{t(recordSearch.error.key, recordSearch.error.params)}</div>
+            )}
             <div className="muted" style={{ marginTop: 6 }}>
-              {recordQuery.trim()
-                ? `${filteredRecords.length} resultado(s)`
-                : `${records.length} registro(s)`}
+              {isFiltering
+                ? t("records.results", { count: filteredRecords.length })
+                : t(hasMoreRecords ? "records.countMore" : "records.count", { count: records.length })}
             </div>
-          </div>
 
-          {mobileLike ? (
-            <div style={{ paddingBottom: 6 }}>
-              {groupedRecords.map((g) => (
-                <div key={g.dayKey}>
-                  <div className="dayGroupHeader">
-                    <span>{localDayLabel(g.items[0]?.tsUtc)}</span>
-                    <small>{g.items.length} registro(s)</small>
-                  </div>
+            {dayFilter && (
+              <div className="tagCloudControls" style={{ marginTop: 8 }}>
+                <span className="tagChip tagChipActive">
+                  {t("records.day", { day: localDayLabel(`${dayFilter}T12:00:00`) })}
+                </span>
+                <button className="btn" onClick={clearDayFilter}>
+                  {t("records.allDays")}
+                </button>
+              </div>
+            )}
 
-                  <div className="listCards" style={{ paddingTop: 0 }}>
-                    {g.items.map((r) => {
-                      const isEditing = editingType === "record" && editingId === r.id;
+            <TagCloud
+              tags={recordTags}
+              selected={selectedTags}
+              mode={tagMode}
+              onToggle={toggleTag}
+              onModeChange={setTagMode}
+              onClear={() => setSelectedTags([])}
+            />
 
-                      return (
-                        <div key={r.id} className="itemCard">
-                          <div className="itemCardTop">
-                            <div className="itemMeta">{formatLocalShort(r.tsUtc)}</div>
+            <div className="exportBar">
+              <select
+                className="select"
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                style={{ width: 130 }}
+                title={t("export.format")}
+              >
+                {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+                  <option key={key} value={key}>
+                    {f.label}
+                  </option>
+                ))}
+              </select>
 
-                            <div className="itemActions">
-                              {isEditing ? (
-                                <>
-                                  <button className="btn btnPrimary iconBtn" onClick={saveEdit} disabled={loading} title="Guardar">
-                                    💾
-                                  </button>
-                                  <button className="btn iconBtn" onClick={cancelEdit} disabled={loading} title="Cancelar">
-                                    ✖️
-                                  </button>
-                                </>
-                              ) : (
-                                <>
-                                  <button
-                                    className="btn btnPrimary iconBtn"
-                                    onClick={() => startEdit("record", r)}
-                                    disabled={loading}
-                                    title="Editar"
-                                  >
-                                    ✏️
-                                  </button>
-                                  <button
-                                    className="btn iconBtn"
-                                    onClick={() => deleteRecord(r.id)}
-                                    disabled={loading}
-                                    title="Borrar"
-                                  >
-                                    🗑
-                                  </button>
-                                </>
-                              )}
-                            </div>
-                          </div>
+              {isFiltering && (
+                <label className="muted" style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <span className="switch">
+                    <input
+                      type="checkbox"
+                      checked={exportOnlyFiltered}
+                      onChange={(e) => setExportOnlyFiltered(e.target.checked)}
+                    />
+                    <span className="slider" />
+                  </span>
+                  {t("export.onlyResults")}
+                </label>
+              )}
 
-                          <div style={{ whiteSpace: "pre-wrap" }}>
-                            {isEditing ? (
-                              <textarea
-                                className="input"
-                                rows={3}
-                                value={editingText}
-                                onChange={(e) => setEditingText(e.target.value)}
-                                disabled={loading}
-                              />
-                            ) : (
-                              <HighlightText text={r.text} query={recordQuery} />
-                            )}
-                          </div>
-                        </div>
-                      );
-                    })}
-                  </div>
-                </div>
-              ))}
+              <button className="btn" onClick={() => handleExport()} disabled={loading || records.length === 0}>
+                {t("export.button")}
+              </button>
+              <button className="btn" onClick={() => setImportOpen(true)} disabled={loading || importOpen}>
+                {t("import.button")}
+              </button>
+              <button
+                className={`btn ${selecting ? "btnPrimary" : ""}`}
+                onClick={() => (selecting ? exitSelectMode() : setSelecting(true))}
+                disabled={loading || Boolean(bulkTask)}
+                title={mobileLike ? t("bulk.select.hintMobile") : t("bulk.select.hint")}
+              >
+                {selecting ? t("bulk.select.done") : t("bulk.select")}
+              </button>
+            </div>
+
+            {selecting && (
+              <div className="bulkBar">
+                {bulkTask ? (
+                  <>
+                    <progress max={bulkTask.total || 1} value={bulkTask.done} style={{ flex: 1 }} />
+                    <span className="muted">
+                      {bulkTask.label}… {bulkTask.done} / {bulkTask.total}
+                    </span>
+                    <button className="btn" onClick={() => (bulkStopRef.current = true)}>
+                      {t("bulk.stop")}
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <strong>{t("bulk.selected", { count: bulkRecords.length })}</strong>
+                    <button
+                      className="btn"
+                      onClick={selectAllResults}
+                      disabled={!selectableResults.length}
+                      title={hasMoreRecords ? t("bulk.all.loadedOnly") : undefined}
+                    >
+                      {isFiltering ? t("bulk.allResults") : t("bulk.all")} ({selectableResults.length}
+                      {hasMoreRecords ? "+" : ""})
+                    </button>
+                    <button className="btn" onClick={() => setBulkIds(new Set())} disabled={!bulkRecords.length}>
+                      {t("bulk.none")}
+                    </button>
+                    <span style={{ flex: 1 }} />
+                    <button className="btn" onClick={() => setBulkReplaceOpen(true)} disabled={!bulkRecords.length}>
+                      {t("bulk.replace.button")}
+                    </button>
+                    <button className="btn" onClick={bulkExport} disabled={!bulkRecords.length}>
+                      {t("bulk.export", { format: EXPORT_FORMATS[exportFormat].label })}
+                    </button>
+                    <button className="btn btnDanger" onClick={bulkDelete} disabled={!bulkRecords.length}>
+                      {t("common.delete")} {bulkRecords.length || ""}
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+
+            {importOpen && (
+              <ImportPanel
+                records={records}
+                onClose={() => setImportOpen(false)}
+                onImported={() => loadRecords().catch((e) => showError(e.message))}
+              />
+            )}
+
+            {outboxItems.length > 0 && (
+              <div className="outboxBar">
+                <span>
+                  {outboxPendingCount > 0 && t("outbox.bar.pending", { count: outboxPendingCount })}
+                  {outboxPendingCount > 0 && outboxFailedCount > 0 && " · "}
+                  {outboxFailedCount > 0 && t("outbox.bar.failed", { count: outboxFailedCount })}
+                </span>
+                <button className="btn" onClick={syncOutbox} disabled={outboxPendingCount === 0}>
+                  {t("outbox.bar.sync")}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {mobileLike ? (
+            <div style={{ paddingBottom: 6 }}>
+              <VirtualList
+                rows={recordRows}
+                getKey={rowKey}
+                estimateHeight={estimateCardRowHeight}
+                onEndReached={isFiltering ? loadOlderForFilter : loadOlderRecords}
+                renderSpacer={(height, key, ref) => <div key={key} ref={ref} style={{ height }} />}
+                renderRow={(row, measureProps) =>
+                  row.type === "day" ? (
+                    <div {...measureProps} className="vRowHeader">
+                      <div className="dayGroupHeader">
+                        <span>{localDayLabel(row.tsUtc)}</span>
+                        <small>{t("records.count", { count: row.count })}</small>
+                      </div>
+                    </div>
+                  ) : (
+                    <div {...measureProps} className="vRowCard">
+                      {renderRecordCard(row.record)}
+                    </div>
+                  )
+                }
+              />
 
-              {filteredRecords.length === 0 && (
+              {filteredRecords.length === 0 && !hasMoreRecords && (
                 <div className="listCards">
                   <div className="itemCard">
                     <div className="muted">
-                      {recordQuery.trim() ? "No hay resultados para esa búsqueda." : "No hay registros todavía."}
+                      {isFiltering ? t("records.noResults") : t("records.empty")}
                     </div>
                   </div>
                 </div>
@@ -943,87 +2976,96 @@ export default function App() {
               <thead>
                 <tr>
                   <th className="th" style={{ width: 280 }}>
-                    Fecha (local)
+                    {t("records.col.date")}
                   </th>
-                  <th className="th">Texto</th>
-                  <th className="th" style={{ width: 190, textAlign: "center" }}>
-                    Acciones
+                  <th className="th">{t("records.col.text")}</th>
+                  <th className="th" style={{ width: 230, textAlign: "center" }}>
+                    {t("records.col.actions")}
                   </th>
                 </tr>
               </thead>
 
               <tbody>
-                {groupedRecords.map((g) => (
-                  <Fragment key={g.dayKey}>
-                    <tr className="daySepRow">
-                      <td className="td" colSpan={3}>
-                        <div className="daySepLabel">
-                          <span>{localDayLabel(g.items[0]?.tsUtc)}</span>
-                          <small>{g.items.length} registro(s)</small>
-                        </div>
-                      </td>
+                <VirtualList
+                  rows={recordRows}
+                  getKey={rowKey}
+                  estimateHeight={estimateTableRowHeight}
+                  onEndReached={isFiltering ? loadOlderForFilter : loadOlderRecords}
+                  renderSpacer={(height, key, ref) => (
+                    <tr key={key} ref={ref} aria-hidden="true">
+                      <td colSpan={3} style={{ height, padding: 0, border: 0 }} />
                     </tr>
+                  )}
+                  renderRow={(row, measureProps) =>
+                    row.type === "day" ? (
+                      <tr {...measureProps} className="daySepRow">
+                        <td className="td" colSpan={3}>
+                          <div className="daySepLabel">
+                            <span>{localDayLabel(row.tsUtc)}</span>
+                            <small>{t("records.count", { count: row.count })}</small>
+                          </div>
+                        </td>
+                      </tr>
+                    ) : (
+                      renderRecordRow(row.record, measureProps)
+                    )
+                  }
+                />
 
-                    {g.items.map((r) => {
-                      const isEditing = editingType === "record" && editingId === r.id;
-
-                      return (
-                        <tr key={r.id}>
-                          <td className="td" style={{ fontFamily: "monospace" }}>
-                            {formatLocalFromUtcIso(r.tsUtc)}
-                          </td>
-
-                          <td className="td" style={{ whiteSpace: "pre-wrap" }}>
-                            {isEditing ? (
-                              <textarea
-                                className="input"
-                                rows={2}
-                                value={editingText}
-                                onChange={(e) => setEditingText(e.target.value)}
-                                disabled={loading}
-                              />
-                            ) : (
-                              <HighlightText text={r.text} query={recordQuery} />
-                            )}
-                          </td>
-
-                          <td className="td" style={{ textAlign: "center" }}>
-                            {isEditing ? (
-                              <div style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
-                                <button className="btn btnPrimary" onClick={saveEdit} disabled={loading}>
-                                  Guardar
-                                </button>
-                                <button className="btn" onClick={cancelEdit} disabled={loading}>
-                                  Cancelar
-                                </button>
-                              </div>
-                            ) : (
-                              <div style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
-                                <button className="btn btnPrimary" onClick={() => startEdit("record", r)} disabled={loading}>
-                                  Editar
-                                </button>
-                                <button className="btn" onClick={() => deleteRecord(r.id)} disabled={loading} title="Borrar">
-                                  🗑
-                                </button>
-                              </div>
-                            )}
-                          </td>
-                        </tr>
-                      );
-                    })}
-                  </Fragment>
-                ))}
-
-                {filteredRecords.length === 0 && (
+                {filteredRecords.length === 0 && !hasMoreRecords && (
                   <tr>
                     <td className="td muted" colSpan={3}>
-                      {recordQuery.trim() ? "No hay resultados para esa búsqueda." : "No hay registros todavía."}
+                      {isFiltering ? t("records.noResults") : t("records.empty")}
                     </td>
                   </tr>
                 )}
               </tbody>
             </table>
           )}
+
+          <div className="listFooter muted">
+            {loadingMore ? (
+              t("records.loadingOlder")
+            ) : filterPaused ? (
+              <>
+                {t("records.filterPaused")}{" "}
+                <button className="btn" onClick={searchOlderRecords}>
+                  {t("records.searchOlder")}
+                </button>
+              </>
+            ) : hasMoreRecords ? (
+              <button className="btn" onClick={loadOlderRecords}>
+                {t("records.loadOlder")}
+              </button>
+            ) : (
+              records.length > 0 && t("records.noMore")
+            )}
+          </div>
+        </div>
+      ) : screen === "record" ? (
+        <div className="card" style={{ marginTop: 16, padding: 12 }}>
+          {renderRecordDetail()}
+        </div>
+      ) : screen === "calendar" ? (
+        <div className="card" style={{ marginTop: 16, padding: 12 }}>
+          <CalendarView
+            records={searchedRecords}
+            filterLabel={searchFilterLabel}
+            hasMore={hasMoreRecords}
+            loadingMore={loadingMore}
+            onLoadMore={loadOlderRecords}
+            onOpenDay={openDay}
+          />
+        </div>
+      ) : screen === "stats" ? (
+        <div className="card" style={{ marginTop: 16, padding: 12 }}>
+          <StatsView
+            records={displayRecords}
+            shortcuts={shortcuts}
+            hasMore={hasMoreRecords}
+            loadingMore={loadingMore}
+            onLoadMore={loadOlderRecords}
+          />
         </div>
       ) : (
         <div className="card" style={{ marginTop: 16, overflow: "hidden" }}>
@@ -1033,11 +3075,7 @@ export default function App() {
                 ref={shortcutInputRef}
                 className="input"
                 rows={mobileLike ? 3 : 2}
-                placeholder={
-                  mobileLike
-                    ? "Texto del acceso directo..."
-                    : "Texto del acceso directo (Enter guarda, Shift+Enter salto de línea)..."
-                }
+                placeholder={mobileLike ? t("shortcuts.new.placeholderMobile") : t("shortcuts.new.placeholder")}
                 value={newShortcutText}
                 onChange={(e) => setNewShortcutText(e.target.value)}
                 disabled={loading}
@@ -1056,84 +3094,169 @@ export default function App() {
                 onClick={createShortcutFromInput}
                 disabled={loading || !newShortcutText.trim()}
               >
-                Guardar
+                {t("common.save")}
               </button>
             </div>
           </div>
 
+          <div style={{ padding: "0 12px" }}>
+            <TemplatePreview text={newShortcutText} />
+            <details className="muted" style={{ marginBottom: 8 }}>
+              <summary>{t("template.help.title")}</summary>
+              <code>{"{{time}}"}</code> {t("template.help.time")}, <code>{"{{date}}"}</code> {t("template.help.date")},{" "}
+              <code>{"{{weekday}}"}</code> {t("template.help.weekday")}, <code>{"{{counter}}"}</code>{" "}
+              {t("template.help.counter")}, <code>{"{{prompt:kg|number}}"}</code> {t("template.help.number")},{" "}
+              <code>{`{{prompt:${t("template.help.textExample")}}}`}</code> {t("template.help.text")},{" "}
+              <code>{`{{prompt:${t("template.help.choiceExample")}}}`}</code> {t("template.help.choice")}.
+            </details>
+          </div>
+
+          <div className="shortcutToolbar">
+            <button
+              className={`btn ${arrangingShortcuts ? "btnPrimary" : ""}`}
+              onClick={() => setArrangingShortcuts((v) => !v)}
+            >
+              {arrangingShortcuts ? t("shortcuts.arrange.done") : t("shortcuts.arrange")}
+            </button>
+            {!arrangingShortcuts && <WhenPicker value={recordWhen} onChange={setRecordWhen} disabled={loading} />}
+            {arrangingShortcuts && (
+              <form
+                style={{ display: "flex", gap: 8 }}
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  handleAddFolder();
+                }}
+              >
+                <input
+                  className="input"
+                  placeholder={t("shortcuts.folder.new")}
+                  value={newFolderName}
+                  onChange={(e) => setNewFolderName(e.target.value)}
+                />
+                <button className="btn" disabled={!newFolderName.trim()}>
+                  {t("common.add")}
+                </button>
+              </form>
+            )}
+            {!mobileLike && !arrangingShortcuts && (
+              <span className="muted">{t("shortcuts.dragHint")}</span>
+            )}
+          </div>
+
           {mobileLike ? (
             <div style={{ paddingBottom: 6 }}>
-              {groupedShortcuts.map((g) => (
-                <div key={g.dayKey}>
-                  <div className="dayGroupHeader">
-                    <span>{localDayLabel(g.items[0]?.tsUtc)}</span>
-                    <small>{g.items.length} shortcut(s)</small>
-                  </div>
-
-                  <div className="listCards" style={{ paddingTop: 0 }}>
-                    {g.items.map((s) => {
-                      const isEditing = editingType === "shortcut" && editingId === s.id;
+              {shortcutSections.map((sec) =>
+                !isSectionVisible(sec) ? null : (
+                  <div key={sec.id || "none"}>
+                    <div className="dayGroupHeader">{renderSectionTitle(sec)}</div>
+
+                    {arrangingShortcuts ? (
+                      <div className="listCards" style={{ paddingTop: 0 }}>
+                        {sec.items.map((s, i) => {
+                          const isEditing = editingType === "shortcut" && editingId === s.id;
+                          const busy = Boolean(busyIds[s.id]);
+
+                          return (
+                            <div key={s.id} className="itemCard">
+                              <div className="itemCardTop">
+                                <div className="itemMeta">
+                                  <BusyBadge op={busyIds[s.id]} />
+                                </div>
+
+                                <div className="itemActions">
+                                  {isEditing ? (
+                                    <>
+                                      <button className="btn btnPrimary iconBtn" onClick={saveEdit} disabled={busy} title={t("common.save")}>
+                                        💾
+                                      </button>
+                                      <button className="btn iconBtn" onClick={cancelEdit} disabled={busy} title={t("common.cancel")}>
+                                        ✖️
+                                      </button>
+                                    </>
+                                  ) : (
+                                    <>
+                                      <button
+                                        className="btn iconBtn"
+                                        onClick={() => updateShortcutLayout(togglePinned(shortcuts, shortcutLayout, s.id))}
+                                        title={sec.id === PINNED_SECTION ? t("shortcuts.unpin") : t("shortcuts.pin")}
+                                      >
+                                        {sec.id === PINNED_SECTION ? "★" : "☆"}
+                                      </button>
+                                      <button
+                                        className="btn iconBtn"
+                                        onClick={() => updateShortcutLayout(shiftShortcut(shortcuts, shortcutLayout, s.id, -1))}
+                                        disabled={i === 0}
+                                        title={t("common.moveUp")}
+                                      >
+                                        ↑
+                                      </button>
+                                      <button
+                                        className="btn iconBtn"
+                                        onClick={() => updateShortcutLayout(shiftShortcut(shortcuts, shortcutLayout, s.id, 1))}
+                                        disabled={i === sec.items.length - 1}
+                                        title={t("common.moveDown")}
+                                      >
+                                        ↓
+                                      </button>
+                                      <button className="btn iconBtn" onClick={() => startEdit("shortcut", s)} disabled={busy} title={t("common.edit")}>
+                                        ✏️
+                                      </button>
+                                      <button className="btn iconBtn" onClick={() => deleteShortcut(s.id)} disabled={busy} title={t("common.delete")}>
+                                        🗑
+                                      </button>
+                                    </>
+                                  )}
+                                </div>
+                              </div>
 
-                      return (
-                        <div key={s.id} className="itemCard">
-                          <div className="itemCardTop">
-                            <div className="itemMeta">{formatLocalShort(s.tsUtc)}</div>
+                              <div style={{ whiteSpace: "pre-wrap" }}>
+                                {isEditing ? (
+                                  <>
+                                    <textarea
+                                      className="input"
+                                      rows={3}
+                                      value={editingText}
+                                      onChange={(e) => setEditingText(e.target.value)}
+                                      disabled={busy}
+                                    />
+                                    <TemplatePreview text={editingText} />
+                                  </>
+                                ) : (
+                                  <>
+                                    <HighlightText text={s.text} />
+                                    <TagChips text={s.text} />
+                                  </>
+                                )}
+                              </div>
 
-                            <div className="itemActions">
-                              {isEditing ? (
-                                <>
-                                  <button className="btn btnPrimary iconBtn" onClick={saveEdit} disabled={loading} title="Guardar">
-                                    💾
-                                  </button>
-                                  <button className="btn iconBtn" onClick={cancelEdit} disabled={loading} title="Cancelar">
-                                    ✖️
-                                  </button>
-                                </>
-                              ) : (
-                                <>
-                                  <button
-                                    className="btn btnPrimary iconBtn"
-                                    onClick={() => registerFromShortcut(s.text)}
-                                    disabled={loading}
-                                    title="Registrar"
-                                  >
-                                    ➕
-                                  </button>
-                                  <button className="btn iconBtn" onClick={() => startEdit("shortcut", s)} disabled={loading} title="Editar">
-                                    ✏️
-                                  </button>
-                                  <button className="btn iconBtn" onClick={() => deleteShortcut(s.id)} disabled={loading} title="Borrar">
-                                    🗑
-                                  </button>
-                                </>
-                              )}
+                              {!isEditing && renderFolderSelect(s)}
                             </div>
-                          </div>
-
-                          <div style={{ whiteSpace: "pre-wrap" }}>
-                            {isEditing ? (
-                              <textarea
-                                className="input"
-                                rows={3}
-                                value={editingText}
-                                onChange={(e) => setEditingText(e.target.value)}
-                                disabled={loading}
-                              />
-                            ) : (
-                              s.text
-                            )}
-                          </div>
-                        </div>
-                      );
-                    })}
+                          );
+                        })}
+                      </div>
+                    ) : (
+                      <div className="shortcutGrid">
+                        {sec.items.map((s) => (
+                          <button
+                            key={s.id}
+                            className="shortcutTile"
+                            onClick={() => registerFromShortcut(s)}
+                            disabled={Boolean(busyIds[s.id])}
+                            title={t("shortcuts.register")}
+                          >
+                            <HighlightText text={s.text} />
+                          </button>
+                        ))}
+                      </div>
+                    )}
                   </div>
-                </div>
-              ))}
+                )
+              )}
 
               {shortcuts.length === 0 && (
                 <div className="listCards">
                   <div className="itemCard">
-                    <div className="muted">No hay shortcuts todavía.</div>
+                    <div className="muted">{t("shortcuts.empty")}</div>
                   </div>
                 </div>
               )}
@@ -1142,89 +3265,127 @@ export default function App() {
             <table className="table">
               <thead>
                 <tr>
-                  <th className="th" style={{ width: 280 }}>
-                    Fecha (local)
-                  </th>
-                  <th className="th">Texto</th>
-                  <th className="th" style={{ width: 260, textAlign: "center" }}>
-                    Acciones
+                  <th className="th" style={{ width: 36 }} aria-label={t("shortcuts.col.drag")} />
+                  <th className="th">{t("records.col.text")}</th>
+                  <th className="th" style={{ width: 380, textAlign: "center" }}>
+                    {t("records.col.actions")}
                   </th>
                 </tr>
               </thead>
 
               <tbody>
-                {groupedShortcuts.map((g) => (
-                  <Fragment key={g.dayKey}>
-                    <tr className="daySepRow">
-                      <td className="td" colSpan={3}>
-                        <div className="daySepLabel">
-                          <span>{localDayLabel(g.items[0]?.tsUtc)}</span>
-                          <small>{g.items.length} shortcut(s)</small>
-                        </div>
-                      </td>
-                    </tr>
+                {shortcutSections.map((sec) =>
+                  !isSectionVisible(sec) ? null : (
+                    <Fragment key={sec.id || "none"}>
+                      <tr
+                        className="daySepRow"
+                        onDragOver={(e) => draggingShortcutId && e.preventDefault()}
+                        onDrop={(e) => {
+                          e.preventDefault();
+                          dropShortcut(sec.id, null);
+                        }}
+                      >
+                        <td className="td" colSpan={3}>
+                          <div className="daySepLabel">{renderSectionTitle(sec)}</div>
+                        </td>
+                      </tr>
+
+                      {sec.items.map((s) => {
+                        const isEditing = editingType === "shortcut" && editingId === s.id;
+                        const busy = Boolean(busyIds[s.id]);
+
+                        return (
+                          <tr
+                            key={s.id}
+                            className={draggingShortcutId === s.id ? "rowDragging" : ""}
+                            draggable={!isEditing}
+                            onDragStart={(e) => {
+                              e.dataTransfer.effectAllowed = "move";
+                              e.dataTransfer.setData("text/plain", s.id);
+                              setDraggingShortcutId(s.id);
+                            }}
+                            onDragEnd={() => setDraggingShortcutId("")}
+                            onDragOver={(e) => draggingShortcutId && e.preventDefault()}
+                            onDrop={(e) => {
+                              e.preventDefault();
+                              dropShortcut(sec.id, s.id);
+                            }}
+                          >
+                            <td className="td dragHandle" title={t("shortcuts.dragHandle")}>
+                              ⠿
+                            </td>
+
+                            <td
+                              className="td"
+                              style={{ whiteSpace: "pre-wrap" }}
+                              title={t("shortcuts.created", { date: formatLocalFromUtcIso(s.tsUtc) })}
+                            >
+                              {isEditing ? (
+                                <>
+                                  <textarea
+                                    className="input"
+                                    rows={2}
+                                    value={editingText}
+                                    onChange={(e) => setEditingText(e.target.value)}
+                                    disabled={busy}
+                                  />
+                                  <TemplatePreview text={editingText} />
+                                </>
+                              ) : (
+                                <>
+                                  <HighlightText text={s.text} /> <BusyBadge op={busyIds[s.id]} />
+                                  <TagChips text={s.text} />
+                                </>
+                              )}
+                            </td>
 
-                    {g.items.map((s) => {
-                      const isEditing = editingType === "shortcut" && editingId === s.id;
-
-                      return (
-                        <tr key={s.id}>
-                          <td className="td" style={{ fontFamily: "monospace" }}>
-                            {formatLocalFromUtcIso(s.tsUtc)}
-                          </td>
-
-                          <td className="td" style={{ whiteSpace: "pre-wrap" }}>
-                            {isEditing ? (
-                              <textarea
-                                className="input"
-                                rows={2}
-                                value={editingText}
-                                onChange={(e) => setEditingText(e.target.value)}
-                                disabled={loading}
-                              />
-                            ) : (
-                              s.text
-                            )}
-                          </td>
-
-                          <td className="td" style={{ textAlign: "center" }}>
-                            {isEditing ? (
-                              <div style={{ display: "flex", gap: 8, justifyContent: "center" }}>
-                                <button className="btn btnPrimary" onClick={saveEdit} disabled={loading}>
-                                  Guardar
-                                </button>
-                                <button className="btn" onClick={cancelEdit} disabled={loading}>
-                                  Cancelar
-                                </button>
-                              </div>
-                            ) : (
-                              <div style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
-                                <button
-                                  className="btn btnPrimary"
-                                  onClick={() => registerFromShortcut(s.text)}
-                                  disabled={loading}
-                                >
-                                  Registrar
-                                </button>
-                                <button className="btn" onClick={() => startEdit("shortcut", s)} disabled={loading}>
-                                  Editar
-                                </button>
-                                <button className="btn" onClick={() => deleteShortcut(s.id)} disabled={loading} title="Borrar">
-                                  🗑
-                                </button>
-                              </div>
-                            )}
-                          </td>
-                        </tr>
-                      );
-                    })}
-                  </Fragment>
-                ))}
+                            <td className="td" style={{ textAlign: "center" }}>
+                              {isEditing ? (
+                                <div style={{ display: "flex", gap: 8, justifyContent: "center" }}>
+                                  <button className="btn btnPrimary" onClick={saveEdit} disabled={busy}>
+                                    {t("common.save")}
+                                  </button>
+                                  <button className="btn" onClick={cancelEdit} disabled={busy}>
+                                    {t("common.cancel")}
+                                  </button>
+                                </div>
+                              ) : (
+                                <div style={{ display: "flex", gap: 8, justifyContent: "center", flexWrap: "wrap" }}>
+                                  <button
+                                    className="btn btnPrimary"
+                                    onClick={() => registerFromShortcut(s)}
+                                    disabled={busy}
+                                  >
+                                    {t("shortcuts.register")}
+                                  </button>
+                                  <button
+                                    className="btn"
+                                    onClick={() => updateShortcutLayout(togglePinned(shortcuts, shortcutLayout, s.id))}
+                                    title={sec.id === PINNED_SECTION ? t("shortcuts.unpin") : t("shortcuts.pin")}
+                                  >
+                                    {sec.id === PINNED_SECTION ? "★" : "☆"}
+                                  </button>
+                                  {renderFolderSelect(s)}
+                                  <button className="btn" onClick={() => startEdit("shortcut", s)} disabled={busy}>
+                                    {t("common.edit")}
+                                  </button>
+                                  <button className="btn" onClick={() => deleteShortcut(s.id)} disabled={busy} title={t("common.delete")}>
+                                    🗑
+                                  </button>
+                                </div>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </Fragment>
+                  )
+                )}
 
                 {shortcuts.length === 0 && (
                   <tr>
                     <td className="td muted" colSpan={3}>
-                      No hay shortcuts todavía.
+                      {t("shortcuts.empty")}
                     </td>
                   </tr>
                 )}
@@ -1235,7 +3396,7 @@ export default function App() {
       )}
 
       <p className="muted" style={{ marginTop: 12 }}>
-        En PC: Enter envía y Shift+Enter inserta salto de línea. En móvil: Enter inserta salto de línea y se envía con el botón.
+        {t("footer.keysHint")}
       </p>
 
       {/* Bottom Nav */}
@@ -1243,22 +3404,42 @@ export default function App() {
         <div className="bottomNavInner">
           <button
             className={`btn bottomNavBtn ${screen === "records" ? "bottomNavBtnActive" : ""}`}
-            onClick={() => setScreen("records")}
+            onClick={() => goToScreen("records")}
             disabled={loading || screen === "records"}
-            title="Registros"
+            title={t("nav.records")}
           >
             <span className="bottomNavIcon" aria-hidden="true">📝</span>
-            <span className="bottomNavLabel">Registros</span>
+            <span className="bottomNavLabel">{t("nav.records")}</span>
+          </button>
+
+          <button
+            className={`btn bottomNavBtn ${screen === "calendar" ? "bottomNavBtnActive" : ""}`}
+            onClick={() => goToScreen("calendar")}
+            disabled={loading || screen === "calendar"}
+            title={t("nav.calendar")}
+          >
+            <span className="bottomNavIcon" aria-hidden="true">📅</span>
+            <span className="bottomNavLabel">{t("nav.calendar")}</span>
+          </button>
+
+          <button
+            className={`btn bottomNavBtn ${screen === "stats" ? "bottomNavBtnActive" : ""}`}
+            onClick={() => goToScreen("stats")}
+            disabled={loading || screen === "stats"}
+            title={t("nav.stats")}
+          >
+            <span className="bottomNavIcon" aria-hidden="true">📊</span>
+            <span className="bottomNavLabel">{t("nav.stats")}</span>
           </button>
 
           <button
             className={`btn bottomNavBtn ${screen === "shortcuts" ? "bottomNavBtnActive" : ""}`}
-            onClick={() => setScreen("shortcuts")}
+            onClick={() => goToScreen("shortcuts")}
             disabled={loading || screen === "shortcuts"}
-            title="Shortcuts"
+            title={t("nav.shortcuts")}
           >
             <span className="bottomNavIcon" aria-hidden="true">⚡</span>
-            <span className="bottomNavLabel">Shortcuts</span>
+            <span className="bottomNavLabel">{t("nav.shortcuts")}</span>
           </button>
         </div>
       </div>
@@ -0,0 +1,90 @@
+import { useState } from "react";
+import { planReplace } from "./bulkRecords";
+import { t } from "./i18n";
+
+const PREVIEW_LIMIT = 5;
+
+/**
+ * Buscar y reemplazar en los registros seleccionados, con vista previa.
+ * `onSubmit(changes)` recibe [{ record, text }] solo con los que cambian.
+ */
+export default function BulkReplaceDialog({ records, onSubmit, onCancel }) {
+  const [find, setFind] = useState("");
+  const [replacement, setReplacement] = useState("");
+  const [regex, setRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+
+  let plan = { changes: [], emptied: 0 };
+  let error = "";
+  if (find) {
+    try {
+      plan = planReplace(records, { find, replacement, regex, caseSensitive });
+    } catch (e) {
+      error = e.message;
+    }
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (!error && plan.changes.length) onSubmit(plan.changes);
+  }
+
+  return (
+    <div className="modalBackdrop" role="dialog" aria-modal="true" aria-labelledby="bulk-replace-title">
+      <form className="card modal" onSubmit={handleSubmit}>
+        <h3 id="bulk-replace-title" style={{ margin: 0 }}>
+          {t("bulk.replace.title", { count: records.length })}
+        </h3>
+
+        <label>
+          {t("bulk.replace.find")}
+          <input className="input" value={find} onChange={(e) => setFind(e.target.value)} autoFocus />
+        </label>
+        <label>
+          {t("bulk.replace.with")}
+          <input className="input" value={replacement} onChange={(e) => setReplacement(e.target.value)} />
+        </label>
+
+        <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+          <label className="muted" style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <input type="checkbox" checked={regex} onChange={(e) => setRegex(e.target.checked)} />
+            {t("bulk.replace.regex")}
+          </label>
+          <label className="muted" style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <input type="checkbox" checked={caseSensitive} onChange={(e) => setCaseSensitive(e.target.checked)} />
+            {t("bulk.replace.caseSensitive")}
+          </label>
+        </div>
+
+        {error && <div className="searchError">{error}</div>}
+
+        {find && !error && (
+          <div className="templatePreview">
+            <small className="muted">
+              {t("bulk.replace.willChange", { count: plan.changes.length })}
+              {plan.emptied > 0 && ` · ${t("bulk.replace.emptied", { count: plan.emptied })}`}
+            </small>
+            {plan.changes.slice(0, PREVIEW_LIMIT).map(({ record, text }) => (
+              <div key={record.id} className="bulkReplacePreview">
+                <del>{record.text}</del>
+                <ins>{text}</ins>
+              </div>
+            ))}
+            {plan.changes.length > PREVIEW_LIMIT && (
+              <small className="muted">{t("common.andMore", { count: plan.changes.length - PREVIEW_LIMIT })}</small>
+            )}
+          </div>
+        )}
+
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <button type="button" className="btn" onClick={onCancel}>
+            {t("common.cancel")}
+          </button>
+          <button className="btn btnPrimary" disabled={Boolean(error) || !plan.changes.length}>
+            {t("bulk.replace.submit", { count: plan.changes.length })}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import { useMemo, useState } from "react";
+import { dayKeyOfDate, formatLocalDate, localDayKey, mondayFirstWeekdays } from "./dates";
+import { t } from "./i18n";
+import { heatLevel } from "./stats";
+
+// semanas de lunes a domingo
+
+/** Abreviatura del mes en el idioma actual ("oct", "Oct"). */
+function monthShort(month) {
+  return formatLocalDate(new Date(2026, month, 1), { month: "short" });
+}
+
+function mondayIndex(d) {
+  return (d.getDay() + 6) % 7;
+}
+
+function monthCells(year, month) {
+  const lead = mondayIndex(new Date(year, month, 1));
+  const days = new Date(year, month + 1, 0).getDate();
+  const cells = Array.from({ length: lead }, () => null);
+  for (let day = 1; day <= days; day++) cells.push(dayKeyOfDate(new Date(year, month, day)));
+  while (cells.length % 7) cells.push(null);
+  return cells;
+}
+
+/** Semanas (columnas de 7 días, lunes arriba) del año; null fuera del año. */
+function yearWeeks(year) {
+  const weeks = [];
+  const d = new Date(year, 0, 1);
+  d.setDate(d.getDate() - mondayIndex(d));
+  while (d.getFullYear() <= year) {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push(d.getFullYear() === year ? { key: dayKeyOfDate(d), date: d.getDate(), month: d.getMonth() } : null);
+      d.setDate(d.getDate() + 1);
+    }
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+/**
+ * Actividad por día: calendario mensual y mapa de calor anual (estilo GitHub)
+ * con los registros que recibe (ya filtrados por búsqueda y tags).
+ * Pulsar un día con registros llama a `onOpenDay("YYYY-MM-DD")`.
+ */
+export default function CalendarView({ records, filterLabel, hasMore, loadingMore, onLoadMore, onOpenDay }) {
+  const [mode, setMode] = useState("month"); // "month" | "year"
+  const [todayKey] = useState(() => dayKeyOfDate(new Date()));
+  const [cursor, setCursor] = useState(() => {
+    const d = new Date();
+    return { year: d.getFullYear(), month: d.getMonth() };
+  });
+
+  const counts = useMemo(() => {
+    const map = new Map();
+    for (const r of records) {
+      const key = localDayKey(r.tsUtc);
+      map.set(key, (map.get(key) || 0) + 1);
+    }
+    return map;
+  }, [records]);
+
+  const prefix = mode === "month" ? `${cursor.year}-${String(cursor.month + 1).padStart(2, "0")}-` : `${cursor.year}-`;
+  let total = 0;
+  let activeDays = 0;
+  let max = 0;
+  for (const [key, count] of counts) {
+    if (!key.startsWith(prefix)) continue;
+    total += count;
+    activeDays += 1;
+    max = Math.max(max, count);
+  }
+
+  function move(delta) {
+    setCursor(({ year, month }) => {
+      if (mode === "year") return { year: year + delta, month };
+      const d = new Date(year, month + delta, 1);
+      return { year: d.getFullYear(), month: d.getMonth() };
+    });
+  }
+
+  function goToday() {
+    const d = new Date();
+    setCursor({ year: d.getFullYear(), month: d.getMonth() });
+  }
+
+  function dayTitle(key) {
+    const count = counts.get(key) || 0;
+    return `${key}: ${t("records.count", { count })}`;
+  }
+
+  return (
+    <div className="calendarView">
+      <div className="toolbar" style={{ gap: 8 }}>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button className={`btn ${mode === "month" ? "btnPrimary" : ""}`} onClick={() => setMode("month")}>
+            {t("calendar.month")}
+          </button>
+          <button className={`btn ${mode === "year" ? "btnPrimary" : ""}`} onClick={() => setMode("year")}>
+            {t("calendar.year")}
+          </button>
+        </div>
+
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <button
+            className="btn iconBtn"
+            onClick={() => move(-1)}
+            title={t("calendar.previous")}
+            aria-label={t("calendar.previous")}
+          >
+            ◀
+          </button>
+          <strong style={{ minWidth: 130, textAlign: "center" }}>
+            {mode === "month"
+              ? formatLocalDate(new Date(cursor.year, cursor.month, 1), { month: "long", year: "numeric" })
+              : cursor.year}
+          </strong>
+          <button
+            className="btn iconBtn"
+            onClick={() => move(1)}
+            title={t("calendar.next")}
+            aria-label={t("calendar.next")}
+          >
+            ▶
+          </button>
+          <button className="btn" onClick={goToday}>
+            {t("calendar.today")}
+          </button>
+        </div>
+      </div>
+
+      <div className="muted">
+        {t("calendar.summary", {
+          records: t("records.count", { count: total }),
+          days: t("calendar.days", { count: activeDays }),
+        })}
+        {filterLabel ? ` · ${t("calendar.filter", { filter: filterLabel })}` : ""}
+      </div>
+
+      {mode === "month" ? (
+        <div className="calMonth">
+          {mondayFirstWeekdays().map((w, i) => (
+            <div key={i} className="calWeekday">
+              {w}
+            </div>
+          ))}
+          {monthCells(cursor.year, cursor.month).map((key, i) => {
+            if (!key) return <div key={`empty-${i}`} />;
+            const count = counts.get(key) || 0;
+            return (
+              <button
+                key={key}
+                type="button"
+                className={`calDay heat${heatLevel(count, max)} ${key === todayKey ? "calToday" : ""}`}
+                onClick={() => onOpenDay(key)}
+                disabled={!count}
+                title={dayTitle(key)}
+              >
+                <span className="calDayNumber">{Number(key.slice(8))}</span>
+                {count > 0 && <span className="calDayCount">{count}</span>}
+              </button>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="heatmapScroll">
+          <div className="heatmap">
+            <div className="heatmapWeekdays">
+              {mondayFirstWeekdays().map((w, i) => (
+                <span key={i}>{i % 2 === 0 ? w : ""}</span>
+              ))}
+            </div>
+            {yearWeeks(cursor.year).map((week, wi) => {
+              const firstOfMonth = week.find((c) => c?.date === 1);
+              return (
+                <div key={wi} className="heatmapWeek">
+                  <span className="heatmapMonth">{firstOfMonth ? monthShort(firstOfMonth.month) : ""}</span>
+                  {week.map((cell, di) =>
+                    cell ? (
+                      <button
+                        key={cell.key}
+                        type="button"
+                        className={`heatCell heat${heatLevel(counts.get(cell.key) || 0, max)} ${
+                          cell.key === todayKey ? "calToday" : ""
+                        }`}
+                        onClick={() => onOpenDay(cell.key)}
+                        disabled={!counts.get(cell.key)}
+                        title={dayTitle(cell.key)}
+                        aria-label={dayTitle(cell.key)}
+                      />
+                    ) : (
+                      <span key={`empty-${di}`} className="heatCell heatOut" />
+                    )
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="listFooter muted">
+        {loadingMore ? (
+          t("records.loadingOlder")
+        ) : hasMore ? (
+          <>
+            {t("calendar.loadedOnly")}{" "}
+            <button className="btn" onClick={onLoadMore}>
+              {t("records.loadOlder")}
+            </button>
+          </>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { useEffect, useRef, useState } from "react";
+import { fuzzyFilter } from "./fuzzy";
+import { t } from "./i18n";
+
+/**
+ * Paleta de comandos (Ctrl/Cmd+K): busca de forma difusa entre `commands`
+ * ({ id, label, hint, run }) y ejecuta el elegido con Enter o clic.
+ */
+export default function CommandPalette({ commands, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+
+  const results = fuzzyFilter(commands, query, (c) => `${c.label} ${c.hint || ""}`);
+  const current = Math.min(active, Math.max(0, results.length - 1));
+
+  // que la opción activa quede a la vista al moverse con las flechas
+  useEffect(() => {
+    listRef.current?.children[current]?.scrollIntoView({ block: "nearest" });
+  }, [current]);
+
+  function run(cmd) {
+    if (!cmd) return;
+    onClose();
+    cmd.run();
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive(Math.min(current + 1, results.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive(Math.max(current - 1, 0));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      run(results[current]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  }
+
+  return (
+    <div className="modalBackdrop paletteBackdrop" onMouseDown={onClose}>
+      <div
+        className="card modal palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("palette.title")}
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <input
+          className="input"
+          placeholder={t("palette.placeholder")}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActive(0);
+          }}
+          onKeyDown={handleKeyDown}
+          autoFocus
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-activedescendant={results[current] ? `palette-${results[current].id}` : undefined}
+        />
+
+        <ul id="palette-results" className="paletteList" role="listbox" ref={listRef}>
+          {results.map((cmd, i) => (
+            <li
+              key={cmd.id}
+              id={`palette-${cmd.id}`}
+              role="option"
+              aria-selected={i === current}
+              className={`paletteItem ${i === current ? "paletteItemActive" : ""}`}
+              onMouseEnter={() => setActive(i)}
+              onClick={() => run(cmd)}
+            >
+              <span className="paletteLabel">{cmd.label}</span>
+              {cmd.hint && <small className="muted">{cmd.hint}</small>}
+            </li>
+          ))}
+          {results.length === 0 && <li className="paletteItem muted">{t("palette.noResults")}</li>}
+        </ul>
+
+        <small className="muted">
+          <kbd>/</kbd> {t("palette.keys.search")} · <kbd>n</kbd> {t("palette.keys.new")} · <kbd>1</kbd>–<kbd>9</kbd>{" "}
+          {t("palette.keys.pinned")} · <kbd>j</kbd>/<kbd>k</kbd> {t("palette.keys.move")} · <kbd>e</kbd>{" "}
+          {t("palette.keys.edit")} · <kbd>h</kbd> {t("palette.keys.history")} · <kbd>{t("palette.keys.deleteKey")}</kbd>{" "}
+          {t("palette.keys.delete")}
+        </small>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,232 @@
+import { useMemo, useRef, useState } from "react";
+import { formatLocalFromUtcIso } from "./dates";
+import { t } from "./i18n";
+import { buildImportRows, guessMapping, parseImportFile, uploadImport } from "./importRecords";
+
+const PREVIEW_LIMIT = 100;
+
+/**
+ * Importador de registros desde CSV/JSON:
+ * fichero => mapeo de columnas => vista previa con errores y duplicados => simulación o subida.
+ */
+export default function ImportPanel({ records, onClose, onImported }) {
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null); // { columns, rows }
+  const [mapping, setMapping] = useState({ text: "", ts: "" });
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [parseError, setParseError] = useState("");
+
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [summary, setSummary] = useState(null);
+  const stopRef = useRef(false);
+
+  const rows = useMemo(
+    () => (parsed ? buildImportRows(parsed.rows, mapping, records) : []),
+    [parsed, mapping, records]
+  );
+
+  const invalid = rows.filter((r) => r.errors.length);
+  const duplicates = rows.filter((r) => !r.errors.length && r.duplicate);
+  const toUpload = rows.filter((r) => !r.errors.length && !(skipDuplicates && r.duplicate));
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setParseError("");
+    setSummary(null);
+    setParsed(null);
+    setFileName(file.name);
+    try {
+      const data = parseImportFile(file.name, await file.text());
+      if (!data.rows.length) throw new Error(t("import.error.noRows"));
+      setParsed(data);
+      setMapping(guessMapping(data.columns));
+    } catch (err) {
+      setParseError(err.message);
+    }
+  }
+
+  async function run(dryRun) {
+    stopRef.current = false;
+    setRunning(true);
+    setSummary(null);
+    setProgress({ done: 0, total: toUpload.length });
+    try {
+      const res = await uploadImport(toUpload, {
+        dryRun,
+        onProgress: (done, total) => setProgress({ done, total }),
+        shouldStop: () => stopRef.current,
+      });
+      setSummary({
+        ...res,
+        dryRun,
+        skippedInvalid: invalid.length,
+        skippedDuplicates: skipDuplicates ? duplicates.length : 0,
+      });
+      if (!dryRun && res.created > 0) onImported?.();
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  return (
+    <div className="card importPanel">
+      <div className="toolbar">
+        <strong>{t("import.title")}</strong>
+        <button className="btn" onClick={onClose} disabled={running}>
+          {t("common.close")}
+        </button>
+      </div>
+
+      <label style={{ display: "grid", gap: 6 }}>
+        <span className="muted">{t("import.file")}</span>
+        <input type="file" accept=".csv,.json,.txt,text/csv,application/json" onChange={handleFile} disabled={running} />
+      </label>
+
+      {parseError && <p style={{ color: "#fb7185", margin: 0 }}>{parseError}</p>}
+
+      {parsed && (
+        <>
+          <div className="importMapping">
+            <label>
+              {t("import.column.text")}
+              <select
+                className="select"
+                value={mapping.text}
+                onChange={(e) => setMapping((m) => ({ ...m, text: e.target.value }))}
+                disabled={running}
+              >
+                {parsed.columns.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label>
+              {t("import.column.ts")}
+              <select
+                className="select"
+                value={mapping.ts}
+                onChange={(e) => setMapping((m) => ({ ...m, ts: e.target.value }))}
+                disabled={running}
+              >
+                <option value="">{t("import.column.tsNone")}</option>
+                {parsed.columns.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="muted">
+            {fileName}: {t("import.rows", { count: rows.length })} ·{" "}
+            {t("import.valid", { count: rows.length - invalid.length })} ·{" "}
+            {t("import.invalid", { count: invalid.length })} · {t("import.duplicates", { count: duplicates.length })}
+          </div>
+
+          <label className="muted" style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <span className="switch">
+              <input
+                type="checkbox"
+                checked={skipDuplicates}
+                onChange={(e) => setSkipDuplicates(e.target.checked)}
+                disabled={running}
+              />
+              <span className="slider" />
+            </span>
+            {t("import.skipDuplicates")}
+          </label>
+
+          <div className="importPreview">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th className="th" style={{ width: 50 }}>#</th>
+                  <th className="th" style={{ width: 200 }}>{t("records.col.date")}</th>
+                  <th className="th">{t("records.col.text")}</th>
+                  <th className="th" style={{ width: 180 }}>{t("import.col.status")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(0, PREVIEW_LIMIT).map((r) => (
+                  <tr key={r.index} className={r.errors.length ? "importRowError" : r.duplicate ? "importRowDup" : ""}>
+                    <td className="td muted">{r.index + 1}</td>
+                    <td className="td" style={{ fontFamily: "monospace" }}>
+                      {r.tsUtc ? formatLocalFromUtcIso(r.tsUtc) : "—"}
+                    </td>
+                    <td className="td" style={{ whiteSpace: "pre-wrap" }}>
+                      {r.text}
+                    </td>
+                    <td className="td">
+                      {r.errors.length ? r.errors.join(" · ") : r.duplicate ? t("import.row.duplicate") : "OK"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rows.length > PREVIEW_LIMIT && (
+              <div className="muted" style={{ padding: 8 }}>
+                {t("common.andMore", { count: rows.length - PREVIEW_LIMIT })}
+              </div>
+            )}
+          </div>
+
+          {running && (
+            <div style={{ display: "grid", gap: 6 }}>
+              <progress max={progress.total || 1} value={progress.done} style={{ width: "100%" }} />
+              <div className="toolbar">
+                <span className="muted">
+                  {progress.done} / {progress.total}
+                </span>
+                <button className="btn" onClick={() => (stopRef.current = true)}>
+                  {t("bulk.stop")}
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", flexWrap: "wrap" }}>
+            <button className="btn" onClick={() => run(true)} disabled={running || !toUpload.length}>
+              {t("import.dryRun")}
+            </button>
+            <button className="btn btnPrimary" onClick={() => run(false)} disabled={running || !toUpload.length}>
+              {t("import.submit", { count: toUpload.length })}
+            </button>
+          </div>
+        </>
+      )}
+
+      {summary && (
+        <div className="importSummary">
+          <strong>{summary.dryRun ? t("import.summary.dryRun") : t("import.summary.done")}</strong>
+          {summary.cancelled && <div>{t("import.summary.cancelled")}</div>}
+          <div>
+            {summary.dryRun ? t("import.summary.wouldCreate") : t("import.summary.created")} {summary.created}
+          </div>
+          {summary.skippedInvalid > 0 && <div>{t("import.summary.skippedInvalid", { count: summary.skippedInvalid })}</div>}
+          {summary.skippedDuplicates > 0 && (
+            <div>{t("import.summary.skippedDuplicates", { count: summary.skippedDuplicates })}</div>
+          )}
+          {summary.failed.length > 0 && (
+            <>
+              <div style={{ color: "#fb7185" }}>{t("import.summary.failed", { count: summary.failed.length })}</div>
+              <ul className="muted" style={{ margin: 0 }}>
+                {summary.failed.slice(0, 20).map((f) => (
+                  <li key={f.row.index}>
+                    {t("import.summary.row", { n: f.row.index + 1, error: f.error })}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
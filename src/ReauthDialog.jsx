@@ -0,0 +1,143 @@
+import { useState } from "react";
+import { api } from "./api";
+import { t } from "./i18n";
+
+/**
+ * Diálogo de "vuelve a entrar" cuando la sesión caduca y no se puede renovar.
+ * No desmonta la app: los borradores (texto nuevo, edición en curso) se conservan.
+ */
+export default function ReauthDialog({ message, profileName, onSuccess, onLogout }) {
+  const [mode, setMode] = useState("password"); // "password" | "telegram"
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [pin, setPin] = useState("");
+  const [code, setCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  async function run(fn) {
+    setError("");
+    setBusy(true);
+    try {
+      await fn();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handlePassword(e) {
+    e.preventDefault();
+    run(async () => {
+      const { token, refreshToken } = await api.login(username, password);
+      setPassword("");
+      onSuccess(token, refreshToken);
+    });
+  }
+
+  function handleSendCode(e) {
+    e.preventDefault();
+    run(async () => {
+      if (!pin.trim()) throw new Error(t("reauth.pinRequired"));
+      await api.requestTelegramCode(pin.trim());
+      setCodeSent(true);
+    });
+  }
+
+  function handleCode(e) {
+    e.preventDefault();
+    run(async () => {
+      const { token, refreshToken } = await api.verifyTelegramCode(code.trim());
+      onSuccess(token, refreshToken);
+    });
+  }
+
+  return (
+    <div className="modalBackdrop" role="dialog" aria-modal="true" aria-labelledby="reauth-title">
+      <div className="card modal">
+        <h3 id="reauth-title" style={{ margin: 0 }}>
+          {t("reauth.title")}
+        </h3>
+        <p className="muted" style={{ margin: 0 }}>
+          {message || t("reauth.expired")} {t("reauth.profile")} <strong>{profileName}</strong>.{" "}
+          {t("reauth.draftsKept")}
+        </p>
+
+        <div style={{ display: "flex", gap: 8 }}>
+          <button
+            type="button"
+            className={`btn ${mode === "password" ? "btnPrimary" : ""}`}
+            onClick={() => setMode("password")}
+            disabled={busy}
+          >
+            {t("login.mode.password")}
+          </button>
+          <button
+            type="button"
+            className={`btn ${mode === "telegram" ? "btnPrimary" : ""}`}
+            onClick={() => setMode("telegram")}
+            disabled={busy}
+          >
+            {t("login.mode.telegram")}
+          </button>
+        </div>
+
+        {mode === "password" ? (
+          <form onSubmit={handlePassword} style={{ display: "grid", gap: 10 }}>
+            <label>
+              {t("login.username")}
+              <input className="input" value={username} onChange={(e) => setUsername(e.target.value)} autoFocus />
+            </label>
+            <label>
+              {t("login.password")}
+              <input
+                className="input"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </label>
+            <button className="btn btnPrimary" disabled={busy}>
+              {t("login.submit")}
+            </button>
+          </form>
+        ) : !codeSent ? (
+          <form onSubmit={handleSendCode} style={{ display: "grid", gap: 10 }}>
+            <label>
+              {t("login.tg.pin")}
+              <input className="input" type="password" value={pin} onChange={(e) => setPin(e.target.value)} />
+            </label>
+            <button className="btn btnPrimary" disabled={busy || !pin.trim()}>
+              {t("login.tg.send")}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleCode} style={{ display: "grid", gap: 10 }}>
+            <label>
+              {t("login.tg.code")}
+              <input
+                className="input"
+                inputMode="numeric"
+                placeholder="123456"
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D+/g, "").slice(0, 6))}
+                autoFocus
+              />
+            </label>
+            <button className="btn btnPrimary" disabled={busy || code.length !== 6}>
+              {t("login.tg.submit")}
+            </button>
+          </form>
+        )}
+
+        {error && <p style={{ color: "#fb7185", margin: 0 }}>{error}</p>}
+
+        <button type="button" className="btn" onClick={onLogout} disabled={busy}>
+          {t("reauth.logout")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useEffect, useState } from "react";
+import { isAbortError } from "./api";
+import { formatLocalFromUtcIso, formatLocalShort } from "./dates";
+import { t } from "./i18n";
+import { listRevisions } from "./revisions";
+import { diffWords } from "./wordDiff";
+
+function DiffText({ parts, show }) {
+  return (
+    <div className="diffText">
+      {parts
+        .filter((p) => show.includes(p.type))
+        .map((p, i) =>
+          p.type === "same" ? (
+            <span key={i}>{p.text}</span>
+          ) : p.type === "del" ? (
+            <del key={i}>{p.text}</del>
+          ) : (
+            <ins key={i}>{p.text}</ins>
+          )
+        )}
+    </div>
+  );
+}
+
+/**
+ * Historial de un registro: versiones anteriores (del servidor o del diario
+ * local), diff por palabras contra la versión actual y restaurar.
+ */
+export default function RevisionHistory({ record, onRestore, onClose }) {
+  const [state, setState] = useState({ loading: true, error: "", source: "", revisions: [] });
+  const [selected, setSelected] = useState(0);
+  const [layout, setLayout] = useState("inline"); // "inline" | "split"
+
+  useEffect(() => {
+    const controller = new AbortController();
+    listRevisions(record.id, { signal: controller.signal }).then(
+      (res) => !controller.signal.aborted && setState({ loading: false, error: "", ...res }),
+      (e) => !isAbortError(e) && setState({ loading: false, error: e.message, source: "", revisions: [] })
+    );
+    // al cerrar (o cambiar de registro) no hace falta la respuesta
+    return () => controller.abort();
+  }, [record.id]);
+
+  const revision = state.revisions[selected];
+  const parts = revision ? diffWords(revision.text, record.text) : [];
+  const dateChanged = revision && revision.tsUtc && revision.tsUtc !== record.tsUtc;
+
+  return (
+    <div className="modalBackdrop" role="dialog" aria-modal="true" aria-labelledby="revision-title">
+      <div className="card modal revisionModal">
+        <div className="toolbar">
+          <h3 id="revision-title" style={{ margin: 0 }}>
+            {t("history.title")}
+          </h3>
+          <button className="btn" onClick={onClose} autoFocus>
+            {t("common.close")}
+          </button>
+        </div>
+
+        {state.loading ? (
+          <div className="muted">{t("history.loading")}</div>
+        ) : state.error ? (
+          <div className="searchError">{t("history.loadError", { message: state.error })}</div>
+        ) : !state.revisions.length ? (
+          <div className="muted">{t("history.empty")}</div>
+        ) : (
+          <>
+            <small className="muted">
+              {t("history.count", { count: state.revisions.length })} ·{" "}
+              {state.source === "server" ? t("history.source.server") : t("history.source.local")}
+            </small>
+
+            <div className="revisionList" role="listbox" aria-label={t("history.versions")}>
+              {state.revisions.map((rev, i) => (
+                <button
+                  key={`${rev.editedAtUtc}-${i}`}
+                  className={`btn revisionItem ${i === selected ? "btnPrimary" : ""}`}
+                  role="option"
+                  aria-selected={i === selected}
+                  onClick={() => setSelected(i)}
+                >
+                  {rev.editedAtUtc
+                    ? t("history.until", { date: formatLocalShort(rev.editedAtUtc) })
+                    : t("history.version", { n: i + 1 })}
+                </button>
+              ))}
+            </div>
+
+            <div className="toolbar">
+              <small className="muted">{t("history.changes")}</small>
+              <select
+                className="select"
+                value={layout}
+                onChange={(e) => setLayout(e.target.value)}
+                style={{ width: "auto" }}
+              >
+                <option value="inline">{t("history.layout.inline")}</option>
+                <option value="split">{t("history.layout.split")}</option>
+              </select>
+            </div>
+
+            {dateChanged && (
+              <small className="muted">
+                {t("history.date")} <del>{formatLocalFromUtcIso(revision.tsUtc)}</del> →{" "}
+                <ins>{formatLocalFromUtcIso(record.tsUtc)}</ins>
+              </small>
+            )}
+
+            {layout === "inline" ? (
+              <DiffText parts={parts} show={["same", "del", "add"]} />
+            ) : (
+              <div className="diffSplit">
+                <div>
+                  <small className="muted">{t("history.thisVersion")}</small>
+                  <DiffText parts={parts} show={["same", "del"]} />
+                </div>
+                <div>
+                  <small className="muted">{t("history.current")}</small>
+                  <DiffText parts={parts} show={["same", "add"]} />
+                </div>
+              </div>
+            )}
+
+            <div style={{ display: "flex", justifyContent: "flex-end" }}>
+              <button
+                className="btn btnPrimary"
+                onClick={() => onRestore(revision)}
+                disabled={revision.text === record.text && !dateChanged}
+              >
+                {t("history.restore")}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
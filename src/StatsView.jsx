@@ -0,0 +1,230 @@
+import { useMemo, useState } from "react";
+import { formatLocalShort, localDayKey, mondayFirstWeekdays } from "./dates";
+import { t } from "./i18n";
+import { dayStreaks, formatDuration, heatLevel, textStats, weekComparison, weekdayHourMatrix } from "./stats";
+import { hasPlaceholders, templateMatcher } from "./templates";
+
+const WEEKS = 12;
+
+/** Barras verticales mínimas (sin librerías): una por valor. */
+function Bars({ values, labels, height = 40 }) {
+  const max = Math.max(1, ...values);
+  return (
+    <div className="statBars" style={{ height }}>
+      {values.map((v, i) => (
+        <span
+          key={i}
+          className="statBar"
+          style={{ height: `${(v / max) * 100}%` }}
+          title={`${labels?.[i] ?? ""}${labels ? ": " : ""}${v}`}
+        />
+      ))}
+    </div>
+  );
+}
+
+function Delta({ now, before }) {
+  const diff = now - before;
+  if (!diff) return <span className="muted">=</span>;
+  return <span className={diff > 0 ? "statUp" : "statDown"}>{diff > 0 ? `+${diff}` : diff}</span>;
+}
+
+/**
+ * Estadísticas calculadas en el navegador con los registros cargados:
+ * uso de cada acceso directo por semana, día de la semana × hora, rachas,
+ * intervalo medio entre repeticiones y esta semana frente a la anterior.
+ */
+export default function StatsView({ records, shortcuts, hasMore, loadingMore, onLoadMore }) {
+  // "shortcuts" | "top"; sin elegir, según haya o no accesos directos (pueden llegar después)
+  const [sourceChoice, setSourceChoice] = useState("");
+  const source = sourceChoice || (shortcuts.length ? "shortcuts" : "top");
+  const [now] = useState(() => new Date());
+
+  const overall = useMemo(
+    () =>
+      dayStreaks(
+        records.map((r) => localDayKey(r.tsUtc)),
+        now
+      ),
+    [records, now]
+  );
+  const matrix = useMemo(() => weekdayHourMatrix(records), [records]);
+  const comparison = useMemo(() => weekComparison(records, now), [records, now]);
+  const perText = useMemo(
+    () =>
+      textStats(records, {
+        // las plantillas con huecos no se repiten tal cual: se reconocen por sus partes fijas
+        texts:
+          source === "shortcuts"
+            ? shortcuts.map((s) => (hasPlaceholders(s.text) ? { text: s.text, matches: templateMatcher(s.text) } : s.text))
+            : undefined,
+        weeks: WEEKS,
+        now,
+      }),
+    [records, shortcuts, source, now]
+  );
+
+  const matrixMax = Math.max(0, ...matrix.flat());
+  const weekdays = mondayFirstWeekdays();
+  const weekLabels = Array.from({ length: WEEKS }, (_, i) =>
+    i === WEEKS - 1 ? t("stats.thisWeek") : t("stats.weeksAgo", { count: WEEKS - 1 - i })
+  );
+
+  if (!records.length) {
+    return <div className="muted">{t("stats.empty")}</div>;
+  }
+
+  return (
+    <div className="statsView">
+      <section className="statCards">
+        <div className="statCard">
+          <small className="muted">{t("stats.loaded")}</small>
+          <strong>{records.length}</strong>
+        </div>
+        <div className="statCard">
+          <small className="muted">{t("stats.currentStreak")}</small>
+          <strong>{t("calendar.days", { count: overall.current })}</strong>
+        </div>
+        <div className="statCard">
+          <small className="muted">{t("stats.longestStreak")}</small>
+          <strong>{t("calendar.days", { count: overall.longest })}</strong>
+        </div>
+        <div className="statCard">
+          <small className="muted">{t("stats.thisVsLast")}</small>
+          <strong>
+            {comparison.thisWeek} / {comparison.lastWeek}{" "}
+            <Delta now={comparison.thisWeek} before={comparison.lastWeek} />
+          </strong>
+        </div>
+      </section>
+
+      <section>
+        <div className="toolbar">
+          <h3 style={{ margin: 0 }}>{t("stats.byText", { weeks: WEEKS })}</h3>
+          <select
+            className="select"
+            value={source}
+            onChange={(e) => setSourceChoice(e.target.value)}
+            style={{ width: "auto" }}
+          >
+            <option value="shortcuts">{t("screen.shortcuts")}</option>
+            <option value="top">{t("stats.topTexts")}</option>
+          </select>
+        </div>
+
+        <div className="statTableWrap">
+          <table className="table">
+            <thead>
+              <tr>
+                <th className="th">{t("records.col.text")}</th>
+                <th className="th">{t("stats.col.total")}</th>
+                <th className="th" style={{ minWidth: 130 }}>
+                  {t("stats.col.perWeek")}
+                </th>
+                <th className="th">{t("stats.col.streak")}</th>
+                <th className="th">{t("stats.col.avgGap")}</th>
+                <th className="th">{t("stats.col.last")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {perText.map((row) => (
+                <tr key={row.text}>
+                  <td className="td">{row.text}</td>
+                  <td className="td">{row.count}</td>
+                  <td className="td">
+                    <Bars values={row.weekly} labels={weekLabels} height={28} />
+                  </td>
+                  <td className="td">
+                    {row.streaks.current} / {row.streaks.longest}
+                  </td>
+                  <td className="td">{formatDuration(row.avgGapMs)}</td>
+                  <td className="td" style={{ fontFamily: "monospace" }}>
+                    {row.lastTsUtc ? formatLocalShort(row.lastTsUtc) : "—"}
+                  </td>
+                </tr>
+              ))}
+              {perText.length === 0 && (
+                <tr>
+                  <td className="td muted" colSpan={6}>
+                    {source === "shortcuts" ? t("stats.noShortcuts") : t("stats.noData")}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section>
+        <h3>{t("stats.matrix")}</h3>
+        <div className="heatmapScroll">
+          <div className="statMatrix">
+            <span />
+            {Array.from({ length: 24 }, (_, h) => (
+              <span key={h} className="statMatrixHour">
+                {h % 3 === 0 ? h : ""}
+              </span>
+            ))}
+            {matrix.map((row, d) => [
+              <span key={`w-${d}`} className="statMatrixDay">
+                {weekdays[d]}
+              </span>,
+              ...row.map((count, h) => (
+                <span
+                  key={`${d}-${h}`}
+                  className={`heatCell heat${heatLevel(count, matrixMax)}`}
+                  title={`${weekdays[d]} ${String(h).padStart(2, "0")}:00: ${count}`}
+                />
+              )),
+            ])}
+          </div>
+        </div>
+      </section>
+
+      <section>
+        <h3>{t("stats.comparison")}</h3>
+        {comparison.byText.length ? (
+          <table className="table">
+            <thead>
+              <tr>
+                <th className="th">{t("records.col.text")}</th>
+                <th className="th">{t("stats.col.lastWeek")}</th>
+                <th className="th">{t("stats.col.thisWeek")}</th>
+                <th className="th">{t("stats.col.change")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.byText.slice(0, 15).map((row) => (
+                <tr key={row.text}>
+                  <td className="td">{row.text}</td>
+                  <td className="td">{row.lastWeek}</td>
+                  <td className="td">{row.thisWeek}</td>
+                  <td className="td">
+                    <Delta now={row.thisWeek} before={row.lastWeek} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="muted">{t("stats.comparison.empty")}</div>
+        )}
+      </section>
+
+      {(hasMore || loadingMore) && (
+        <div className="listFooter muted">
+          {loadingMore ? (
+            t("records.loadingOlder")
+          ) : (
+            <>
+              {t("calendar.loadedOnly")}{" "}
+              <button className="btn" onClick={onLoadMore}>
+                {t("records.loadOlder")}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { useState } from "react";
+import { t } from "./i18n";
+
+const COLLAPSED_LIMIT = 20;
+
+/**
+ * Nube de tags con su número de registros. Pulsar un tag lo añade o quita del filtro;
+ * con varios seleccionados se combinan con Y (todos) u O (alguno).
+ */
+export default function TagCloud({ tags, selected, mode, onToggle, onModeChange, onClear }) {
+  const [expanded, setExpanded] = useState(false);
+  if (!tags.length) return null;
+
+  // los seleccionados siempre a la vista aunque estén al final
+  const visible = expanded
+    ? tags
+    : [
+        ...tags.slice(0, COLLAPSED_LIMIT),
+        ...tags.slice(COLLAPSED_LIMIT).filter((item) => selected.includes(item.tag)),
+      ];
+
+  return (
+    <div className="tagCloud">
+      <div className="tagCloudList">
+        {visible.map(({ tag, count }) => {
+          const active = selected.includes(tag);
+          return (
+            <button
+              key={tag}
+              type="button"
+              className={`tagChip ${active ? "tagChipActive" : ""}`}
+              onClick={() => onToggle(tag)}
+              aria-pressed={active}
+            >
+              #{tag} <small>{count}</small>
+            </button>
+          );
+        })}
+        {tags.length > COLLAPSED_LIMIT && (
+          <button type="button" className="btn" onClick={() => setExpanded((v) => !v)}>
+            {expanded ? t("tags.less") : t("tags.more", { count: tags.length - COLLAPSED_LIMIT })}
+          </button>
+        )}
+      </div>
+
+      {selected.length > 0 && (
+        <div className="tagCloudControls">
+          {selected.length > 1 && (
+            <select
+              className="select"
+              value={mode}
+              onChange={(e) => onModeChange(e.target.value)}
+              style={{ width: "auto" }}
+              title={t("tags.mode")}
+            >
+              <option value="or">{t("tags.mode.or")}</option>
+              <option value="and">{t("tags.mode.and")}</option>
+            </select>
+          )}
+          <button type="button" className="btn" onClick={onClear}>
+            {t("tags.clear")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
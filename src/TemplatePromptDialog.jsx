@@ -0,0 +1,82 @@
+import { useState } from "react";
+import { t } from "./i18n";
+import { renderTemplate, templatePrompts } from "./templates";
+
+/**
+ * Pide los valores de los {{prompt:…}} de un acceso directo antes de crear el registro.
+ * `onSubmit(text)` recibe el texto ya renderizado; `now` es la fecha del registro.
+ */
+export default function TemplatePromptDialog({ parts, counter, now, onSubmit, onCancel }) {
+  const prompts = templatePrompts(parts);
+  const [answers, setAnswers] = useState(() =>
+    Object.fromEntries(prompts.map((p) => [p.label, p.kind === "choice" ? p.options[0] : ""]))
+  );
+
+  const missing = prompts.some((p) => !String(answers[p.label] ?? "").trim());
+  const preview = renderTemplate(parts, {
+    now,
+    counter,
+    answers: Object.fromEntries(Object.entries(answers).filter(([, v]) => String(v).trim())),
+  });
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (missing) return;
+    const trimmed = Object.fromEntries(Object.entries(answers).map(([k, v]) => [k, String(v).trim()]));
+    onSubmit(renderTemplate(parts, { now, counter, answers: trimmed }));
+  }
+
+  return (
+    <div className="modalBackdrop" role="dialog" aria-modal="true" aria-labelledby="template-prompt-title">
+      <form className="card modal" onSubmit={handleSubmit}>
+        <h3 id="template-prompt-title" style={{ margin: 0 }}>
+          {t("template.prompt.title")}
+        </h3>
+
+        {prompts.map((p, i) => (
+          <label key={p.label}>
+            {p.label}
+            {p.kind === "choice" ? (
+              <select
+                className="select"
+                value={answers[p.label]}
+                onChange={(e) => setAnswers((a) => ({ ...a, [p.label]: e.target.value }))}
+                autoFocus={i === 0}
+              >
+                {p.options.map((o) => (
+                  <option key={o} value={o}>
+                    {o}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                className="input"
+                type={p.kind === "number" ? "number" : "text"}
+                inputMode={p.kind === "number" ? "decimal" : undefined}
+                step={p.kind === "number" ? "any" : undefined}
+                value={answers[p.label]}
+                onChange={(e) => setAnswers((a) => ({ ...a, [p.label]: e.target.value }))}
+                autoFocus={i === 0}
+              />
+            )}
+          </label>
+        ))}
+
+        <div className="templatePreview">
+          <small className="muted">{t("template.prompt.preview")}</small>
+          <div>{preview}</div>
+        </div>
+
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <button type="button" className="btn" onClick={onCancel}>
+            {t("common.cancel")}
+          </button>
+          <button className="btn btnPrimary" disabled={missing}>
+            {t("shortcuts.register")}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
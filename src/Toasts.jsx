@@ -0,0 +1,64 @@
+import { useEffect, useState } from "react";
+import { t } from "./i18n";
+
+const DEFAULT_DURATION_MS = {
+  success: 4000,
+  info: 4000,
+  error: 8000,
+};
+
+function Toast({ toast, onDismiss }) {
+  const [paused, setPaused] = useState(false);
+  const duration = toast.durationMs ?? DEFAULT_DURATION_MS[toast.kind] ?? 4000;
+
+  // se cierra sola; con el ratón encima (o el foco dentro) se queda quieta
+  useEffect(() => {
+    if (paused || !duration) return;
+    const id = setTimeout(() => onDismiss(toast.id), duration);
+    return () => clearTimeout(id);
+  }, [paused, duration, toast.id, onDismiss]);
+
+  return (
+    <div
+      className={`toast toast-${toast.kind}`}
+      role={toast.kind === "error" ? "alert" : "status"}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+    >
+      <span className="toastMessage">{toast.message}</span>
+      {toast.action && (
+        <button
+          className="btn btnPrimary"
+          onClick={() => {
+            onDismiss(toast.id);
+            toast.action.onClick();
+          }}
+        >
+          {toast.action.label}
+        </button>
+      )}
+      <button
+        className="btn iconBtn"
+        onClick={() => onDismiss(toast.id)}
+        title={t("common.close")}
+        aria-label={t("common.close")}
+      >
+        ✖️
+      </button>
+    </div>
+  );
+}
+
+/** Pila de avisos no bloqueantes (éxito, error, info) con acción opcional ("Deshacer"). */
+export default function ToastStack({ toasts, onDismiss }) {
+  if (!toasts.length) return null;
+  return (
+    <div className="toastStack" aria-live="polite">
+      {toasts.map((toast) => (
+        <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+}
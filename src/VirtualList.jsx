@@ -0,0 +1,143 @@
+import { Fragment, useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+/**
+ * Lista virtualizada sobre el scroll de la ventana (alturas variables).
+ *
+ * Solo pinta las filas visibles (+ overscan) entre dos espaciadores.
+ * Las alturas reales se miden con ResizeObserver; hasta entonces se usa `estimateHeight`.
+ *
+ * - renderRow(row, measureProps): debe esparcir `measureProps` en el elemento raíz de la fila
+ * - renderSpacer(height, key, ref): un <div> o un <tr> vacío con esa altura
+ * - onEndReached(): se llama cuando la última fila entra en el área pintada
+ */
+export default function VirtualList({
+  rows,
+  getKey,
+  estimateHeight,
+  renderRow,
+  renderSpacer,
+  overscan = 800,
+  onEndReached,
+}) {
+  const [heights, setHeights] = useState(() => new Map());
+  const [topEl, setTopEl] = useState(null);
+  const [viewport, setViewport] = useState({ scrollY: 0, height: 800, listTop: 0 });
+
+  const [observer] = useState(() => {
+    if (typeof ResizeObserver === "undefined") return null;
+    return new ResizeObserver((entries) => {
+      setHeights((prev) => {
+        let next = null;
+        for (const entry of entries) {
+          const key = entry.target.dataset.vkey;
+          if (!key) continue;
+          const h = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight;
+          if (prev.get(key) !== h) {
+            if (!next) next = new Map(prev);
+            next.set(key, h);
+          }
+        }
+        return next || prev;
+      });
+    });
+  });
+
+  useEffect(() => () => observer?.disconnect(), [observer]);
+
+  const measure = useCallback(
+    (el) => {
+      if (!el || !observer) return;
+      observer.observe(el);
+      return () => observer.unobserve(el);
+    },
+    [observer]
+  );
+
+  // Scroll / resize => posición de la ventana y del inicio de la lista
+  useEffect(() => {
+    if (!topEl) return;
+
+    let frame = 0;
+    const update = () => {
+      frame = 0;
+      const scrollY = window.scrollY || 0;
+      setViewport({
+        scrollY,
+        height: window.innerHeight || 800,
+        listTop: topEl.getBoundingClientRect().top + scrollY,
+      });
+    };
+    const schedule = () => {
+      if (!frame) frame = requestAnimationFrame(update);
+    };
+
+    schedule();
+    window.addEventListener("scroll", schedule, { passive: true });
+    window.addEventListener("resize", schedule);
+    // lo que hay encima de la lista puede cambiar de alto sin que haya scroll
+    const bodyObserver = typeof ResizeObserver !== "undefined" ? new ResizeObserver(schedule) : null;
+    bodyObserver?.observe(document.body);
+
+    return () => {
+      if (frame) cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", schedule);
+      window.removeEventListener("resize", schedule);
+      bodyObserver?.disconnect();
+    };
+  }, [topEl]);
+
+  // offsets[i] = y de la fila i relativa al inicio de la lista
+  const offsets = useMemo(() => {
+    const out = new Array(rows.length + 1);
+    out[0] = 0;
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const h = heights.get(String(getKey(row))) ?? estimateHeight(row);
+      out[i + 1] = out[i] + h;
+    }
+    return out;
+  }, [rows, heights, getKey, estimateHeight]);
+
+  const from = viewport.scrollY - viewport.listTop - overscan;
+  const to = viewport.scrollY - viewport.listTop + viewport.height + overscan;
+  const start = Math.max(0, lowerBound(offsets, from) - 1);
+  const end = Math.min(rows.length, lowerBound(offsets, to) + 1);
+
+  const total = offsets[rows.length];
+  const topHeight = offsets[start];
+  const bottomHeight = total - offsets[end];
+
+  // la última versión del callback, sin re-disparar el efecto en cada render
+  const endHandler = useRef(null);
+  useEffect(() => {
+    endHandler.current = onEndReached;
+  });
+
+  const reachedEnd = rows.length > 0 && end >= rows.length;
+  useEffect(() => {
+    if (reachedEnd) endHandler.current?.();
+  }, [reachedEnd, rows.length]);
+
+  return (
+    <>
+      {renderSpacer(topHeight, "vtop", setTopEl)}
+      {rows.slice(start, end).map((row) => {
+        const key = String(getKey(row));
+        return <Fragment key={key}>{renderRow(row, { ref: measure, "data-vkey": key })}</Fragment>;
+      })}
+      {renderSpacer(bottomHeight, "vbottom")}
+    </>
+  );
+}
+
+// primer índice con offsets[i] >= value
+function lowerBound(arr, value) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
@@ -0,0 +1,42 @@
+import { WHEN_PRESETS, toLocalInputValue } from "./dates";
+import { t } from "./i18n";
+
+/** Selector de "cuándo" para registros nuevos: ahora, hace X minutos u otra fecha y hora. */
+export default function WhenPicker({ value, onChange, disabled }) {
+  const isCustom = value.preset === "custom";
+  return (
+    <div className={`whenPicker ${value.preset !== "now" ? "whenPickerBackdated" : ""}`}>
+      <select
+        className="select"
+        value={value.preset}
+        onChange={(e) =>
+          onChange({
+            preset: e.target.value,
+            // al pasar a "otra fecha" se parte de ahora
+            custom: value.custom || toLocalInputValue(new Date().toISOString()),
+          })
+        }
+        disabled={disabled}
+        title={t("when.title")}
+        style={{ width: "auto" }}
+      >
+        {WHEN_PRESETS.map((p) => (
+          <option key={p.value} value={p.value}>
+            🕒 {t(p.label, p.params)}
+          </option>
+        ))}
+      </select>
+      {isCustom && (
+        <input
+          className="input"
+          type="datetime-local"
+          step="1"
+          value={value.custom}
+          onChange={(e) => onChange({ ...value, custom: e.target.value })}
+          disabled={disabled}
+          aria-label={t("edit.ts.label")}
+        />
+      )}
+    </div>
+  );
+}
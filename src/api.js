@@ -1,33 +1,137 @@
+import { t } from "./i18n";
+
 const TOKEN_KEY = "token";
 const API_URL_KEY = "apiUrl";
+const PROFILES_KEY = "profiles";
+const ACTIVE_PROFILE_KEY = "activeProfile";
+const DEFAULT_PROFILE_ID = "default";
+
+// "URL" del backend local de demo (IndexedDB, sin servidor; ver localBackend.js)
+export const LOCAL_API_URL = "local://demo";
+
+export function isLocalApiUrl(url) {
+  return String(url || "").startsWith(LOCAL_API_URL);
+}
+
+// -------------------- Profiles storage --------------------
+// Cada perfil guarda su propia URL (con esquema) y su token.
+// El perfil activo es por pestaña (sessionStorage) y se recuerda el último usado.
+
+function readProfiles() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PROFILES_KEY) || "null");
+    if (Array.isArray(list) && list.length) return list;
+  } catch {
+    // datos corruptos => se rehace desde cero
+  }
+
+  // migración: token/apiUrl sueltos (versión anterior) => perfil principal
+  const legacy = {
+    id: DEFAULT_PROFILE_ID,
+    name: t("profile.mainName"),
+    apiUrl: localStorage.getItem(API_URL_KEY) || "",
+    token: localStorage.getItem(TOKEN_KEY) || "",
+  };
+  writeProfiles([legacy]);
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(API_URL_KEY);
+  return [legacy];
+}
 
-// -------------------- Token / ApiUrl storage --------------------
+function writeProfiles(list) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(list));
+}
+
+function updateProfile(id, patch) {
+  writeProfiles(readProfiles().map((p) => (p.id === id ? { ...p, ...patch } : p)));
+}
+
+function updateActiveProfile(patch) {
+  updateProfile(getActiveProfileId(), patch);
+}
+
+export function listProfiles() {
+  return readProfiles().map(({ id, name, apiUrl, token }) => ({ id, name, apiUrl, hasSession: Boolean(token) }));
+}
+
+export function getActiveProfileId() {
+  const list = readProfiles();
+  const wanted = sessionStorage.getItem(ACTIVE_PROFILE_KEY) || localStorage.getItem(ACTIVE_PROFILE_KEY);
+  return list.some((p) => p.id === wanted) ? wanted : list[0].id;
+}
+
+export function getActiveProfile() {
+  const id = getActiveProfileId();
+  const p = readProfiles().find((it) => it.id === id);
+  return { id: p.id, name: p.name, apiUrl: p.apiUrl, hasSession: Boolean(p.token) };
+}
+
+export function setActiveProfile(id) {
+  if (!readProfiles().some((p) => p.id === id)) throw new Error(t("api.profileNotFound"));
+  sessionStorage.setItem(ACTIVE_PROFILE_KEY, id);
+  localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+}
+
+/** Crea un perfil vacío (sin sesión) y lo devuelve; no lo activa. */
+export function createProfile(name, apiUrl = "") {
+  const id = `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  const profile = { id, name: String(name || "").trim() || t("profile.fallbackName"), apiUrl: normalizeApiUrl(apiUrl), token: "" };
+  writeProfiles([...readProfiles(), profile]);
+  return { id, name: profile.name, apiUrl: profile.apiUrl, hasSession: false };
+}
+
+export function renameActiveProfile(name) {
+  const trimmed = String(name || "").trim();
+  if (trimmed) updateActiveProfile({ name: trimmed });
+}
+
+/**
+ * Borra un perfil (URL y sesión). Si era el último, queda uno vacío.
+ * Si era el activo, pasa a serlo el primero de la lista.
+ */
+export function deleteProfile(id) {
+  const rest = readProfiles().filter((p) => p.id !== id);
+  writeProfiles(rest.length ? rest : [{ id: DEFAULT_PROFILE_ID, name: t("profile.mainName"), apiUrl: "", token: "" }]);
+  setActiveProfile(getActiveProfileId());
+}
+
+// -------------------- Token / ApiUrl storage (perfil activo) --------------------
+
+function activeProfileRaw() {
+  const id = getActiveProfileId();
+  return readProfiles().find((p) => p.id === id);
+}
 
 export function getToken() {
-  return localStorage.getItem(TOKEN_KEY) || "";
+  return activeProfileRaw()?.token || "";
 }
-export function setToken(token) {
-  localStorage.setItem(TOKEN_KEY, token);
+/** Guarda el token (y el refresh token si el servidor lo da) del perfil activo. */
+export function setToken(token, refreshToken) {
+  updateActiveProfile({ token, ...(refreshToken ? { refreshToken } : {}) });
 }
 export function clearToken() {
-  localStorage.removeItem(TOKEN_KEY);
+  updateActiveProfile({ token: "", refreshToken: "" });
+}
+
+function normalizeApiUrl(url) {
+  return String(url || "").trim().replace(/\/+$/, "");
 }
 
 export function getApiUrl() {
-  return localStorage.getItem(API_URL_KEY) || "";
+  return activeProfileRaw()?.apiUrl || "";
 }
 export function setApiUrl(url) {
-  const normalized = String(url || "").trim().replace(/\/+$/, "");
-  localStorage.setItem(API_URL_KEY, normalized);
+  const normalized = normalizeApiUrl(url);
+  updateActiveProfile({ apiUrl: normalized });
   return normalized;
 }
 export function clearApiUrl() {
-  localStorage.removeItem(API_URL_KEY);
+  updateActiveProfile({ apiUrl: "" });
 }
 
 function mustHaveApiUrl() {
   const base = getApiUrl();
-  if (!base) throw new Error("Falta la URL de la API.");
+  if (!base) throw new Error(t("api.missingUrl"));
   return base;
 }
 
@@ -58,57 +162,751 @@ function notifyUnauthorized(message) {
 
 // -------------------- Request helper --------------------
 
-async function request(path, { method = "GET", body } = {}) {
+/**
+ * Error de la API con lo necesario para decidir qué mostrar:
+ * - kind: "network" (sin respuesta) | "timeout" | "aborted" | "auth" (401/403) |
+ *   "validation" (400/422) | "notFound" | "conflict" | "rateLimit" (429) | "server" (5xx) | "http"
+ * - status: código HTTP (0 si no hubo respuesta)
+ * - code: código de error de la API (`code` del cuerpo), si lo manda
+ * - fields: errores por campo { campo: mensaje }
+ * - retryAfterMs: espera pedida por el servidor (Retry-After), o null
+ */
+export class ApiError extends Error {
+  constructor(message, { kind = "http", status = 0, code = "", fields = {}, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// claves del catálogo (i18n.js) para el mensaje por defecto de cada tipo
+const DEFAULT_MESSAGES = {
+  auth: "api.error.auth",
+  validation: "api.error.validation",
+  notFound: "api.error.notFound",
+  conflict: "api.error.conflict",
+  rateLimit: "api.error.rateLimit",
+  server: "api.error.server",
+};
+
+function kindOfStatus(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 400 || status === 422) return "validation";
+  if (status === 404) return "notFound";
+  if (status === 409) return "conflict";
+  if (status === 429) return "rateLimit";
+  if (status >= 500) return "server";
+  return "http";
+}
+
+/** { campo: mensaje } desde { fields: {…} } o { errors: [{ field, message }] }. */
+function parseFieldErrors(data) {
+  if (data?.fields && typeof data.fields === "object" && !Array.isArray(data.fields)) {
+    return Object.fromEntries(Object.entries(data.fields).map(([k, v]) => [k, String(v)]));
+  }
+  if (Array.isArray(data?.errors)) {
+    const out = {};
+    for (const it of data.errors) {
+      const field = it?.field || it?.path || it?.param;
+      if (field && !out[field]) out[field] = String(it.message || it.msg || t("api.error.invalidField"));
+    }
+    return out;
+  }
+  return {};
+}
+
+/** ApiError para una respuesta HTTP no correcta. */
+function responseError(res, data) {
+  const status = res.status;
+  const kind = kindOfStatus(status);
+  const message = data?.error || data?.message || t(DEFAULT_MESSAGES[kind] || "common.error", { status });
+  return new ApiError(message.trim(), {
+    kind,
+    status,
+    code: data?.code ? String(data.code) : "",
+    fields: parseFieldErrors(data),
+    // sin Access-Control-Expose-Headers la cabecera no se ve desde otro origen: vale también en el cuerpo
+    retryAfterMs: parseRetryAfter(res.headers.get("retry-after") || data?.retryAfter),
+  });
+}
+
+/**
+ * true si el error es de red (sin respuesta del servidor o sin ella a tiempo)
+ * o un 5xx/429: merece reintentarse más tarde sin cambiar nada.
+ */
+export function isTransientError(e) {
+  if (!e) return false;
+  if (e.kind === "network" || e.kind === "timeout") return true;
+  return e.status === 429 || (e.status >= 500 && e.status < 600);
+}
+
+/** true si la petición se canceló (cambio de pantalla, logout o `signal`): no es un fallo que mostrar. */
+export function isAbortError(e) {
+  return e?.kind === "aborted";
+}
+
+// -------------------- Endpoints opcionales --------------------
+// Algunas funciones usan endpoints que no todas las APIs tienen. La primera vez que
+// uno falta se recuerda (por URL de API) y se usa la alternativa local hasta recargar.
+
+// estados que indican que la API no tiene el endpoint (un 400 es un rechazo, no esto)
+const ENDPOINT_MISSING_STATUSES = [404, 405, 501];
+const missingEndpoints = new Set();
+
+/** true si el error indica que la API no tiene el endpoint pedido. */
+export function isEndpointMissing(e) {
+  return ENDPOINT_MISSING_STATUSES.includes(e?.status);
+}
+
+/** true si ya se vio que la API actual no tiene `endpoint` (p. ej. "/shortcuts/layout"). */
+export function isEndpointUnsupported(endpoint) {
+  return missingEndpoints.has(`${getApiUrl()} ${endpoint}`);
+}
+
+/** Recuerda que la API actual no tiene `endpoint`. */
+export function markEndpointUnsupported(endpoint) {
+  missingEndpoints.add(`${getApiUrl()} ${endpoint}`);
+}
+
+// -------------------- Timeouts, cancelación y reintentos --------------------
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 2;
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 8000;
+// un Retry-After más largo no se espera: se devuelve el error y decide quien llamó
+const RETRY_AFTER_MAX_MS = 30000;
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// peticiones en vuelo por grupo, para cancelarlas juntas:
+// "screen" => solo interesan en la pantalla actual; "session" => hasta el logout
+const inflight = new Map(); // scope => Set<AbortController>
+
+/** Cancela las peticiones en vuelo de un grupo ("screen" | "session"). */
+export function cancelRequests(scope) {
+  for (const controller of inflight.get(scope) || []) controller.abort();
+}
+
+/** Cancela todo lo que esté en vuelo (logout / cambio de perfil). */
+export function cancelAllRequests() {
+  for (const scope of inflight.keys()) cancelRequests(scope);
+}
+
+function abortedError() {
+  return new ApiError(t("api.error.aborted"), { kind: "aborted" });
+}
+
+/** Milisegundos de una cabecera Retry-After (segundos o fecha HTTP); null si no hay o no vale. */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/** Espera exponencial con "full jitter": aleatoria entre 0 y base·2^intento (con tope). */
+function backoffMs(attempt) {
+  return Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(id);
+      reject(abortedError());
+    };
+    const id = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Un intento: fetch + lectura del cuerpo con su propio timeout.
+ * Devuelve { res, data } o lanza un error de red (`network`, y `timeout` si no llegó a tiempo).
+ */
+async function attemptFetch(url, init, signal, timeoutMs) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal.addEventListener("abort", onAbort, { once: true });
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    // modo demo: el backend local se carga solo si se usa
+    const doFetch = isLocalApiUrl(url) ? (await import("./localBackend")).localFetch : fetch;
+    const res = await doFetch(url, { ...init, signal: controller.signal });
+    const isJson = (res.headers.get("content-type") || "").includes("application/json");
+    const data = isJson ? await res.json().catch(() => null) : null;
+    if (timedOut) throw new Error("timeout"); // el cuerpo no llegó a tiempo
+    return { res, data };
+  } catch {
+    if (signal.aborted) throw abortedError();
+    // fetch solo rechaza si no hubo respuesta (sin red, DNS, CORS...) o la cortamos
+    if (timedOut) throw new ApiError(t("api.error.timeout"), { kind: "timeout" });
+    throw new ApiError(t("api.error.network"), { kind: "network" });
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * fetch con timeout por intento, cancelación (grupo `scope` y `signal`) y
+ * reintentos con espera exponencial para métodos idempotentes (o con
+ * Idempotency-Key): ante errores de red y 408/429/502/503/504, respetando Retry-After.
+ */
+async function fetchWithRetry(url, init, { scope, signal, timeoutMs, idempotent }) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) throw abortedError();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  if (!inflight.has(scope)) inflight.set(scope, new Set());
+  inflight.get(scope).add(controller);
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      let result = null;
+      let error = null;
+      try {
+        result = await attemptFetch(url, init, controller.signal, timeoutMs);
+      } catch (e) {
+        if (isAbortError(e)) throw e;
+        error = e;
+      }
+
+      const retryable = error ? isTransientError(error) : RETRY_STATUSES.includes(result.res.status);
+      if (!idempotent || !retryable || attempt >= MAX_RETRIES) {
+        if (error) throw error;
+        return result;
+      }
+
+      const retryAfterMs = result ? parseRetryAfter(result.res.headers.get("retry-after")) : null;
+      if (retryAfterMs !== null && retryAfterMs > RETRY_AFTER_MAX_MS) return result;
+      await sleep(retryAfterMs ?? backoffMs(attempt), controller.signal);
+    }
+  } finally {
+    inflight.get(scope).delete(controller);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// -------------------- Token refresh --------------------
+
+let refreshPromise = null;
+
+/**
+ * Renueva el token del perfil activo (POST /auth/refresh).
+ * Manda el refresh token si lo hay; si no, el propio token aún vigente (sesión deslizante).
+ * Solo hay un refresco en curso: las llamadas concurrentes comparten la promesa
+ * y las peticiones que llegan mientras tanto esperan a que termine.
+ * Devuelve el token nuevo.
+ */
+export function refreshSession() {
+  if (refreshPromise) return refreshPromise;
+
+  const profileId = getActiveProfileId();
+  const current = activeProfileRaw();
+  if (!current?.token && !current?.refreshToken) {
+    return Promise.reject(new ApiError(t("api.error.noSession"), { kind: "auth", status: 401 }));
+  }
+
+  refreshPromise = (async () => {
+    try {
+      const data = await request("/auth/refresh", {
+        method: "POST",
+        body: current.refreshToken ? { refreshToken: current.refreshToken } : {},
+        session: false,
+      });
+      if (!data?.token) throw new Error(t("api.error.refreshNoToken"));
+      updateProfile(profileId, { token: data.token, ...(data.refreshToken ? { refreshToken: data.refreshToken } : {}) });
+      return data.token;
+    } finally {
+      refreshPromise = null;
+    }
+  })();
+  return refreshPromise;
+}
+
+/**
+ * Petición JSON a la API del perfil activo.
+ * - session=false: endpoints de login/refresco; un 401 ahí no es "sesión caducada"
+ * - ante un 401 de sesión se repite una vez: con el token actual si ya no es con el
+ *   que se envió, si no tras renovarlo
+ * - scope/signal: cancelación (ver cancelRequests); timeoutMs: por intento
+ */
+async function request(
+  path,
+  {
+    method = "GET",
+    body,
+    headers = {},
+    session = true,
+    retried = false,
+    scope = "session",
+    signal,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  } = {}
+) {
+  // si hay un refresco en curso, esperamos para salir ya con el token nuevo
+  if (session && refreshPromise) await refreshPromise.catch(() => {});
+
   const base = mustHaveApiUrl();
   const token = getToken();
+  // el perfil puede cambiar mientras la petición está en vuelo
+  const profileId = getActiveProfileId();
 
-  const res = await fetch(`${base}${path}`, {
-    method,
-    headers: {
-      "Content-Type": "application/json",
-      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  const { res, data } = await fetchWithRetry(
+    `${base}${path}`,
+    {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
     },
-    body: body ? JSON.stringify(body) : undefined,
-  });
-
-  const isJson = (res.headers.get("content-type") || "").includes("application/json");
-  const data = isJson ? await res.json().catch(() => null) : null;
+    {
+      scope,
+      signal,
+      timeoutMs,
+      // repetir un POST/PATCH solo es seguro si el servidor puede deduplicarlo
+      idempotent: IDEMPOTENT_METHODS.includes(method) || Boolean(headers["Idempotency-Key"]),
+    }
+  );
 
-  // ✅ Caso especial: 401 => limpiamos token y avisamos a la app
+  // ✅ Caso especial: 401 => renovamos una vez; si no se puede, limpiamos token y avisamos a la app
   if (res.status === 401) {
-    const msg = data?.error || "Token inválido o caducado.";
-    clearToken();
-    notifyUnauthorized(msg);
-    throw new Error(msg);
-  }
+    const err = responseError(res, data);
+    if (!session) throw err;
+    if (!data?.error && !data?.message) err.message = t("api.error.badToken");
+
+    if (!retried && getActiveProfileId() === profileId) {
+      // enviada con un token que otro refresco ya ha sustituido (o está sustituyendo):
+      // basta repetirla con el actual; refrescar otra vez rotaría el refresh token sin motivo
+      if (refreshPromise) await refreshPromise.catch(() => {});
+      const latest = getToken();
+      if (latest && latest !== token && getActiveProfileId() === profileId) {
+        return request(path, { method, body, headers, session, retried: true, scope, signal, timeoutMs });
+      }
 
-  if (!res.ok) {
-    const msg = data?.error || `Error HTTP ${res.status}`;
-    throw new Error(msg);
+      let renewed = false;
+      try {
+        await refreshSession();
+        renewed = true;
+      } catch {
+        // sin refresco posible => sesión caducada
+      }
+      if (renewed) return request(path, { method, body, headers, session, retried: true, scope, signal, timeoutMs });
+    }
+
+    updateProfile(profileId, { token: "", refreshToken: "" });
+    if (getActiveProfileId() === profileId) notifyUnauthorized(err.message);
+    throw err;
   }
 
+  if (!res.ok) throw responseError(res, data);
+
   return data;
 }
 
+function queryString(params) {
+  const qs = new URLSearchParams();
+  Object.entries(params).forEach(([k, v]) => {
+    if (v !== undefined && v !== null && v !== "") qs.set(k, String(v));
+  });
+  const str = qs.toString();
+  return str ? `?${str}` : "";
+}
+
 // -------------------- Public API --------------------
 
 export const api = {
   // Auth (password)
-  login: (username, password) => request("/auth/login", { method: "POST", body: { username, password } }),
+  // => { token, refreshToken? }
+  login: (username, password) =>
+    request("/auth/login", { method: "POST", body: { username, password }, session: false }),
 
   // Telegram (ahora exige pin)
-  requestTelegramCode: (pin) => request("/auth/telegram/request-code", { method: "POST", body: { pin } }),
-  verifyTelegramCode: (code) => request("/auth/telegram/verify", { method: "POST", body: { code } }),
+  requestTelegramCode: (pin) =>
+    request("/auth/telegram/request-code", { method: "POST", body: { pin }, session: false }),
+  verifyTelegramCode: (code) =>
+    request("/auth/telegram/verify", { method: "POST", body: { code }, session: false }),
 
   // Records
-  listRecords: () => request("/records"),
-  createRecord: (text) => request("/records", { method: "POST", body: { text } }),
-  updateRecord: (id, text) => request(`/records/${encodeURIComponent(id)}`, { method: "PATCH", body: { text } }),
+  // Paginado: { limit, before } => { records, nextCursor? } (más recientes primero)
+  // opts: { scope, signal } (cancelación, ver cancelRequests)
+  listRecords: ({ limit, before } = {}, opts = {}) => request(`/records${queryString({ limit, before })}`, opts),
+  // => { record } (enlaces directos a un registro que no está entre los cargados)
+  getRecord: (id, opts = {}) => request(`/records/${encodeURIComponent(id)}`, opts),
+  // opts.clientId => Idempotency-Key (reintentos sin duplicados); opts.tsUtc => fecha original
+  createRecord: (text, { clientId, tsUtc } = {}) =>
+    request("/records", {
+      method: "POST",
+      body: { text, ...(clientId ? { clientId } : {}), ...(tsUtc ? { tsUtc } : {}) },
+      headers: clientId ? { "Idempotency-Key": clientId } : {},
+    }),
+  // patch: { text?, tsUtc? }
+  updateRecord: (id, { text, tsUtc } = {}) =>
+    request(`/records/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      body: { ...(text !== undefined ? { text } : {}), ...(tsUtc ? { tsUtc } : {}) },
+    }),
   deleteRecord: (id) => request(`/records/${encodeURIComponent(id)}`, { method: "DELETE" }),
+  // => { revisions: [{ text, tsUtc, editedAtUtc }] } (versiones anteriores)
+  listRecordRevisions: (id, opts = {}) => request(`/records/${encodeURIComponent(id)}/revisions`, opts),
 
   // Shortcuts
-  listShortcuts: () => request("/shortcuts"),
+  listShortcuts: (opts = {}) => request("/shortcuts", opts),
   createShortcut: (text) => request("/shortcuts", { method: "POST", body: { text } }),
   updateShortcut: (id, text) => request(`/shortcuts/${encodeURIComponent(id)}`, { method: "PATCH", body: { text } }),
   deleteShortcut: (id) => request(`/shortcuts/${encodeURIComponent(id)}`, { method: "DELETE" }),
+  // Orden, fijados y carpetas de los shortcuts (no todas las APIs lo tienen)
+  getShortcutLayout: () => request("/shortcuts/layout"),
+  saveShortcutLayout: (layout) => request("/shortcuts/layout", { method: "PUT", body: { layout } }),
+
+  // Cambios en vivo: => { ticket } de un solo uso y vida corta para abrir /events
+  createLiveTicket: () => request("/events/ticket", { method: "POST" }),
 };
+
+// -------------------- Cambios en vivo --------------------
+// GET /events (Server-Sent Events) o, si no, un WebSocket en la misma ruta.
+// Cada mensaje es JSON: { type: "record.created" | "record.updated" |
+// "record.deleted" | "shortcut.…", record? | shortcut? | itemId? }; el id del
+// evento va en el campo `id:` de SSE o en `eventId` por WebSocket.
+// EventSource no admite cabeceras y la URL acaba en logs de servidores, proxies e
+// historial: en vez del token de sesión va ?ticket=, uno de un solo uso y vida
+// corta pedido antes con POST /events/ticket (autenticado como el resto). Sin
+// ese endpoint no se abre streaming y se sondea. El último evento visto va en
+// ?lastEventId= para reanudar sin huecos.
+// Si ninguno de los dos abre, se sondean la primera página de registros y los
+// shortcuts y se deducen los eventos comparando con la vuelta anterior.
+
+const LIVE_OPEN_TIMEOUT_MS = 10000;
+const LIVE_RETRY_BASE_MS = 1000;
+const LIVE_RETRY_MAX_MS = 30000;
+const LIVE_POLL_MS = 20000;
+const LIVE_POLL_LIMIT = 50;
+// en modo sondeo, cada cuánto se vuelve a probar el streaming
+const LIVE_STREAM_RETRY_MS = 5 * 60000;
+const LIVE_TRANSPORTS = ["sse", "ws"];
+const LIVE_TICKET_ENDPOINT = "/events/ticket";
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/** Normaliza un evento del servidor; null si no es de registros ni de shortcuts. */
+function parseLiveEvent(ev) {
+  const [entity, action] = String(ev?.type || "").split(".");
+  if (!["record", "shortcut"].includes(entity) || !["created", "updated", "deleted"].includes(action)) return null;
+  const item = ev[entity] || null;
+  const id = item?.id ?? ev.itemId;
+  if (id === undefined || id === null || (action !== "deleted" && !item)) return null;
+  return { type: ev.type, entity, action, id: String(id), item };
+}
+
+function liveUrl(base, ticket, lastEventId) {
+  return `${base}/events${queryString({ ticket, lastEventId })}`;
+}
+
+function liveEvent(entity, action, id, item) {
+  return { type: `${entity}.${action}`, entity, action, id, item };
+}
+
+/**
+ * Eventos equivalentes a lo que ha cambiado entre dos vueltas de sondeo:
+ * { events, missing }. Con `windowed` (una página de registros) y la página llena,
+ * lo que falta no se da por borrado: puede haber salido de la página por altas
+ * nuevas o por cambiar de fecha en otro dispositivo. Lo que falta pese a quedar
+ * dentro del rango de la página va en `missing` (ids) para confirmarlo aparte.
+ */
+function diffSnapshots(entity, prev, items, { windowed = false } = {}) {
+  const events = [];
+  const missing = [];
+  const next = new Map(items.map((it) => [String(it.id), it]));
+  for (const [id, it] of next) {
+    const before = prev.get(id);
+    if (!before) events.push(liveEvent(entity, "created", id, it));
+    else if (JSON.stringify(before) !== JSON.stringify(it)) events.push(liveEvent(entity, "updated", id, it));
+  }
+  const full = windowed && items.length >= LIVE_POLL_LIMIT;
+  const oldest = full ? Math.min(...items.map((r) => Date.parse(r.tsUtc))) : -Infinity;
+  for (const [id, before] of prev) {
+    if (next.has(id)) continue;
+    if (!full) events.push(liveEvent(entity, "deleted", id, null));
+    // más antiguo que la página: lo han empujado fuera los nuevos
+    else if (Date.parse(before.tsUtc) >= oldest) missing.push(id);
+  }
+  return { events, missing };
+}
+
+/**
+ * Se suscribe a los cambios de registros y shortcuts del perfil activo hechos
+ * desde otros dispositivos. `onEvent({ type, entity, action, id, item })` recibe
+ * cada cambio; `onStatus(status)` el modo actual: "connecting", "sse", "ws",
+ * "polling" u "offline". Reconecta con espera exponencial y reanuda desde el
+ * último id recibido. Devuelve la función para cancelar la suscripción.
+ */
+export function subscribeLive(onEvent, { onStatus } = {}) {
+  const profileId = getActiveProfileId();
+  const unsupported = new Set(); // transportes que no llegaron a abrir en esta suscripción
+  let stopped = false;
+  let attempt = 0;
+  let lastEventId = "";
+  let closeTransport = null;
+  let reconnectTimer = null;
+  let pollTimer = null;
+  let streamRetryTimer = null;
+  let polling = false;
+  let pollController = null;
+  let snapshot = null; // { records: Map, shortcuts: Map } de la última vuelta de sondeo
+
+  const active = () => !stopped && getActiveProfileId() === profileId;
+
+  function emit(ev) {
+    if (ev && active()) onEvent(ev);
+  }
+
+  function status(s) {
+    if (active()) onStatus?.(s);
+  }
+
+  function clearTimers() {
+    clearTimeout(reconnectTimer);
+    clearTimeout(pollTimer);
+    clearTimeout(streamRetryTimer);
+    reconnectTimer = pollTimer = streamRetryTimer = null;
+  }
+
+  function scheduleReconnect() {
+    clearTimeout(reconnectTimer);
+    status("offline");
+    // "equal jitter": nunca menos de la mitad de la espera, para no martillear al servidor
+    const cap = Math.min(LIVE_RETRY_MAX_MS, LIVE_RETRY_BASE_MS * 2 ** attempt++);
+    reconnectTimer = setTimeout(connect, cap / 2 + Math.random() * (cap / 2));
+  }
+
+  /** Abre SSE o WebSocket; rechaza si no llega a abrir (y entonces se prueba el siguiente). */
+  function openTransport(kind, base, ticket) {
+    const url = liveUrl(base, ticket, lastEventId);
+    return new Promise((resolve, reject) => {
+      let opened = false;
+      let source = null;
+      const detach = () => {
+        if (source) source.onopen = source.onerror = source.onclose = source.onmessage = null;
+        source?.close();
+      };
+      const fail = () => {
+        clearTimeout(openTimer);
+        detach();
+        if (opened) handleDrop();
+        else reject(new Error(t("live.unavailable", { kind })));
+      };
+      const open = () => {
+        opened = true;
+        clearTimeout(openTimer);
+        // al momento (no tras el await de connect): el canal puede caerse en el mismo tick
+        if (active()) {
+          closeTransport = detach;
+          attempt = 0;
+          stopPolling();
+          status(kind);
+        } else detach();
+        resolve();
+      };
+      const openTimer = setTimeout(fail, LIVE_OPEN_TIMEOUT_MS);
+
+      try {
+        if (kind === "sse") {
+          source = new EventSource(url);
+          source.onopen = open;
+          // EventSource reconectaría solo y sin espera; preferimos llevar nosotros el ritmo
+          source.onerror = fail;
+          source.onmessage = (e) => {
+            if (e.lastEventId) lastEventId = e.lastEventId;
+            emit(parseLiveEvent(parseJson(e.data)));
+          };
+        } else {
+          source = new WebSocket(url.replace(/^http/, "ws"));
+          source.onopen = open;
+          source.onclose = fail;
+          source.onmessage = (e) => {
+            const data = parseJson(e.data);
+            if (data?.eventId !== undefined && data?.eventId !== null) lastEventId = String(data.eventId);
+            emit(parseLiveEvent(data));
+          };
+        }
+      } catch {
+        fail();
+      }
+    });
+  }
+
+  function handleDrop() {
+    closeTransport = null;
+    if (active()) scheduleReconnect();
+  }
+
+  async function connect() {
+    reconnectTimer = null;
+    if (!active()) return;
+    const base = getApiUrl();
+    if (!base || !getToken()) return scheduleReconnect();
+
+    // la demo local no tiene streaming, y sin tickets no se abre: directamente a sondeo
+    const kinds =
+      isLocalApiUrl(base) || isEndpointUnsupported(LIVE_TICKET_ENDPOINT)
+        ? []
+        : LIVE_TRANSPORTS.filter((k) => !unsupported.has(k));
+    if (!polling) status("connecting");
+    for (const kind of kinds) {
+      // un ticket por intento: el servidor lo invalida al usarlo
+      let ticket;
+      try {
+        ticket = (await api.createLiveTicket())?.ticket;
+      } catch (e) {
+        if (!active()) return;
+        if (!isEndpointMissing(e)) return scheduleReconnect();
+      }
+      if (!active()) return;
+      if (!ticket) {
+        markEndpointUnsupported(LIVE_TICKET_ENDPOINT);
+        break;
+      }
+      try {
+        await openTransport(kind, base, ticket);
+        return;
+      } catch {
+        if (!active()) return;
+        unsupported.add(kind);
+      }
+    }
+    startPolling();
+  }
+
+  // -------------------- Sondeo --------------------
+
+  async function poll() {
+    if (!active() || !polling) return;
+    if (document.visibilityState === "hidden") {
+      pollTimer = setTimeout(poll, LIVE_POLL_MS);
+      return;
+    }
+    pollController = new AbortController();
+    try {
+      const [recResp, scResp] = await Promise.all([
+        api.listRecords({ limit: LIVE_POLL_LIMIT }, { signal: pollController.signal }),
+        api.listShortcuts({ signal: pollController.signal }),
+      ]);
+      if (!active() || !polling) return;
+      const records = recResp?.records || [];
+      const shortcuts = scResp?.shortcuts || [];
+      if (snapshot) {
+        const recordDiff = diffSnapshots("record", snapshot.records, records, { windowed: true });
+        const confirmed = await confirmMissing(recordDiff.missing, pollController.signal);
+        if (!active() || !polling) return;
+        recordDiff.events.forEach(emit);
+        confirmed.forEach(emit);
+        diffSnapshots("shortcut", snapshot.shortcuts, shortcuts).events.forEach(emit);
+      }
+      snapshot = {
+        records: new Map(records.map((r) => [String(r.id), r])),
+        shortcuts: new Map(shortcuts.map((s) => [String(s.id), s])),
+      };
+      status("polling");
+    } catch (e) {
+      if (!active() || isAbortError(e)) return;
+      status("offline");
+    } finally {
+      pollController = null;
+    }
+    if (active() && polling) pollTimer = setTimeout(poll, LIVE_POLL_MS);
+  }
+
+  /**
+   * Registros que faltan en la página sondeada sin haber salido de su rango:
+   * borrados (404) o movidos de fecha (se emite su versión actual). Si la
+   * consulta falla por otra cosa no se emite nada: mejor eso que un borrado falso.
+   */
+  async function confirmMissing(ids, signal) {
+    const events = await Promise.all(
+      ids.map(async (id) => {
+        try {
+          const resp = await api.getRecord(id, { signal });
+          return resp?.record ? liveEvent("record", "updated", id, resp.record) : null;
+        } catch (e) {
+          if (isAbortError(e)) throw e;
+          return e?.status === 404 ? liveEvent("record", "deleted", id, null) : null;
+        }
+      })
+    );
+    return events.filter(Boolean);
+  }
+
+  function startPolling() {
+    if (!polling) {
+      polling = true;
+      snapshot = null;
+      poll();
+    } else status("polling");
+    clearTimeout(streamRetryTimer);
+    if (!isLocalApiUrl(getApiUrl())) {
+      streamRetryTimer = setTimeout(() => {
+        unsupported.clear();
+        connect();
+      }, LIVE_STREAM_RETRY_MS);
+    }
+  }
+
+  function stopPolling() {
+    polling = false;
+    pollController?.abort();
+    clearTimeout(pollTimer);
+    clearTimeout(streamRetryTimer);
+  }
+
+  // al volver la red o la pestaña, reconectar (o sondear) sin esperar al temporizador
+  function wake() {
+    if (!active() || document.visibilityState === "hidden") return;
+    if (polling) {
+      if (pollController) return; // ya hay una vuelta en curso
+      clearTimeout(pollTimer);
+      poll();
+    } else if (!closeTransport && reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      attempt = 0;
+      connect();
+    }
+  }
+
+  window.addEventListener("online", wake);
+  document.addEventListener("visibilitychange", wake);
+  connect();
+
+  return () => {
+    stopped = true;
+    stopPolling();
+    clearTimers();
+    closeTransport?.();
+    closeTransport = null;
+    window.removeEventListener("online", wake);
+    document.removeEventListener("visibilitychange", wake);
+  };
+}
@@ -0,0 +1,75 @@
+import { escapeRegExp } from "./searchQuery";
+import { t } from "./i18n";
+
+// -------------------- Acciones en bloque sobre registros --------------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Ejecuta `worker(item)` en lotes de `batchSize` en paralelo, con una pausa
+ * entre lotes para no saturar la API. `shouldStop()` permite cancelar entre lotes.
+ *
+ * Devuelve { done: [item], failed: [{ item, error }], cancelled }.
+ */
+export async function runBatched(items, worker, { batchSize = 5, delayMs = 200, onProgress, shouldStop } = {}) {
+  const done = [];
+  const failed = [];
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    if (shouldStop?.()) return { done, failed, cancelled: true };
+
+    const batch = items.slice(i, i + batchSize);
+    const results = await Promise.allSettled(batch.map((item) => worker(item)));
+    results.forEach((res, j) => {
+      if (res.status === "fulfilled") done.push(batch[j]);
+      else failed.push({ item: batch[j], error: res.reason?.message || t("common.error") });
+    });
+
+    onProgress?.(done.length + failed.length, items.length);
+    if (i + batchSize < items.length) await sleep(delayMs);
+  }
+
+  return { done, failed, cancelled: false };
+}
+
+/**
+ * Expresión para buscar `find` (texto literal o /regex/ si `regex`).
+ * Lanza un Error con un mensaje para el usuario si la expresión no es válida.
+ */
+export function buildFindRegExp(find, { regex = false, caseSensitive = false } = {}) {
+  if (!find) throw new Error(t("bulk.replace.findRequired"));
+  const flags = caseSensitive ? "gu" : "giu";
+  if (!regex) return new RegExp(escapeRegExp(find), flags);
+  try {
+    return new RegExp(find, flags);
+  } catch (e) {
+    throw new Error(t("search.invalidRegex", { message: e.message }));
+  }
+}
+
+/**
+ * Cambios que haría el reemplazo: { changes: [{ record, text }], emptied }.
+ * Los registros que quedarían vacíos no se tocan (se cuentan en `emptied`).
+ */
+export function planReplace(records, { find, replacement = "", regex = false, caseSensitive = false }) {
+  const re = buildFindRegExp(find, { regex, caseSensitive });
+  const changes = [];
+  let emptied = 0;
+
+  for (const record of records) {
+    // sin regex, "$1" o "$&" en el reemplazo van tal cual
+    const text = regex
+      ? record.text.replace(re, replacement)
+      : record.text.replace(re, () => replacement);
+    if (text === record.text) continue;
+    if (!text.trim()) emptied += 1;
+    else changes.push({ record, text });
+  }
+  return { changes, emptied };
+}
+
+/** Resumen de fallos para un aviso: "3 fallaron (primer error)". */
+export function describeFailures(res) {
+  if (!res.failed.length) return "";
+  return t("bulk.failures", { count: res.failed.length, error: res.failed[0].error });
+}
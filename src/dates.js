@@ -0,0 +1,174 @@
+import { getLocale, t } from "./i18n";
+
+// -------------------- Fechas en hora local --------------------
+
+const dateFormats = new Map();
+
+/** Intl.DateTimeFormat del idioma actual (se crean una vez por idioma y opciones). */
+function dateFormat(options) {
+  const key = `${getLocale()} ${JSON.stringify(options)}`;
+  if (!dateFormats.has(key)) dateFormats.set(key, new Intl.DateTimeFormat(getLocale(), options));
+  return dateFormats.get(key);
+}
+
+/** Un Date con las opciones de Intl.DateTimeFormat, en el idioma actual. */
+export function formatLocalDate(d, options) {
+  return dateFormat(options).format(d);
+}
+
+const weekdayNames = new Map();
+
+/**
+ * Nombres cortos de domingo..sábado para las fechas compactas. Una letra si
+ * el idioma las tiene distintas (es: D L M X J V S); si no (en: S M T W T F S)
+ * la abreviatura.
+ */
+function weekdayNamesOf(locale) {
+  if (!weekdayNames.has(locale)) {
+    // 2026-01-04 fue domingo
+    const days = Array.from({ length: 7 }, (_, i) => new Date(2026, 0, 4 + i));
+    const narrow = days.map((d) => dateFormat({ weekday: "narrow" }).format(d));
+    const names = new Set(narrow).size === 7 ? narrow : days.map((d) => dateFormat({ weekday: "short" }).format(d));
+    weekdayNames.set(locale, names);
+  }
+  return weekdayNames.get(locale);
+}
+
+export function weekdayLetter(d) {
+  return weekdayNamesOf(getLocale())[d.getDay()] || "?";
+}
+
+/** Letras de lunes a domingo, para las cabeceras de calendarios y tablas por semana. */
+export function mondayFirstWeekdays() {
+  const names = weekdayNamesOf(getLocale());
+  return [...names.slice(1), names[0]];
+}
+
+/** Día de la semana completo en el idioma actual ("lunes", "Monday"). */
+export function weekdayName(d) {
+  return dateFormat({ weekday: "long" }).format(d);
+}
+
+export function formatLocalFromUtcIso(utcIso) {
+  // Desktop: W YYYY-MM-DD HH:mm:ss
+  if (!utcIso) return "";
+  const d = new Date(utcIso);
+  if (Number.isNaN(d.getTime())) return String(utcIso);
+
+  const W = weekdayLetter(d);
+  const YYYY = String(d.getFullYear());
+  const MM = String(d.getMonth() + 1).padStart(2, "0");
+  const DD = String(d.getDate()).padStart(2, "0");
+  const hh = String(d.getHours()).padStart(2, "0");
+  const mi = String(d.getMinutes()).padStart(2, "0");
+  const ss = String(d.getSeconds()).padStart(2, "0");
+
+  return `${W} ${YYYY}-${MM}-${DD} ${hh}:${mi}:${ss}`;
+}
+
+export function formatLocalShort(utcIso) {
+  // Móvil: W MM-DD HH:mm:ss
+  // y si no es el año actual: W YY-MM-DD HH:mm:ss (año a la izquierda, 2 dígitos)
+  if (!utcIso) return "";
+  const d = new Date(utcIso);
+  if (Number.isNaN(d.getTime())) return String(utcIso);
+
+  const now = new Date();
+  const showYear = d.getFullYear() !== now.getFullYear();
+
+  const W = weekdayLetter(d);
+  const YY = String(d.getFullYear() % 100).padStart(2, "0");
+  const MM = String(d.getMonth() + 1).padStart(2, "0");
+  const DD = String(d.getDate()).padStart(2, "0");
+
+  const hh = String(d.getHours()).padStart(2, "0");
+  const mi = String(d.getMinutes()).padStart(2, "0");
+  const ss = String(d.getSeconds()).padStart(2, "0");
+
+  const datePart = showYear ? `${YY}-${MM}-${DD}` : `${MM}-${DD}`;
+  return `${W} ${datePart} ${hh}:${mi}:${ss}`;
+}
+
+export function localDayKey(utcIso) {
+  const d = new Date(utcIso);
+  if (Number.isNaN(d.getTime())) return "invalid";
+  return dayKeyOfDate(d);
+}
+
+/** "HH:mm:ss" en hora local; "" si la fecha no es válida. */
+export function localTime(utcIso) {
+  const d = new Date(utcIso);
+  if (Number.isNaN(d.getTime())) return "";
+  const hh = String(d.getHours()).padStart(2, "0");
+  const mi = String(d.getMinutes()).padStart(2, "0");
+  const ss = String(d.getSeconds()).padStart(2, "0");
+  return `${hh}:${mi}:${ss}`;
+}
+
+/** "YYYY-MM-DD" del día local de un Date. */
+export function dayKeyOfDate(d) {
+  const YYYY = String(d.getFullYear());
+  const MM = String(d.getMonth() + 1).padStart(2, "0");
+  const DD = String(d.getDate()).padStart(2, "0");
+  return `${YYYY}-${MM}-${DD}`;
+}
+
+/** Día local en el formato del idioma: "lunes, 19 de octubre de 2026". */
+export function localDayLabel(utcIso) {
+  const d = new Date(utcIso);
+  if (Number.isNaN(d.getTime())) return t("date.invalid");
+  return dateFormat({ dateStyle: "full" }).format(d);
+}
+
+export function tsMs(utcIso) {
+  const ms = new Date(utcIso).getTime();
+  return Number.isNaN(ms) ? 0 : ms;
+}
+
+// -------------------- Fecha y hora elegidas por el usuario --------------------
+
+/** Valor para <input type="datetime-local" step="1"> (hora local, con segundos). */
+export function toLocalInputValue(utcIso) {
+  const d = new Date(utcIso);
+  if (Number.isNaN(d.getTime())) return "";
+  return `${dayKeyOfDate(d)}T${localTime(utcIso)}`;
+}
+
+/** De <input type="datetime-local"> (hora local) a ISO UTC; "" si no es válido. */
+export function fromLocalInputValue(value) {
+  const m = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (!m) return "";
+  const [, y, mo, d, hh, mi, ss = "0"] = m;
+  const date = new Date(Number(y), Number(mo) - 1, Number(d), Number(hh), Number(mi), Number(ss));
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString();
+}
+
+// "cuándo" de un registro nuevo: ahora, hace X minutos o una fecha concreta
+// (label es la clave del catálogo y params sus parámetros)
+export const WHEN_PRESETS = [
+  { value: "now", label: "when.now" },
+  { value: "5", label: "when.minutesAgo", params: { minutes: 5 } },
+  { value: "15", label: "when.minutesAgo", params: { minutes: 15 } },
+  { value: "30", label: "when.minutesAgo", params: { minutes: 30 } },
+  { value: "60", label: "when.hoursAgo", params: { hours: 1 } },
+  { value: "120", label: "when.hoursAgo", params: { hours: 2 } },
+  { value: "custom", label: "when.custom" },
+];
+
+export const WHEN_NOW = { preset: "now", custom: "" };
+
+/**
+ * ISO UTC para `{ preset, custom }` (ver WHEN_PRESETS).
+ * Lanza un Error con un mensaje para el usuario si la fecha no vale o es futura.
+ */
+export function resolveWhen(when, now = new Date()) {
+  const preset = when?.preset || "now";
+  if (preset === "now") return now.toISOString();
+  if (preset !== "custom") return new Date(now.getTime() - Number(preset) * 60000).toISOString();
+
+  const tsUtc = fromLocalInputValue(when.custom);
+  if (!tsUtc) throw new Error(t("when.invalid"));
+  // un minuto de margen por relojes desajustados
+  if (tsMs(tsUtc) > now.getTime() + 60000) throw new Error(t("when.future"));
+  return tsUtc;
+}
@@ -0,0 +1,96 @@
+import { formatLocalFromUtcIso, localDayKey, localDayLabel, localTime, tsMs } from "./dates";
+import { t } from "./i18n";
+
+// -------------------- Export (CSV / JSON / Markdown) --------------------
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", ext: "csv", mime: "text/csv;charset=utf-8" },
+  json: { label: "JSON", ext: "json", mime: "application/json;charset=utf-8" },
+  md: { label: "Markdown", ext: "md", mime: "text/markdown;charset=utf-8" },
+};
+
+// columnas del CSV y claves del JSON; el importador las reconoce (ver guessMapping)
+export const EXPORT_COLUMNS = { id: "id", ts: "tsUtc", local: "local", text: "text" };
+
+function chronological(records) {
+  return [...records].sort((a, b) => tsMs(a.tsUtc) - tsMs(b.tsUtc));
+}
+
+function csvCell(value) {
+  const s = String(value ?? "");
+  return /[",\r\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function recordsToCsv(records) {
+  const lines = [[EXPORT_COLUMNS.id, EXPORT_COLUMNS.ts, EXPORT_COLUMNS.local, EXPORT_COLUMNS.text].join(",")];
+  for (const r of chronological(records)) {
+    lines.push([r.id, r.tsUtc, formatLocalFromUtcIso(r.tsUtc), r.text].map(csvCell).join(","));
+  }
+  // BOM => Excel abre bien los acentos
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+export function recordsToJson(records, meta = {}) {
+  const out = {
+    exportedAtUtc: new Date().toISOString(),
+    ...meta,
+    count: records.length,
+    records: chronological(records).map((r) => ({
+      [EXPORT_COLUMNS.id]: r.id,
+      [EXPORT_COLUMNS.ts]: r.tsUtc,
+      [EXPORT_COLUMNS.local]: formatLocalFromUtcIso(r.tsUtc),
+      [EXPORT_COLUMNS.text]: r.text,
+    })),
+  };
+  return JSON.stringify(out, null, 2) + "\n";
+}
+
+/** Diario por días: "## <día en el idioma actual>" y una viñeta por registro con la hora local. */
+export function recordsToMarkdown(records, { title = t("export.md.title"), query = "" } = {}) {
+  const lines = [`# ${title}`, ""];
+  if (query) lines.push(t("export.md.query", { query: `\`${query}\`` }), "");
+
+  let currentDay = "";
+  for (const r of chronological(records)) {
+    const day = localDayKey(r.tsUtc);
+    if (day !== currentDay) {
+      if (currentDay) lines.push("");
+      lines.push(`## ${localDayLabel(r.tsUtc)}`, "");
+      currentDay = day;
+    }
+    const time = localTime(r.tsUtc);
+    // las líneas siguientes de un texto multilínea van sangradas dentro de la viñeta
+    const text = String(r.text ?? "").replace(/\r?\n/g, "\n  ");
+    lines.push(`- \`${time}\` ${text}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+export function downloadFile(filename, content, mime) {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Genera y descarga el fichero con `records` en el formato pedido.
+ * Funciona sin red: solo usa los datos ya cargados.
+ */
+export function exportRecords(records, format, { query = "" } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(t("export.unknownFormat", { format }));
+
+  let content;
+  if (format === "csv") content = recordsToCsv(records);
+  else if (format === "json") content = recordsToJson(records, query ? { query } : {});
+  else content = recordsToMarkdown(records, { query });
+
+  const today = localDayKey(new Date().toISOString());
+  downloadFile(`${t("export.fileName", { date: today })}.${spec.ext}`, content, spec.mime);
+}
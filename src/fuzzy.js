@@ -0,0 +1,46 @@
+// -------------------- Búsqueda difusa (paleta de comandos) --------------------
+
+function fold(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Puntuación de `query` contra `text`: -1 si no están todas sus letras en orden;
+ * más alta cuanto más seguidas, al principio de palabra o como subcadena exacta.
+ * Sin mayúsculas ni acentos ("reg" encuentra "Registrar", "cafe" a "Café").
+ */
+export function fuzzyScore(query, text) {
+  const q = fold(query).replace(/\s+/g, "");
+  const t = fold(text);
+  if (!q) return 0;
+
+  let score = 0;
+  let from = 0;
+  let prev = -2;
+  for (const ch of q) {
+    const found = t.indexOf(ch, from);
+    if (found < 0) return -1;
+    score += 1;
+    if (found === prev + 1) score += 3;
+    if (found === 0 || /[\s\-_:/#(]/.test(t[found - 1])) score += 2;
+    prev = found;
+    from = found + 1;
+  }
+  if (t.includes(fold(query).trim())) score += 10;
+  // a igualdad, mejor el texto corto
+  return score - t.length / 1000;
+}
+
+/** Los `items` que casan con `query`, de mejor a peor (`getText` da el texto de cada uno). */
+export function fuzzyFilter(items, query, getText, limit = 50) {
+  if (!String(query ?? "").trim()) return items.slice(0, limit);
+  return items
+    .map((item) => ({ item, score: fuzzyScore(query, getText(item)) }))
+    .filter((x) => x.score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((x) => x.item);
+}
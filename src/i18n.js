@@ -0,0 +1,95 @@
+import en from "./locales/en";
+import es from "./locales/es";
+
+// -------------------- Idioma de la interfaz --------------------
+// Catálogos planos { clave: texto } por idioma. Los textos admiten {param} y,
+// para contadores, formas de plural según Intl.PluralRules:
+//   "records.count": { one: "{count} registro", other: "{count} registros" }
+// Lo que falte en un catálogo sale del español (el idioma de referencia).
+
+export const LOCALES = [
+  { id: "es", name: "Español" },
+  { id: "en", name: "English" },
+];
+
+const CATALOGS = { es, en };
+const FALLBACK_LOCALE = "es";
+const LOCALE_KEY = "locale";
+
+let localeHandlers = [];
+
+/** Primer idioma del navegador que tengamos; si ninguno, inglés. */
+export function detectLocale() {
+  const wanted = navigator.languages?.length ? navigator.languages : [navigator.language || ""];
+  for (const tag of wanted) {
+    const base = String(tag).toLowerCase().split("-")[0];
+    if (CATALOGS[base]) return base;
+  }
+  return "en";
+}
+
+/** Idioma elegido a mano, o "" si se sigue al navegador. */
+export function getLocalePreference() {
+  const saved = localStorage.getItem(LOCALE_KEY) || "";
+  return CATALOGS[saved] ? saved : "";
+}
+
+let currentLocale = getLocalePreference() || detectLocale();
+document.documentElement.lang = currentLocale;
+
+export function getLocale() {
+  return currentLocale;
+}
+
+/** Fija el idioma ("" = automático) y lo recuerda en este dispositivo. */
+export function setLocalePreference(id) {
+  if (id && CATALOGS[id]) localStorage.setItem(LOCALE_KEY, id);
+  else localStorage.removeItem(LOCALE_KEY);
+
+  const next = getLocalePreference() || detectLocale();
+  if (next === currentLocale) return;
+  currentLocale = next;
+  document.documentElement.lang = next;
+  localeHandlers.forEach((h) => {
+    try {
+      h(next);
+    } catch {
+      // no-op
+    }
+  });
+}
+
+/**
+ * Suscripción a los cambios de idioma.
+ * Devuelve una función para desuscribirse.
+ */
+export function onLocaleChange(fn) {
+  localeHandlers.push(fn);
+  return () => {
+    localeHandlers = localeHandlers.filter((h) => h !== fn);
+  };
+}
+
+const pluralRules = new Map();
+
+function pluralForm(count) {
+  if (!pluralRules.has(currentLocale)) pluralRules.set(currentLocale, new Intl.PluralRules(currentLocale));
+  return pluralRules.get(currentLocale).select(count);
+}
+
+/**
+ * Texto traducido de `key` con sus {param} sustituidos. Si el texto tiene
+ * formas de plural, `params.count` elige cuál (y sale ya formateado).
+ */
+export function t(key, params = {}) {
+  let msg = CATALOGS[currentLocale][key] ?? CATALOGS[FALLBACK_LOCALE][key] ?? key;
+  if (msg && typeof msg === "object") msg = msg[pluralForm(Number(params.count) || 0)] ?? msg.other;
+  return String(msg).replace(/\{(\w+)\}/g, (all, name) => {
+    if (!(name in params)) return all;
+    return name === "count" ? formatNumber(params.count) : String(params[name]);
+  });
+}
+
+export function formatNumber(n, options) {
+  return new Intl.NumberFormat(currentLocale, options).format(n);
+}
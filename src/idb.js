@@ -0,0 +1,107 @@
+import { t } from "./i18n";
+
+const DB_NAME = "records-front";
+const DB_VERSION = 3;
+
+// -------------------- IndexedDB helper --------------------
+
+let dbPromise = null;
+
+function upgrade(db) {
+  // Cola de envíos pendientes (registros creados sin conexión)
+  if (!db.objectStoreNames.contains("outbox")) {
+    db.createObjectStore("outbox", { keyPath: "seq", autoIncrement: true });
+  }
+  // Versiones anteriores de los registros (si la API no guarda historial)
+  if (!db.objectStoreNames.contains("revisions")) {
+    const store = db.createObjectStore("revisions", { keyPath: "seq", autoIncrement: true });
+    store.createIndex("byRecord", ["profileId", "recordId"]);
+  }
+  // Datos del backend local (modo demo)
+  if (!db.objectStoreNames.contains("demo")) {
+    db.createObjectStore("demo", { keyPath: "key" });
+  }
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error(t("idb.unavailable")));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => upgrade(req.result);
+    req.onsuccess = () => {
+      const db = req.result;
+      // otra pestaña con versión nueva => cerramos y reabrimos en la próxima llamada
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Ejecuta `fn(store)` dentro de una transacción sobre `storeName`.
+ * `fn` puede devolver una IDBRequest (se resuelve con su resultado) o un valor.
+ */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const store = tx.objectStore(storeName);
+
+    let result;
+    const out = fn(store);
+    if (out && typeof out === "object" && "onsuccess" in out) {
+      promisify(out).then((r) => {
+        result = r;
+      }, reject);
+    } else {
+      result = out;
+    }
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error(t("idb.aborted")));
+  });
+}
+
+export function idbGetAll(storeName) {
+  return withStore(storeName, "readonly", (store) => store.getAll());
+}
+
+export function idbGet(storeName, key) {
+  return withStore(storeName, "readonly", (store) => store.get(key));
+}
+
+export function idbGetAllByIndex(storeName, indexName, query) {
+  return withStore(storeName, "readonly", (store) => store.index(indexName).getAll(query));
+}
+
+export function idbPut(storeName, value) {
+  return withStore(storeName, "readwrite", (store) => store.put(value));
+}
+
+export function idbAdd(storeName, value) {
+  return withStore(storeName, "readwrite", (store) => store.add(value));
+}
+
+export function idbDelete(storeName, key) {
+  return withStore(storeName, "readwrite", (store) => store.delete(key));
+}
@@ -0,0 +1,240 @@
+import { api } from "./api";
+import { runBatched } from "./bulkRecords";
+import { tsMs } from "./dates";
+import { EXPORT_COLUMNS } from "./exportRecords";
+import { t } from "./i18n";
+
+// -------------------- Parsing (CSV / JSON) --------------------
+
+/** CSV estilo RFC 4180; detecta "," o ";" como separador por la primera línea. */
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((c) => c.trim() !== ""));
+  const [header = [], ...body] = nonEmpty;
+  const columns = header.map((h, i) => h.trim() || `col${i + 1}`);
+  return {
+    columns,
+    rows: body.map((r) => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ""]))),
+  };
+}
+
+/** JSON: array de objetos, o { records: [...] } (el formato de nuestra exportación). */
+export function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || "").replace(/^\uFEFF/, ""));
+  } catch (e) {
+    throw new Error(t("import.error.badJson", { message: e.message }));
+  }
+
+  const list = Array.isArray(data) ? data : Array.isArray(data?.records) ? data.records : null;
+  if (!list) throw new Error(t("import.error.jsonShape"));
+
+  const rows = list.map((it) => (it && typeof it === "object" ? it : { text: it }));
+  const columns = Array.from(new Set(rows.flatMap((r) => Object.keys(r))));
+  return { columns, rows };
+}
+
+export function parseImportFile(filename, text) {
+  const name = String(filename || "").toLowerCase();
+  const trimmed = String(text || "").trim();
+  if (name.endsWith(".json") || trimmed.startsWith("[") || trimmed.startsWith("{")) return parseJson(text);
+  return parseCsv(text);
+}
+
+// -------------------- Mapping / validation --------------------
+
+// las de nuestra exportación primero: un fichero exportado vuelve a entrar sin tocar nada
+// (la fecha en UTC antes que la hora local, que pierde la zona)
+const TEXT_CANDIDATES = [
+  EXPORT_COLUMNS.text,
+  "texto",
+  "record",
+  "registro",
+  "event",
+  "evento",
+  "note",
+  "nota",
+  "description",
+];
+const TS_CANDIDATES = [
+  EXPORT_COLUMNS.ts,
+  "ts",
+  "timestamp",
+  "date",
+  "fecha",
+  "datetime",
+  "time",
+  EXPORT_COLUMNS.local,
+  "created",
+  "createdat",
+];
+
+function pickColumn(columns, candidates) {
+  const norm = (c) => String(c).toLowerCase().replace(/[^a-z]/g, "");
+  for (const cand of candidates) {
+    const found = columns.find((c) => norm(c) === norm(cand));
+    if (found) return found;
+  }
+  return "";
+}
+
+/** Adivina qué columnas son texto y fecha a partir de los nombres. */
+export function guessMapping(columns) {
+  return {
+    text: pickColumn(columns, TEXT_CANDIDATES) || columns[0] || "",
+    ts: pickColumn(columns, TS_CANDIDATES),
+  };
+}
+
+/**
+ * Convierte una fecha del fichero a ISO UTC.
+ * Acepta ISO con zona, "YYYY-MM-DD[ T]HH:mm[:ss]" (hora local), nuestro formato
+ * "W YYYY-MM-DD HH:mm:ss" y epoch en segundos o milisegundos.
+ * Devuelve "" si no se puede interpretar.
+ */
+export function parseTimestamp(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return "";
+
+  if (/^\d{9,13}$/.test(raw)) {
+    const n = Number(raw);
+    const ms = raw.length <= 10 ? n * 1000 : n;
+    return new Date(ms).toISOString();
+  }
+
+  // sin zona => hora local (quitando el día de la semana si viene: "J", "Thu"…, según el idioma)
+  const m = raw
+    .replace(/^\p{L}{1,3}\.?\s+/u, "")
+    .match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (m) {
+    const [, y, mo, d, hh = "0", mi = "0", ss = "0"] = m;
+    const date = new Date(Number(y), Number(mo) - 1, Number(d), Number(hh), Number(mi), Number(ss));
+    if (date.getMonth() !== Number(mo) - 1) return "";
+    return date.toISOString();
+  }
+
+  const date = new Date(raw);
+  return Number.isNaN(date.getTime()) ? "" : date.toISOString();
+}
+
+function dupKey(text, tsUtc) {
+  return `${tsMs(tsUtc)}|${String(text || "").trim()}`;
+}
+
+/**
+ * Filas listas para previsualizar: { index, text, tsUtc, errors, duplicate }.
+ * `duplicate` marca coincidencias exactas (fecha + texto) con los registros
+ * cargados o con una fila anterior del mismo fichero.
+ */
+export function buildImportRows(rows, mapping, existingRecords = []) {
+  const seen = new Set(existingRecords.map((r) => dupKey(r.text, r.tsUtc)));
+
+  return rows.map((row, index) => {
+    const errors = [];
+    const text = String(row[mapping.text] ?? "").trim();
+    if (!text) errors.push(t("import.row.emptyText"));
+
+    let tsUtc = "";
+    if (mapping.ts) {
+      const rawTs = row[mapping.ts];
+      tsUtc = parseTimestamp(rawTs);
+      if (!tsUtc) {
+        errors.push(String(rawTs ?? "").trim() ? t("import.row.badDate", { value: rawTs }) : t("import.row.noDate"));
+      }
+    }
+
+    let duplicate = false;
+    if (!errors.length && tsUtc) {
+      const key = dupKey(text, tsUtc);
+      duplicate = seen.has(key);
+      seen.add(key);
+    }
+
+    return { index, text, tsUtc, errors, duplicate };
+  });
+}
+
+// -------------------- Upload --------------------
+
+// hash corto y estable (cyrb53) => mismo fichero, misma Idempotency-Key
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Sube las filas en lotes de `batchSize` en paralelo con una pausa entre lotes.
+ * Con `dryRun` no se envía nada: solo se recorre y se resume.
+ * `shouldStop()` permite cancelar entre lotes.
+ *
+ * Devuelve { created, failed: [{ row, error }], cancelled }.
+ */
+export async function uploadImport(rows, { batchSize = 5, delayMs = 400, dryRun = false, onProgress, shouldStop } = {}) {
+  const res = await runBatched(
+    rows,
+    (row) =>
+      dryRun
+        ? Promise.resolve()
+        : api.createRecord(row.text, {
+            // sin fecha no hay forma de distinguir filas iguales: va la posición
+            clientId: `import-${hashString(dupKey(row.text, row.tsUtc) + (row.tsUtc ? "" : `#${row.index}`))}`,
+            tsUtc: row.tsUtc || undefined,
+          }),
+    { batchSize, delayMs: dryRun ? 0 : delayMs, onProgress, shouldStop }
+  );
+  return {
+    created: res.done.length,
+    failed: res.failed.map(({ item, error }) => ({ row: item, error })),
+    cancelled: res.cancelled,
+  };
+}
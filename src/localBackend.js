@@ -0,0 +1,386 @@
+import { t } from "./i18n";
+import { idbDelete, idbGet, idbPut } from "./idb";
+
+// -------------------- Backend local (modo demo) --------------------
+// Imita la API HTTP en el navegador, sobre IndexedDB: mismas rutas, mismos
+// códigos de estado y mismos cuerpos JSON. `request()` lo usa en lugar de
+// fetch cuando la URL del perfil es LOCAL_API_URL, así que reintentos, 401,
+// ApiError… se comportan igual que contra un servidor (útil para tests de UI).
+
+export const DEMO_CREDENTIALS = { username: "demo", password: "demo", pin: "1234" };
+
+const STORE = "demo";
+const STATE_KEY = "state";
+const LATENCY_MS = 120;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const TELEGRAM_CODE_TTL_MS = 5 * 60 * 1000;
+const TELEGRAM_COOLDOWN_MS = 30 * 1000;
+const MAX_TEXT_LENGTH = 5000;
+
+// -------------------- Estado --------------------
+
+// generador determinista: la demo arranca siempre con los mismos datos
+function seededRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const SEED_TEXTS = [
+  "Café ☕",
+  "Agua",
+  "Paseo #salud",
+  "Pastilla #salud",
+  "Reunión #trabajo",
+  "Revisar correo #trabajo",
+  "Leer 20 min #ocio",
+  "Gimnasio #salud",
+];
+
+function seedState(now = new Date()) {
+  const random = seededRandom(42);
+  const records = [];
+  let seq = 0;
+
+  for (let daysAgo = 20; daysAgo >= 0; daysAgo--) {
+    const count = 1 + Math.floor(random() * 4);
+    for (let i = 0; i < count; i++) {
+      const d = new Date(now);
+      d.setDate(d.getDate() - daysAgo);
+      d.setHours(8 + Math.floor(random() * 13), Math.floor(random() * 60), 0, 0);
+      if (d > now) continue;
+      const text = SEED_TEXTS[Math.floor(random() * SEED_TEXTS.length)];
+      records.push({ id: `r-${++seq}`, text, tsUtc: d.toISOString() });
+    }
+  }
+  records.push({ id: `r-${++seq}`, text: `Peso ${(72 + random() * 2).toFixed(1)} kg`, tsUtc: now.toISOString() });
+
+  const createdAt = new Date(now.getTime() - 30 * 86400000).toISOString();
+  const shortcuts = [
+    "Café ☕",
+    "Agua",
+    "Paseo #salud",
+    "Pastilla #salud",
+    "Peso {{prompt:kg|number}} kg",
+    "Ánimo: {{prompt:Ánimo|bien,regular,mal}} ({{time}})",
+    "Reunión #trabajo",
+  ].map((text, i) => ({ id: `s-${i + 1}`, text, tsUtc: createdAt }));
+
+  return {
+    seq,
+    records,
+    shortcuts,
+    layout: {
+      order: [],
+      pinned: ["s-1", "s-2"],
+      folders: [{ id: "f-salud", name: "Salud" }],
+      folderOf: { "s-3": "f-salud", "s-4": "f-salud", "s-5": "f-salud" },
+    },
+    revisions: [],
+    sessions: {},
+    telegram: null, // { code, expiresAtMs, requestedAtMs }
+  };
+}
+
+// las peticiones concurrentes (lotes, etc.) se aplican de una en una
+let queue = Promise.resolve();
+
+function locked(fn) {
+  const run = queue.then(fn, fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function loadState() {
+  const saved = await idbGet(STORE, STATE_KEY);
+  return saved?.value || seedState();
+}
+
+function saveState(state) {
+  return idbPut(STORE, { key: STATE_KEY, value: state });
+}
+
+/** Borra los datos de la demo; la próxima petición vuelve a sembrarlos. */
+export function resetDemoData() {
+  return locked(() => idbDelete(STORE, STATE_KEY));
+}
+
+// -------------------- Utilidades --------------------
+
+class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+function b64url(obj) {
+  return btoa(JSON.stringify(obj)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function randomId() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+/** Token con forma de JWT (sin firma real) para que la app lea su caducidad. */
+function issueSession(state, username) {
+  const exp = Math.floor((Date.now() + SESSION_TTL_MS) / 1000);
+  const token = `${b64url({ alg: "none", typ: "JWT" })}.${b64url({ sub: username, exp, jti: randomId() })}.demo`;
+  const refreshToken = `demo-refresh-${randomId()}${randomId()}`;
+  state.sessions[token] = { username, expiresAtMs: exp * 1000, refreshToken };
+  return { token, refreshToken };
+}
+
+function requireSession(state, headers) {
+  const token = String(headers.Authorization || headers.authorization || "").replace(/^Bearer\s+/i, "");
+  const session = state.sessions[token];
+  if (!session || session.expiresAtMs < Date.now()) throw new HttpError(401, t("api.error.badToken"));
+  return session;
+}
+
+function validText(value, field = "text") {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) throw new HttpError(422, t("api.error.validation"), { fields: { [field]: t("demo.field.emptyText") } });
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw new HttpError(422, t("api.error.validation"), { fields: { [field]: t("demo.field.tooLong", { max: MAX_TEXT_LENGTH }) } });
+  }
+  return text;
+}
+
+function validTs(value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new HttpError(422, t("api.error.validation"), { fields: { tsUtc: t("demo.field.badDate") } });
+  if (ms > Date.now() + 60000) {
+    throw new HttpError(422, t("api.error.validation"), { fields: { tsUtc: t("demo.field.futureDate") } });
+  }
+  return new Date(ms).toISOString();
+}
+
+function findOr404(list, id, notFoundKey) {
+  const item = list.find((it) => it.id === id);
+  if (!item) throw new HttpError(404, t(notFoundKey));
+  return item;
+}
+
+// -------------------- Rutas --------------------
+
+function login(state, { body }) {
+  const fields = {};
+  if (!body?.username) fields.username = t("demo.field.required");
+  if (!body?.password) fields.password = t("demo.field.required");
+  if (Object.keys(fields).length) throw new HttpError(400, t("demo.missingData"), { fields });
+  if (body.username !== DEMO_CREDENTIALS.username || body.password !== DEMO_CREDENTIALS.password) {
+    throw new HttpError(401, t("demo.badCredentials"));
+  }
+  return issueSession(state, body.username);
+}
+
+function refresh(state, { body, headers }) {
+  const byRefresh = Object.entries(state.sessions).find(
+    ([, s]) => body?.refreshToken && s.refreshToken === body.refreshToken
+  );
+  if (byRefresh) delete state.sessions[byRefresh[0]];
+  const username = byRefresh ? byRefresh[1].username : requireSession(state, headers).username;
+  return issueSession(state, username);
+}
+
+function requestTelegramCode(state, { body }) {
+  if (!body?.pin) throw new HttpError(400, t("demo.missingPin"), { fields: { pin: t("demo.field.required") } });
+  if (String(body.pin) !== DEMO_CREDENTIALS.pin) throw new HttpError(401, t("demo.badPin"));
+
+  const waitMs = (state.telegram?.requestedAtMs || 0) + TELEGRAM_COOLDOWN_MS - Date.now();
+  if (waitMs > 0) {
+    const secs = Math.ceil(waitMs / 1000);
+    throw new HttpError(429, t("demo.codeCooldown", { seconds: secs }), {
+      retryAfter: secs,
+      headers: { "Retry-After": String(secs) },
+    });
+  }
+  const code = String(Math.floor(100000 + Math.random() * 900000));
+  state.telegram = { code, expiresAtMs: Date.now() + TELEGRAM_CODE_TTL_MS, requestedAtMs: Date.now() };
+  // no hay Telegram de verdad: el código va en la respuesta para mostrarlo
+  return { ok: true, expiresInMs: TELEGRAM_CODE_TTL_MS, demoCode: code };
+}
+
+function verifyTelegramCode(state, { body }) {
+  const tg = state.telegram;
+  if (!tg?.code || tg.expiresAtMs < Date.now() || String(body?.code || "") !== tg.code) {
+    throw new HttpError(401, t("demo.badCode"));
+  }
+  state.telegram = { ...tg, code: "" };
+  return issueSession(state, DEMO_CREDENTIALS.username);
+}
+
+function listRecords(state, { query }) {
+  const limit = Math.max(1, Math.min(500, Number(query.get("limit")) || 50));
+  const before = query.get("before");
+  const sorted = state.records
+    .filter((r) => !before || r.tsUtc < before)
+    .sort((a, b) => b.tsUtc.localeCompare(a.tsUtc));
+  const page = sorted.slice(0, limit);
+  return { records: page, nextCursor: sorted.length > limit ? page[page.length - 1].tsUtc : "" };
+}
+
+function createRecord(state, { body }) {
+  const text = validText(body?.text);
+  const tsUtc = body?.tsUtc ? validTs(body.tsUtc) : new Date().toISOString();
+  // Idempotency: el mismo clientId devuelve el registro ya creado
+  const existing = body?.clientId && state.records.find((r) => r.clientId === body.clientId);
+  if (existing) return { record: existing };
+
+  const record = { id: `r-${++state.seq}`, text, tsUtc, ...(body?.clientId ? { clientId: body.clientId } : {}) };
+  state.records.push(record);
+  return { status: 201, data: { record } };
+}
+
+function getRecord(state, { params }) {
+  return { record: findOr404(state.records, params[0], "demo.notFound.record") };
+}
+
+function updateRecord(state, { body, params }) {
+  const record = findOr404(state.records, params[0], "demo.notFound.record");
+  const next = {
+    ...record,
+    ...(body?.text !== undefined ? { text: validText(body.text) } : {}),
+    ...(body?.tsUtc ? { tsUtc: validTs(body.tsUtc) } : {}),
+  };
+  if (next.text !== record.text || next.tsUtc !== record.tsUtc) {
+    state.revisions.push({
+      recordId: record.id,
+      text: record.text,
+      tsUtc: record.tsUtc,
+      editedAtUtc: new Date().toISOString(),
+    });
+  }
+  state.records = state.records.map((r) => (r.id === record.id ? next : r));
+  return { record: next };
+}
+
+function deleteRecord(state, { params }) {
+  findOr404(state.records, params[0], "demo.notFound.record");
+  state.records = state.records.filter((r) => r.id !== params[0]);
+  return { ok: true };
+}
+
+function listRecordRevisions(state, { params }) {
+  findOr404(state.records, params[0], "demo.notFound.record");
+  return { revisions: state.revisions.filter((r) => r.recordId === params[0]) };
+}
+
+function createShortcut(state, { body }) {
+  const shortcut = { id: `s-${++state.seq}`, text: validText(body?.text), tsUtc: new Date().toISOString() };
+  state.shortcuts.push(shortcut);
+  return { status: 201, data: { shortcut } };
+}
+
+function updateShortcut(state, { body, params }) {
+  const shortcut = findOr404(state.shortcuts, params[0], "demo.notFound.shortcut");
+  const next = { ...shortcut, text: validText(body?.text) };
+  state.shortcuts = state.shortcuts.map((s) => (s.id === shortcut.id ? next : s));
+  return { shortcut: next };
+}
+
+function deleteShortcut(state, { params }) {
+  findOr404(state.shortcuts, params[0], "demo.notFound.shortcut");
+  state.shortcuts = state.shortcuts.filter((s) => s.id !== params[0]);
+  return { ok: true };
+}
+
+function saveLayout(state, { body }) {
+  if (!body?.layout || typeof body.layout !== "object") {
+    throw new HttpError(422, t("api.error.validation"), { fields: { layout: t("demo.field.required") } });
+  }
+  state.layout = body.layout;
+  return { layout: state.layout };
+}
+
+// auth: exige "Authorization: Bearer <token>" de una sesión viva
+const routes = [
+  { method: "POST", path: /^\/auth\/login$/, auth: false, handle: login },
+  { method: "POST", path: /^\/auth\/refresh$/, auth: false, handle: refresh },
+  { method: "POST", path: /^\/auth\/telegram\/request-code$/, auth: false, handle: requestTelegramCode },
+  { method: "POST", path: /^\/auth\/telegram\/verify$/, auth: false, handle: verifyTelegramCode },
+  { method: "GET", path: /^\/records$/, auth: true, handle: listRecords },
+  { method: "POST", path: /^\/records$/, auth: true, handle: createRecord },
+  { method: "GET", path: /^\/records\/([^/]+)$/, auth: true, handle: getRecord },
+  { method: "PATCH", path: /^\/records\/([^/]+)$/, auth: true, handle: updateRecord },
+  { method: "DELETE", path: /^\/records\/([^/]+)$/, auth: true, handle: deleteRecord },
+  { method: "GET", path: /^\/records\/([^/]+)\/revisions$/, auth: true, handle: listRecordRevisions },
+  { method: "GET", path: /^\/shortcuts$/, auth: true, handle: (state) => ({ shortcuts: state.shortcuts }) },
+  { method: "POST", path: /^\/shortcuts$/, auth: true, handle: createShortcut },
+  { method: "GET", path: /^\/shortcuts\/layout$/, auth: true, handle: (state) => ({ layout: state.layout }) },
+  { method: "PUT", path: /^\/shortcuts\/layout$/, auth: true, handle: saveLayout },
+  { method: "PATCH", path: /^\/shortcuts\/([^/]+)$/, auth: true, handle: updateShortcut },
+  { method: "DELETE", path: /^\/shortcuts\/([^/]+)$/, auth: true, handle: deleteShortcut },
+];
+
+// -------------------- "fetch" local --------------------
+
+function json(status, data, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const id = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(id);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+}
+
+/** Sustituto de fetch(url, init) para LOCAL_API_URL: devuelve una Response como la del servidor. */
+export async function localFetch(url, { method = "GET", headers = {}, body, signal } = {}) {
+  await delay(LATENCY_MS, signal);
+
+  const { pathname, searchParams } = new URL(url);
+  const path = pathname.replace(/\/+$/, "") || "/";
+  let parsedBody = null;
+  try {
+    parsedBody = body ? JSON.parse(body) : null;
+  } catch {
+    return json(400, { error: t("demo.badJson") });
+  }
+
+  const matching = routes.filter((r) => r.path.test(path));
+  if (!matching.length) return json(404, { error: t("demo.routeNotFound") });
+  const route = matching.find((r) => r.method === method);
+  if (!route) return json(405, { error: t("demo.methodNotAllowed") });
+
+  return locked(async () => {
+    const state = await loadState();
+    try {
+      if (route.auth) requireSession(state, headers);
+      const out = route.handle(state, {
+        body: parsedBody,
+        headers,
+        query: searchParams,
+        params: path.match(route.path).slice(1).map(decodeURIComponent),
+      });
+      await saveState(state);
+      return out?.status ? json(out.status, out.data) : json(200, out);
+    } catch (e) {
+      if (!(e instanceof HttpError)) return json(500, { error: e?.message || t("demo.internalError") });
+      const { headers: extraHeaders, ...extra } = e.extra;
+      // los cambios de estado previos al error (p.ej. sesiones) no se guardan
+      return json(e.status, { error: e.message, ...extra }, extraHeaders);
+    }
+  });
+}
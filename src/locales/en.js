@@ -0,0 +1,460 @@
+// Textos de la interfaz en inglés. Misma forma que es.js.
+export default {
+  // --- Comunes ---
+  "common.error": "Error",
+  "common.reload": "Reload",
+  "common.undo": "Undo",
+  "common.emptyText": "The text cannot be empty.",
+  "common.logout": "Log out",
+  "common.back": "Back",
+  "common.save": "Save",
+  "common.cancel": "Cancel",
+  "common.edit": "Edit",
+  "common.delete": "Delete",
+  "common.history": "History",
+  "common.retry": "Retry",
+  "common.discard": "Discard",
+  "common.moveUp": "Move up",
+  "common.moveDown": "Move down",
+  "common.loading": "Loading...",
+  "common.add": "Add",
+  "common.close": "Close",
+  "common.andMore": "… and {count} more",
+
+  // --- Pantallas ---
+  "screen.records": "Records",
+  "screen.calendar": "Calendar",
+  "screen.stats": "Statistics",
+  "screen.shortcuts": "Shortcuts",
+  "screen.record": "Record",
+
+  // --- Cambios en vivo ---
+  "live.connecting": "Connecting…",
+  "live.on": "Live",
+  "live.polling": "Polling",
+  "live.offline": "Offline",
+  "live.connecting.title": "Connecting to receive changes from other devices",
+  "live.sse.title": "Changes from other devices arrive instantly (SSE)",
+  "live.ws.title": "Changes from other devices arrive instantly (WebSocket)",
+  "live.polling.title": "The server does not support streaming: changes are checked every few seconds",
+  "live.offline.title": "No live connection; retrying automatically",
+  "live.unavailable": "{kind} unavailable",
+
+  // --- Plantillas ---
+  "template.preview": "Preview:",
+  "template.help.title": "Templates",
+  "template.help.time": "time",
+  "template.help.date": "date",
+  "template.help.weekday": "day of the week",
+  "template.help.counter": "use count",
+  "template.help.number": "asks for a number",
+  "template.help.textExample": "Note",
+  "template.help.text": "asks for text",
+  "template.help.choiceExample": "Mood|good,okay,bad",
+  "template.help.choice": "pick one",
+  "template.error.noLabel": "Missing label in {raw}.",
+  "template.error.tooManyPipes": "Too many \"|\" in {raw}.",
+  "template.error.fewOptions": "A list of options needs at least two in {raw}.",
+  "template.error.unclosed": "There is a \"{{\" not closed with \"}}\".",
+  "template.error.unknown": "Unknown placeholder: {raw} (valid: {valid}).",
+  "template.prompt.title": "Complete the record",
+  "template.prompt.preview": "Will be logged as:",
+
+  // --- Login ---
+  "login.error.network": "Could not reach the API. Check the URL and your connection.",
+  "login.error.timeout": "The API is not responding. Try again in a moment.",
+  "login.error.rateLimit": "Too many attempts. Wait {seconds} s.",
+  "login.error.server": "The API failed: {message}",
+  "login.invalidApiUrl": "The API URL is not valid.",
+  "login.field.checkCredentials": "Check the username and password.",
+  "login.field.wrongPin": "Wrong PIN.",
+  "login.field.wrongCode": "Wrong or expired code.",
+  "login.tg.pinRequired": "Enter the PIN to send the code.",
+  "login.tg.codeSent": "Code sent.",
+  "login.tg.codeSentExpires": "Code sent. It expires in ~{seconds}s.",
+  "login.tg.demoCode": "Demo code: {code}",
+  "login.demo.resetDone": "Demo data reset.",
+  "login.title": "Sign in",
+  "login.language": "Language",
+  "login.language.auto": "Automatic (from the browser)",
+  "login.profile": "Profile",
+  "login.profile.withSession": "(signed in)",
+  "login.profile.new": "New",
+  "login.profile.name": "Profile name",
+  "login.profile.name.placeholder": "Production, staging…",
+  "login.apiUrl": "API URL",
+  "login.apiUrl.scheme": "Scheme",
+  "login.apiUrl.using": "Using:",
+  "login.apiUrl.empty": "(empty)",
+  "login.demo.option": "Local demo",
+  "login.demo.hint": "No server: the (sample) data is stored in this browser.",
+  "login.demo.user": "Username",
+  "login.demo.password": "password",
+  "login.demo.pin": "Telegram PIN",
+  "login.demo.reset": "Reset demo data",
+  "login.mode.password": "Password",
+  "login.username": "Username",
+  "login.password": "Password",
+  "login.mode.telegram": "Telegram",
+  "login.submit": "Sign in",
+  "login.reset": "Clear URL and session",
+  "login.profile.delete": "Delete profile \"{name}\"",
+  "login.tg.pin": "PIN (to send the code)",
+  "login.tg.retryIn": "Retry in {seconds}s",
+  "login.tg.send": "Send code via Telegram",
+  "login.tg.code": "Code (6 digits)",
+  "login.tg.submit": "Sign in with code",
+
+  // --- Outbox ---
+  "outbox.badge.failed": "error",
+  "outbox.badge.pending": "pending",
+  "outbox.badge.pending.title": "Will be sent when the connection is back",
+  "outbox.discarded": "Pending record discarded.",
+  "outbox.bar.pending": "{count} waiting to be sent",
+  "outbox.bar.failed": "{count} failed",
+  "outbox.bar.sync": "Sync",
+
+  // --- Versión nueva ---
+  "update.available": "A new version of the app is available.",
+  "update.later": "Later",
+
+  // --- Operaciones en curso ---
+  "busy.creating": "creating…",
+  "busy.saving": "saving…",
+  "busy.deleting": "deleting…",
+
+  // --- Sesión ---
+  "session.expired": "Session expired. Please sign in again.",
+  "reauth.title": "Sign in again",
+  "reauth.expired": "Your session has expired.",
+  "reauth.profile": "Profile:",
+  "reauth.draftsKept": "Whatever you were typing is kept.",
+  "reauth.pinRequired": "Enter the PIN to send the code.",
+  "reauth.logout": "Log out (drafts are lost)",
+
+  // --- Accesos directos ---
+  "shortcuts.layoutSaveError": "Could not save the order on the server (kept on this device): {message}",
+  "shortcuts.createError": "Could not create the shortcut: {message}",
+  "shortcuts.deleted": "Shortcut deleted.",
+  "shortcuts.emptyText": "The shortcut text is empty.",
+  "shortcuts.invalidTemplate": "The template \"{template}\" is not valid: {message}",
+  "shortcuts.registerError": "Could not log \"{text}\": {message}",
+  "shortcuts.new.placeholder": "Shortcut text (Enter saves, Shift+Enter for a new line)...",
+  "shortcuts.new.placeholderMobile": "Shortcut text...",
+  "shortcuts.arrange": "Arrange and folders",
+  "shortcuts.arrange.done": "Done",
+  "shortcuts.folder": "Folder",
+  "shortcuts.folder.new": "New folder…",
+  "shortcuts.folder.name": "Folder name",
+  "shortcuts.folder.delete": "Delete folder (its shortcuts move to no folder)",
+  "shortcuts.folder.none": "No folder",
+  "shortcuts.count": { one: "{count} shortcut", other: "{count} shortcuts" },
+  "shortcuts.dragHint": "Drag rows (⠿) to reorder them or move them to another section.",
+  "shortcuts.dragHandle": "Drag to reorder",
+  "shortcuts.col.drag": "Drag",
+  "shortcuts.pin": "Pin",
+  "shortcuts.unpin": "Unpin",
+  "shortcuts.register": "Log",
+  "shortcuts.empty": "No shortcuts yet.",
+  "shortcuts.created": "Created: {date}",
+  "shortcuts.section.pinned": "Pinned",
+
+  // --- Perfiles ---
+  "profile.defaultName": "Profile {n}",
+  "profile.mainName": "Main",
+  "profile.fallbackName": "Profile",
+  "profile.deleteConfirm": "Delete the profile \"{name}\"? Its URL, its session and its records waiting to be sent will be removed.",
+
+  // --- Fecha del registro ---
+  "when.invalid": "Invalid date and time.",
+  "when.future": "The date cannot be in the future.",
+  "when.title": "Record date",
+  "when.now": "Now",
+  "when.minutesAgo": "{minutes} min ago",
+  "when.hoursAgo": "{hours} h ago",
+  "when.custom": "Another date…",
+  "date.invalid": "Invalid date",
+
+  // --- Edición y borrado ---
+  "edit.saved": "Change saved.",
+  "edit.savedWithDate": "Change saved (date updated).",
+  "edit.saveError": "Could not save the change: {message}",
+  "delete.error": "Could not delete: {message}",
+  "delete.undoError": "Could not undo the deletion: {message}",
+  "edit.ts.label": "Record date and time",
+
+  // --- Registros ---
+  "records.createError": "Could not create the record: {message}",
+  "records.deleted": "Record deleted.",
+  "records.select": "Select record",
+  "records.link.title": "Open the record (shareable link)",
+  "records.new.placeholder": "Type some text (Enter sends, Shift+Enter for a new line)...",
+  "records.new.placeholderMobile": "Type some text...",
+  "records.new.send": "Send",
+  "records.results": { one: "{count} result", other: "{count} results" },
+  "records.count": { one: "{count} record", other: "{count} records" },
+  "records.countMore": { one: "{count}+ record", other: "{count}+ records" },
+  "records.day": "Day: {day}",
+  "records.allDays": "Show all days",
+  "records.noResults": "No results for that search.",
+  "records.empty": "No records yet.",
+  "records.col.date": "Date (local)",
+  "records.col.text": "Text",
+  "records.col.actions": "Actions",
+  "records.loadingOlder": "Loading older records…",
+  "records.loadOlder": "Load older",
+  "records.noMore": "No more records.",
+  "records.filterPaused": "The search has only looked at the most recent records.",
+  "records.searchOlder": "Search older records",
+
+  // --- Historial ---
+  "history.restored": "Version restored.",
+  "history.title": "Record history",
+  "history.loading": "Loading versions…",
+  "history.loadError": "Could not load the history: {message}",
+  "history.empty": "This record has not been edited (or was edited before history was kept).",
+  "history.count": { one: "{count} earlier version", other: "{count} earlier versions" },
+  "history.source.server": "history from the server",
+  "history.source.local": "history stored in this browser",
+  "history.versions": "Versions",
+  "history.until": "Until {date}",
+  "history.version": "Version {n}",
+  "history.changes": "Changes from this version to the current one",
+  "history.layout.inline": "Inline",
+  "history.layout.split": "Side by side",
+  "history.date": "Date:",
+  "history.thisVersion": "This version",
+  "history.current": "Current",
+  "history.restore": "Restore this version",
+
+  // --- Página de un registro ---
+  "detail.noRecordInResponse": "The response does not include the record.",
+  "detail.notFound": "That record does not exist or has been deleted.",
+  "detail.loading": "Loading record…",
+  "detail.back": "← Records",
+  "detail.copyLink": "Copy link",
+  "detail.linkCopied": "Link copied.",
+  "detail.linkCopyError": "Could not copy the link.",
+  "detail.openDay": "Show on its day",
+
+  // --- Exportar ---
+  "export.nothing": "There are no records to export.",
+  "export.format": "Format",
+  "export.onlyResults": "Results only",
+  "export.button": "Export",
+  "export.md.title": "Records",
+  "export.md.query": "Search: {query}",
+  "export.unknownFormat": "Unknown export format: {format}",
+  "export.fileName": "records-{date}",
+
+  // --- Selección y acciones en bloque ---
+  "bulk.failures": "{count} failed ({error})",
+  "bulk.failedKeepSelected": "{verb}: {failures}. They stay selected so you can retry.",
+  "bulk.stopped": "{verb}: stopped halfway ({count} done).",
+  "bulk.task.deleting": "Deleting",
+  "bulk.task.restoring": "Restoring",
+  "bulk.task.replacing": "Replacing",
+  "bulk.task.undoing": "Undoing",
+  "bulk.verb.delete": "Bulk delete",
+  "bulk.verb.replace": "Bulk replace",
+  "bulk.deleted": { one: "{count} record deleted.", other: "{count} records deleted." },
+  "bulk.restoreFailed": "Could not restore all of them: {failures}.",
+  "bulk.restored": { one: "{count} record restored.", other: "{count} records restored." },
+  "bulk.replaced": { one: "Text replaced in {count} record.", other: "Text replaced in {count} records." },
+  "bulk.undoFailed": "Could not undo all of them: {failures}.",
+  "bulk.noneSelected": "No records selected.",
+  "bulk.exportQuery": "{count} selected",
+  "bulk.replace.findRequired": "Type the text to find.",
+  "bulk.select": "Select",
+  "bulk.select.done": "Done selecting",
+  "bulk.select.hint": "Shift+click selects a range",
+  "bulk.select.hintMobile": "Also by long-pressing a record",
+  "bulk.stop": "Stop",
+  "bulk.selected": "{count} selected",
+  "bulk.all": "All",
+  "bulk.allResults": "All results",
+  "bulk.all.loadedOnly": "Only the records loaded so far",
+  "bulk.none": "None",
+  "bulk.replace.button": "Replace…",
+  "bulk.export": "Export ({format})",
+  "bulk.replace.title": { one: "Find and replace in {count} record", other: "Find and replace in {count} records" },
+  "bulk.replace.find": "Find",
+  "bulk.replace.with": "Replace with",
+  "bulk.replace.regex": "Regular expression ($1, $2… in the replacement)",
+  "bulk.replace.caseSensitive": "Match case",
+  "bulk.replace.willChange": { one: "{count} record will change", other: "{count} records will change" },
+  "bulk.replace.emptied": { one: "{count} skipped because it would be empty", other: "{count} skipped because they would be empty" },
+  "bulk.replace.submit": "Replace in {count}",
+
+  // --- Búsqueda ---
+  "search.invalidRegex": "Invalid regular expression: {message}",
+  "search.placeholder": "Search… \"phrase\" -exclude a OR b /regex/ date:2026-10..2026-11",
+  "search.help": "Quoted phrases, -exclude, OR, /regex/, date:YYYY-MM[-DD] (or a range with ..), before:, after:",
+  "search.error.badDate": "Invalid date: \"{value}\" (use YYYY, YYYY-MM or YYYY-MM-DD).",
+  "search.error.badMonth": "Invalid month in \"{value}\".",
+  "search.error.badDay": "Invalid day in \"{value}\".",
+  "search.error.missingDate": "Missing date after \"{name}:\".",
+  "search.error.badRange": "Invalid range: \"{value}\".",
+  "search.error.emptyRange": "Empty range: \"{value}\".",
+  "search.error.reversedRange": "The range \"{value}\" ends before it starts.",
+  "search.error.unclosedRegex": "The regular expression is not closed (/…/).",
+  "search.error.emptyRegex": "Empty regular expression.",
+  "search.error.badFlags": "Invalid flags: \"{flags}\" (use i, m, s or u).",
+  "search.error.emptyNegation": "Nothing to exclude after \"-\".",
+  "search.error.unclosedQuote": "Missing closing quote.",
+  "search.error.emptyPhrase": "Empty quoted phrase.",
+  "search.error.danglingOr": "\"OR\" needs a term on each side.",
+
+  // --- Paleta de comandos ---
+  "palette.goRecords": "Go to Records",
+  "palette.goCalendar": "Go to Calendar",
+  "palette.goStats": "Go to Statistics",
+  "palette.goShortcuts": "Go to Shortcuts",
+  "palette.newRecord": "New record",
+  "palette.search": "Search records",
+  "palette.export": "Export records ({format})",
+  "palette.import": "Import records…",
+  "palette.language": "Language: {language}",
+  "palette.register": "Log: {text}",
+  "palette.hint.screen": "screen",
+  "palette.hint.action": "action",
+  "palette.hint.pinned": "pinned · {n}",
+  "palette.hint.shortcut": "shortcut",
+  "palette.title": "Command palette",
+  "palette.placeholder": "Search actions, shortcuts or records…",
+  "palette.noResults": "No results.",
+  "palette.keys.search": "search",
+  "palette.keys.new": "new record",
+  "palette.keys.pinned": "pinned shortcuts",
+  "palette.keys.move": "move",
+  "palette.keys.edit": "edit",
+  "palette.keys.history": "history",
+  "palette.keys.deleteKey": "Del",
+  "palette.keys.delete": "delete",
+
+  // --- Cabecera ---
+  "header.profile.noSession": "(signed out)",
+  "header.profile.new": "+ New profile…",
+
+  // --- Importar ---
+  "import.button": "Import…",
+  "import.error.badJson": "Invalid JSON: {message}",
+  "import.error.jsonShape": "The JSON must be a list or an object with \"records\".",
+  "import.row.emptyText": "Empty text",
+  "import.row.badDate": "Invalid date: {value}",
+  "import.row.noDate": "No date",
+  "import.title": "Import records",
+  "import.file": "CSV or JSON file (e.g. an earlier export)",
+  "import.error.noRows": "The file has no rows.",
+  "import.column.text": "Text column",
+  "import.column.ts": "Date column",
+  "import.column.tsNone": "(none: upload time)",
+  "import.rows": { one: "{count} row", other: "{count} rows" },
+  "import.valid": "{count} valid",
+  "import.invalid": "{count} with errors",
+  "import.duplicates": { one: "{count} possible duplicate", other: "{count} possible duplicates" },
+  "import.skipDuplicates": "Skip duplicates",
+  "import.col.status": "Status",
+  "import.row.duplicate": "Duplicate",
+  "import.dryRun": "Dry run",
+  "import.submit": "Import {count}",
+  "import.summary.dryRun": "Dry run finished (nothing was sent)",
+  "import.summary.done": "Import finished",
+  "import.summary.cancelled": "Stopped halfway.",
+  "import.summary.wouldCreate": "Would be created:",
+  "import.summary.created": "Created:",
+  "import.summary.skippedInvalid": "Skipped due to errors: {count}",
+  "import.summary.skippedDuplicates": "Skipped as duplicates: {count}",
+  "import.summary.failed": "Failed: {count}",
+  "import.summary.row": "Row {n}: {error}",
+
+  // --- Navegación ---
+  "nav.records": "Records",
+  "nav.calendar": "Calendar",
+  "nav.stats": "Stats",
+  "nav.shortcuts": "Shortcuts",
+  "footer.keysHint": "On desktop: Enter sends and Shift+Enter inserts a line break. On mobile: Enter inserts a line break and the button sends.",
+
+  // --- API ---
+  "api.profileNotFound": "That profile does not exist.",
+  "api.missingUrl": "The API URL is missing.",
+  "api.error.auth": "Not authorized.",
+  "api.error.validation": "Invalid data.",
+  "api.error.notFound": "Not found.",
+  "api.error.conflict": "Conflicts with another change.",
+  "api.error.rateLimit": "Too many requests; wait a moment.",
+  "api.error.server": "Server error (HTTP {status}).",
+  "api.error.invalidField": "Invalid.",
+  "api.error.aborted": "Request cancelled.",
+  "api.error.timeout": "The API is not responding (timed out).",
+  "api.error.network": "Cannot reach the API.",
+  "api.error.noSession": "There is no session to renew.",
+  "api.error.refreshNoToken": "The refresh response has no token.",
+  "api.error.badToken": "Invalid or expired token.",
+
+  // --- Demo (backend local) ---
+  "demo.notFound.record": "Record not found.",
+  "demo.notFound.shortcut": "Shortcut not found.",
+  "demo.field.required": "Required.",
+  "demo.field.emptyText": "The text cannot be empty.",
+  "demo.field.tooLong": "At most {max} characters.",
+  "demo.field.badDate": "Invalid date.",
+  "demo.field.futureDate": "The date cannot be in the future.",
+  "demo.missingData": "Missing data.",
+  "demo.badCredentials": "Wrong username or password.",
+  "demo.missingPin": "The PIN is missing.",
+  "demo.badPin": "Wrong PIN.",
+  "demo.codeCooldown": "Wait {seconds} s before requesting another code.",
+  "demo.badCode": "Wrong or expired code.",
+  "demo.badJson": "Invalid JSON.",
+  "demo.routeNotFound": "Route not found.",
+  "demo.methodNotAllowed": "Method not allowed.",
+  "demo.internalError": "Internal error.",
+
+  // --- Almacenamiento local ---
+  "idb.unavailable": "IndexedDB is not available in this browser.",
+  "idb.aborted": "Transaction aborted.",
+
+  // --- Calendario ---
+  "calendar.month": "Month",
+  "calendar.year": "Year",
+  "calendar.previous": "Previous",
+  "calendar.next": "Next",
+  "calendar.today": "Today",
+  "calendar.days": { one: "{count} day", other: "{count} days" },
+  "calendar.summary": "{records} on {days}",
+  "calendar.filter": "filter: {filter}",
+  "calendar.loadedOnly": "Only counts the records loaded so far.",
+
+  // --- Estadísticas ---
+  "stats.empty": "No records loaded to compute statistics.",
+  "stats.loaded": "Records loaded",
+  "stats.currentStreak": "Current streak",
+  "stats.longestStreak": "Longest streak",
+  "stats.thisVsLast": "This week / last",
+  "stats.thisWeek": "this week",
+  "stats.weeksAgo": { one: "{count} wk ago", other: "{count} wks ago" },
+  "stats.byText": "By text (last {weeks} weeks)",
+  "stats.topTexts": "Most frequent texts",
+  "stats.col.total": "Total",
+  "stats.col.perWeek": "Per week",
+  "stats.col.streak": "Streak (current / max)",
+  "stats.col.avgGap": "Every (average)",
+  "stats.col.last": "Last time",
+  "stats.noShortcuts": "No shortcuts.",
+  "stats.noData": "No data.",
+  "stats.matrix": "Day of week × hour",
+  "stats.comparison": "This week compared with last",
+  "stats.col.lastWeek": "Last",
+  "stats.col.thisWeek": "This",
+  "stats.col.change": "Change",
+  "stats.comparison.empty": "Nothing logged in these two weeks.",
+
+  // --- Tags ---
+  "tags.less": "Less",
+  "tags.more": "+{count} more",
+  "tags.mode": "How to combine the tags",
+  "tags.mode.or": "Any (OR)",
+  "tags.mode.and": "All (AND)",
+  "tags.clear": "Clear tag filter",
+};
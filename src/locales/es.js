@@ -0,0 +1,461 @@
+// Textos de la interfaz en español (idioma de referencia: lo que falte en otro
+// catálogo sale de aquí).
+export default {
+  // --- Comunes ---
+  "common.error": "Error",
+  "common.reload": "Recargar",
+  "common.undo": "Deshacer",
+  "common.emptyText": "El texto no puede estar vacío.",
+  "common.logout": "Salir",
+  "common.back": "Volver",
+  "common.save": "Guardar",
+  "common.cancel": "Cancelar",
+  "common.edit": "Editar",
+  "common.delete": "Borrar",
+  "common.history": "Historial",
+  "common.retry": "Reintentar",
+  "common.discard": "Descartar",
+  "common.moveUp": "Subir",
+  "common.moveDown": "Bajar",
+  "common.loading": "Cargando...",
+  "common.add": "Añadir",
+  "common.close": "Cerrar",
+  "common.andMore": "… y {count} más",
+
+  // --- Pantallas ---
+  "screen.records": "Registros",
+  "screen.calendar": "Calendario",
+  "screen.stats": "Estadísticas",
+  "screen.shortcuts": "Accesos directos",
+  "screen.record": "Registro",
+
+  // --- Cambios en vivo ---
+  "live.connecting": "Conectando…",
+  "live.on": "En vivo",
+  "live.polling": "Sondeo",
+  "live.offline": "Sin conexión",
+  "live.connecting.title": "Conectando para recibir los cambios de otros dispositivos",
+  "live.sse.title": "Los cambios de otros dispositivos llegan al momento (SSE)",
+  "live.ws.title": "Los cambios de otros dispositivos llegan al momento (WebSocket)",
+  "live.polling.title": "El servidor no admite streaming: se comprueban los cambios cada poco",
+  "live.offline.title": "Sin conexión en vivo; se reintenta sola",
+  "live.unavailable": "{kind} no disponible",
+
+  // --- Plantillas ---
+  "template.preview": "Vista previa:",
+  "template.help.title": "Plantillas",
+  "template.help.time": "hora",
+  "template.help.date": "fecha",
+  "template.help.weekday": "día de la semana",
+  "template.help.counter": "nº de uso",
+  "template.help.number": "pide un número",
+  "template.help.textExample": "Nota",
+  "template.help.text": "pide texto",
+  "template.help.choiceExample": "Ánimo|bien,regular,mal",
+  "template.help.choice": "elegir",
+  "template.error.noLabel": "Falta la etiqueta en {raw}.",
+  "template.error.tooManyPipes": "Demasiados \"|\" en {raw}.",
+  "template.error.fewOptions": "Una lista de opciones necesita al menos dos en {raw}.",
+  "template.error.unclosed": "Hay un \"{{\" sin cerrar con \"}}\".",
+  "template.error.unknown": "Marcador desconocido: {raw} (válidos: {valid}).",
+  "template.prompt.title": "Completar registro",
+  "template.prompt.preview": "Se registrará:",
+
+  // --- Login ---
+  "login.error.network": "No se pudo conectar con la API. Revisa la URL y tu conexión.",
+  "login.error.timeout": "La API no responde. Inténtalo de nuevo en un momento.",
+  "login.error.rateLimit": "Demasiados intentos. Espera {seconds} s.",
+  "login.error.server": "La API ha fallado: {message}",
+  "login.invalidApiUrl": "La URL de la API no es válida.",
+  "login.field.checkCredentials": "Revisa el usuario y la contraseña.",
+  "login.field.wrongPin": "PIN incorrecto.",
+  "login.field.wrongCode": "Código incorrecto o caducado.",
+  "login.tg.pinRequired": "Introduce el PIN para enviar el código.",
+  "login.tg.codeSent": "Código enviado.",
+  "login.tg.codeSentExpires": "Código enviado. Caduca en ~{seconds}s.",
+  "login.tg.demoCode": "Código de la demo: {code}",
+  "login.demo.resetDone": "Datos de la demo reiniciados.",
+  "login.title": "Login",
+  "login.language": "Idioma",
+  "login.language.auto": "Automático (del navegador)",
+  "login.profile": "Perfil",
+  "login.profile.withSession": "(con sesión)",
+  "login.profile.new": "Nuevo",
+  "login.profile.name": "Nombre del perfil",
+  "login.profile.name.placeholder": "Producción, staging…",
+  "login.apiUrl": "URL de la API",
+  "login.apiUrl.scheme": "Esquema",
+  "login.apiUrl.using": "Usando:",
+  "login.apiUrl.empty": "(vacío)",
+  "login.demo.option": "Demo local",
+  "login.demo.hint": "Sin servidor: los datos (de ejemplo) se guardan en este navegador.",
+  "login.demo.user": "Usuario",
+  "login.demo.password": "contraseña",
+  "login.demo.pin": "PIN de Telegram",
+  "login.demo.reset": "Reiniciar datos de la demo",
+  "login.mode.password": "Contraseña",
+  "login.username": "Usuario",
+  "login.password": "Contraseña",
+  "login.mode.telegram": "Telegram",
+  "login.submit": "Entrar",
+  "login.reset": "Borrar URL y sesión",
+  "login.profile.delete": "Eliminar perfil \"{name}\"",
+  "login.tg.pin": "PIN (para enviar el código)",
+  "login.tg.retryIn": "Reintentar en {seconds}s",
+  "login.tg.send": "Enviar código por Telegram",
+  "login.tg.code": "Código (6 dígitos)",
+  "login.tg.submit": "Entrar con código",
+
+  // --- Outbox ---
+  "outbox.badge.failed": "error",
+  "outbox.badge.pending": "pendiente",
+  "outbox.badge.pending.title": "Se enviará al recuperar la conexión",
+  "outbox.discarded": "Registro pendiente descartado.",
+  "outbox.bar.pending": { one: "{count} pendiente de enviar", other: "{count} pendientes de enviar" },
+  "outbox.bar.failed": "{count} con error",
+  "outbox.bar.sync": "Sincronizar",
+
+  // --- Versión nueva ---
+  "update.available": "Hay una versión nueva de la app.",
+  "update.later": "Luego",
+
+  // --- Operaciones en curso ---
+  "busy.creating": "creando…",
+  "busy.saving": "guardando…",
+  "busy.deleting": "borrando…",
+
+  // --- Sesión ---
+  "session.expired": "Sesión caducada. Vuelve a entrar.",
+  "reauth.title": "Vuelve a entrar",
+  "reauth.expired": "La sesión ha caducado.",
+  "reauth.profile": "Perfil:",
+  "reauth.draftsKept": "Lo que estabas escribiendo se conserva.",
+  "reauth.pinRequired": "Introduce el PIN para enviar el código.",
+  "reauth.logout": "Salir (se pierden los borradores)",
+
+  // --- Accesos directos ---
+  "shortcuts.layoutSaveError": "No se pudo guardar el orden en el servidor (queda en este dispositivo): {message}",
+  "shortcuts.createError": "No se pudo crear el acceso directo: {message}",
+  "shortcuts.deleted": "Acceso directo borrado.",
+  "shortcuts.emptyText": "El texto del shortcut está vacío.",
+  "shortcuts.invalidTemplate": "La plantilla de \"{template}\" no es válida: {message}",
+  "shortcuts.registerError": "No se pudo registrar \"{text}\": {message}",
+  "shortcuts.new.placeholder": "Texto del acceso directo (Enter guarda, Shift+Enter salto de línea)...",
+  "shortcuts.new.placeholderMobile": "Texto del acceso directo...",
+  "shortcuts.arrange": "Ordenar y carpetas",
+  "shortcuts.arrange.done": "Listo",
+  "shortcuts.folder": "Carpeta",
+  "shortcuts.folder.new": "Nueva carpeta…",
+  "shortcuts.folder.name": "Nombre de la carpeta",
+  "shortcuts.folder.delete": "Borrar carpeta (sus shortcuts pasan a sin carpeta)",
+  "shortcuts.folder.none": "Sin carpeta",
+  "shortcuts.count": { one: "{count} shortcut", other: "{count} shortcuts" },
+  "shortcuts.dragHint": "Arrastra las filas (⠿) para ordenarlas o moverlas de sección.",
+  "shortcuts.dragHandle": "Arrastrar para ordenar",
+  "shortcuts.col.drag": "Arrastrar",
+  "shortcuts.pin": "Fijar",
+  "shortcuts.unpin": "Quitar de fijados",
+  "shortcuts.register": "Registrar",
+  "shortcuts.empty": "No hay shortcuts todavía.",
+  "shortcuts.created": "Creado: {date}",
+  "shortcuts.section.pinned": "Fijados",
+
+  // --- Perfiles ---
+  "profile.defaultName": "Perfil {n}",
+  "profile.mainName": "Principal",
+  "profile.fallbackName": "Perfil",
+  "profile.deleteConfirm": "¿Eliminar el perfil \"{name}\"? Se borran su URL, su sesión y sus registros pendientes de enviar.",
+
+  // --- Fecha del registro ---
+  "when.invalid": "Fecha y hora no válidas.",
+  "when.future": "La fecha no puede estar en el futuro.",
+  "when.title": "Fecha del registro",
+  "when.now": "Ahora",
+  "when.minutesAgo": "Hace {minutes} min",
+  "when.hoursAgo": "Hace {hours} h",
+  "when.custom": "Otra fecha…",
+  "date.invalid": "Fecha inválida",
+
+  // --- Edición y borrado ---
+  "edit.saved": "Cambio guardado.",
+  "edit.savedWithDate": "Cambio guardado (fecha actualizada).",
+  "edit.saveError": "No se pudo guardar el cambio: {message}",
+  "delete.error": "No se pudo borrar: {message}",
+  "delete.undoError": "No se pudo deshacer el borrado: {message}",
+  "edit.ts.label": "Fecha y hora del registro",
+
+  // --- Registros ---
+  "records.createError": "No se pudo crear el registro: {message}",
+  "records.deleted": "Registro borrado.",
+  "records.select": "Seleccionar registro",
+  "records.link.title": "Abrir el registro (enlace para compartir)",
+  "records.new.placeholder": "Escribe un texto (Enter envía, Shift+Enter salto de línea)...",
+  "records.new.placeholderMobile": "Escribe un texto...",
+  "records.new.send": "Enviar",
+  "records.results": { one: "{count} resultado", other: "{count} resultados" },
+  "records.count": { one: "{count} registro", other: "{count} registros" },
+  "records.countMore": { one: "{count}+ registro", other: "{count}+ registros" },
+  "records.day": "Día: {day}",
+  "records.allDays": "Ver todos los días",
+  "records.noResults": "No hay resultados para esa búsqueda.",
+  "records.empty": "No hay registros todavía.",
+  "records.col.date": "Fecha (local)",
+  "records.col.text": "Texto",
+  "records.col.actions": "Acciones",
+  "records.loadingOlder": "Cargando registros anteriores…",
+  "records.loadOlder": "Cargar anteriores",
+  "records.noMore": "No hay más registros.",
+  "records.filterPaused": "La búsqueda solo ha mirado los registros más recientes.",
+  "records.searchOlder": "Buscar en anteriores",
+
+  // --- Historial ---
+  "history.restored": "Versión restaurada.",
+  "history.title": "Historial del registro",
+  "history.loading": "Cargando versiones…",
+  "history.loadError": "No se pudo cargar el historial: {message}",
+  "history.empty": "Este registro no se ha editado (o se editó antes de guardar historial).",
+  "history.count": { one: "{count} versión anterior", other: "{count} versiones anteriores" },
+  "history.source.server": "historial del servidor",
+  "history.source.local": "historial guardado en este navegador",
+  "history.versions": "Versiones",
+  "history.until": "Hasta {date}",
+  "history.version": "Versión {n}",
+  "history.changes": "Cambios de esta versión a la actual",
+  "history.layout.inline": "En línea",
+  "history.layout.split": "Lado a lado",
+  "history.date": "Fecha:",
+  "history.thisVersion": "Esta versión",
+  "history.current": "Actual",
+  "history.restore": "Restaurar esta versión",
+
+  // --- Página de un registro ---
+  "detail.noRecordInResponse": "La respuesta no trae el registro.",
+  "detail.notFound": "Ese registro no existe o se ha borrado.",
+  "detail.loading": "Cargando registro…",
+  "detail.back": "← Registros",
+  "detail.copyLink": "Copiar enlace",
+  "detail.linkCopied": "Enlace copiado.",
+  "detail.linkCopyError": "No se pudo copiar el enlace.",
+  "detail.openDay": "Ver en su día",
+
+  // --- Exportar ---
+  "export.nothing": "No hay registros que exportar.",
+  "export.format": "Formato",
+  "export.onlyResults": "Solo resultados",
+  "export.button": "Exportar",
+  "export.md.title": "Registros",
+  "export.md.query": "Búsqueda: {query}",
+  "export.unknownFormat": "Formato de exportación desconocido: {format}",
+  "export.fileName": "registros-{date}",
+
+  // --- Selección y acciones en bloque ---
+  "bulk.failures": { one: "{count} falló ({error})", other: "{count} fallaron ({error})" },
+  "bulk.failedKeepSelected": "{verb}: {failures}. Siguen seleccionados para reintentar.",
+  "bulk.stopped": { one: "{verb}: detenido a mitad ({count} hecho).", other: "{verb}: detenido a mitad ({count} hechos)." },
+  "bulk.task.deleting": "Borrando",
+  "bulk.task.restoring": "Restaurando",
+  "bulk.task.replacing": "Reemplazando",
+  "bulk.task.undoing": "Deshaciendo",
+  "bulk.verb.delete": "Borrado en bloque",
+  "bulk.verb.replace": "Reemplazo en bloque",
+  "bulk.deleted": { one: "{count} registro borrado.", other: "{count} registros borrados." },
+  "bulk.restoreFailed": "No se pudieron restaurar todos: {failures}.",
+  "bulk.restored": { one: "{count} registro restaurado.", other: "{count} registros restaurados." },
+  "bulk.replaced": { one: "Texto reemplazado en {count} registro.", other: "Texto reemplazado en {count} registros." },
+  "bulk.undoFailed": "No se pudo deshacer en todos: {failures}.",
+  "bulk.noneSelected": "No hay registros seleccionados.",
+  "bulk.exportQuery": { one: "{count} seleccionado", other: "{count} seleccionados" },
+  "bulk.replace.findRequired": "Escribe el texto a buscar.",
+  "bulk.select": "Seleccionar",
+  "bulk.select.done": "Terminar selección",
+  "bulk.select.hint": "Shift+clic marca un tramo",
+  "bulk.select.hintMobile": "También manteniendo pulsado un registro",
+  "bulk.stop": "Detener",
+  "bulk.selected": { one: "{count} seleccionado", other: "{count} seleccionados" },
+  "bulk.all": "Todos",
+  "bulk.allResults": "Todos los resultados",
+  "bulk.all.loadedOnly": "Solo los registros ya cargados",
+  "bulk.none": "Ninguno",
+  "bulk.replace.button": "Reemplazar…",
+  "bulk.export": "Exportar ({format})",
+  "bulk.replace.title": { one: "Buscar y reemplazar en {count} registro", other: "Buscar y reemplazar en {count} registros" },
+  "bulk.replace.find": "Buscar",
+  "bulk.replace.with": "Reemplazar por",
+  "bulk.replace.regex": "Expresión regular ($1, $2… en el reemplazo)",
+  "bulk.replace.caseSensitive": "Distinguir mayúsculas",
+  "bulk.replace.willChange": { one: "Cambiará {count} registro", other: "Cambiarán {count} registros" },
+  "bulk.replace.emptied": { one: "{count} se salta porque quedaría vacío", other: "{count} se saltan porque quedarían vacíos" },
+  "bulk.replace.submit": "Reemplazar en {count}",
+
+  // --- Búsqueda ---
+  "search.invalidRegex": "Expresión regular no válida: {message}",
+  "search.placeholder": "Buscar… \"frase\" -excluir a OR b /regex/ date:2026-10..2026-11",
+  "search.help": "Frases entre comillas, -excluir, OR, /regex/, date:AAAA-MM[-DD] (o rango con ..), before:, after:",
+  "search.error.badDate": "Fecha no válida: \"{value}\" (usa AAAA, AAAA-MM o AAAA-MM-DD).",
+  "search.error.badMonth": "Mes no válido en \"{value}\".",
+  "search.error.badDay": "Día no válido en \"{value}\".",
+  "search.error.missingDate": "Falta la fecha en \"{name}:\".",
+  "search.error.badRange": "Rango no válido: \"{value}\".",
+  "search.error.emptyRange": "Rango vacío: \"{value}\".",
+  "search.error.reversedRange": "El rango \"{value}\" acaba antes de empezar.",
+  "search.error.unclosedRegex": "Falta cerrar la expresión regular (/…/).",
+  "search.error.emptyRegex": "Expresión regular vacía.",
+  "search.error.badFlags": "Modificadores no válidos: \"{flags}\" (usa i, m, s o u).",
+  "search.error.emptyNegation": "Falta qué excluir después de \"-\".",
+  "search.error.unclosedQuote": "Faltan las comillas de cierre.",
+  "search.error.emptyPhrase": "Frase vacía entre comillas.",
+  "search.error.danglingOr": "\"OR\" necesita un término a cada lado.",
+
+  // --- Paleta de comandos ---
+  "palette.goRecords": "Ir a Registros",
+  "palette.goCalendar": "Ir a Calendario",
+  "palette.goStats": "Ir a Estadísticas",
+  "palette.goShortcuts": "Ir a Shortcuts",
+  "palette.newRecord": "Nuevo registro",
+  "palette.search": "Buscar en registros",
+  "palette.export": "Exportar registros ({format})",
+  "palette.import": "Importar registros…",
+  "palette.language": "Idioma: {language}",
+  "palette.register": "Registrar: {text}",
+  "palette.hint.screen": "pantalla",
+  "palette.hint.action": "acción",
+  "palette.hint.pinned": "fijado · {n}",
+  "palette.hint.shortcut": "shortcut",
+  "palette.title": "Paleta de comandos",
+  "palette.placeholder": "Buscar acciones, shortcuts o registros…",
+  "palette.noResults": "Sin resultados.",
+  "palette.keys.search": "buscar",
+  "palette.keys.new": "nuevo registro",
+  "palette.keys.pinned": "shortcuts fijados",
+  "palette.keys.move": "moverse",
+  "palette.keys.edit": "editar",
+  "palette.keys.history": "historial",
+  "palette.keys.deleteKey": "Supr",
+  "palette.keys.delete": "borrar",
+
+  // --- Cabecera ---
+  "header.profile.noSession": "(sin sesión)",
+  "header.profile.new": "+ Nuevo perfil…",
+
+  // --- Importar ---
+  "import.button": "Importar…",
+  "import.error.badJson": "JSON no válido: {message}",
+  "import.error.jsonShape": "El JSON debe ser una lista o un objeto con \"records\".",
+  "import.row.emptyText": "Texto vacío",
+  "import.row.badDate": "Fecha no válida: {value}",
+  "import.row.noDate": "Sin fecha",
+  "import.title": "Importar registros",
+  "import.file": "Fichero CSV o JSON (p.ej. una exportación anterior)",
+  "import.error.noRows": "El fichero no tiene filas.",
+  "import.column.text": "Columna de texto",
+  "import.column.ts": "Columna de fecha",
+  "import.column.tsNone": "(ninguna: hora de subida)",
+  "import.rows": { one: "{count} fila", other: "{count} filas" },
+  "import.valid": { one: "{count} válida", other: "{count} válidas" },
+  "import.invalid": "{count} con error",
+  "import.duplicates": { one: "{count} posible duplicado", other: "{count} posibles duplicados" },
+  "import.skipDuplicates": "Saltar duplicados",
+  "import.col.status": "Estado",
+  "import.row.duplicate": "Duplicado",
+  "import.dryRun": "Simular",
+  "import.submit": "Importar {count}",
+  "import.summary.dryRun": "Simulación terminada (no se ha enviado nada)",
+  "import.summary.done": "Importación terminada",
+  "import.summary.cancelled": "Detenida a mitad.",
+  "import.summary.wouldCreate": "Se crearían:",
+  "import.summary.created": "Creados:",
+  "import.summary.skippedInvalid": "Saltados por error: {count}",
+  "import.summary.skippedDuplicates": "Saltados por duplicado: {count}",
+  "import.summary.failed": "Fallidos: {count}",
+  "import.summary.row": "Fila {n}: {error}",
+
+  // --- Navegación ---
+  "nav.records": "Registros",
+  "nav.calendar": "Calendario",
+  "nav.stats": "Estadísticas",
+  "nav.shortcuts": "Shortcuts",
+  "footer.keysHint": "En PC: Enter envía y Shift+Enter inserta salto de línea. En móvil: Enter inserta salto de línea y se envía con el botón.",
+
+  // --- API ---
+  "api.profileNotFound": "Ese perfil no existe.",
+  "api.missingUrl": "Falta la URL de la API.",
+  "api.error.auth": "No autorizado.",
+  "api.error.validation": "Datos no válidos.",
+  "api.error.notFound": "No encontrado.",
+  "api.error.conflict": "Conflicto con otro cambio.",
+  "api.error.rateLimit": "Demasiadas peticiones; espera un poco.",
+  "api.error.server": "Error del servidor (HTTP {status}).",
+  "api.error.invalidField": "No válido.",
+  "api.error.aborted": "Petición cancelada.",
+  "api.error.timeout": "La API no responde (tiempo agotado).",
+  "api.error.network": "No hay conexión con la API.",
+  "api.error.noSession": "No hay sesión que renovar.",
+  "api.error.refreshNoToken": "La respuesta de refresco no trae token.",
+  "api.error.badToken": "Token inválido o caducado.",
+
+  // --- Demo (backend local) ---
+  "demo.notFound.record": "Registro no encontrado.",
+  "demo.notFound.shortcut": "Acceso directo no encontrado.",
+  "demo.field.required": "Obligatorio.",
+  "demo.field.emptyText": "El texto no puede estar vacío.",
+  "demo.field.tooLong": "Máximo {max} caracteres.",
+  "demo.field.badDate": "Fecha no válida.",
+  "demo.field.futureDate": "La fecha no puede estar en el futuro.",
+  "demo.missingData": "Faltan datos.",
+  "demo.badCredentials": "Usuario o contraseña incorrectos.",
+  "demo.missingPin": "Falta el PIN.",
+  "demo.badPin": "PIN incorrecto.",
+  "demo.codeCooldown": "Espera {seconds} s antes de pedir otro código.",
+  "demo.badCode": "Código incorrecto o caducado.",
+  "demo.badJson": "JSON no válido.",
+  "demo.routeNotFound": "Ruta no encontrada.",
+  "demo.methodNotAllowed": "Método no permitido.",
+  "demo.internalError": "Error interno.",
+
+  // --- Almacenamiento local ---
+  "idb.unavailable": "IndexedDB no está disponible en este navegador.",
+  "idb.aborted": "Transacción abortada.",
+
+  // --- Calendario ---
+  "calendar.month": "Mes",
+  "calendar.year": "Año",
+  "calendar.previous": "Anterior",
+  "calendar.next": "Siguiente",
+  "calendar.today": "Hoy",
+  "calendar.days": { one: "{count} día", other: "{count} días" },
+  "calendar.summary": "{records} en {days}",
+  "calendar.filter": "filtro: {filter}",
+  "calendar.loadedOnly": "Solo cuenta los registros cargados.",
+
+  // --- Estadísticas ---
+  "stats.empty": "No hay registros cargados para calcular estadísticas.",
+  "stats.loaded": "Registros cargados",
+  "stats.currentStreak": "Racha actual",
+  "stats.longestStreak": "Racha más larga",
+  "stats.thisVsLast": "Esta semana / anterior",
+  "stats.thisWeek": "esta semana",
+  "stats.weeksAgo": "hace {count} sem.",
+  "stats.byText": "Por texto (últimas {weeks} semanas)",
+  "stats.topTexts": "Textos más frecuentes",
+  "stats.col.total": "Total",
+  "stats.col.perWeek": "Por semana",
+  "stats.col.streak": "Racha (actual / máx.)",
+  "stats.col.avgGap": "Cada (media)",
+  "stats.col.last": "Última vez",
+  "stats.noShortcuts": "No hay accesos directos.",
+  "stats.noData": "Sin datos.",
+  "stats.matrix": "Día de la semana × hora",
+  "stats.comparison": "Esta semana frente a la anterior",
+  "stats.col.lastWeek": "Anterior",
+  "stats.col.thisWeek": "Esta",
+  "stats.col.change": "Cambio",
+  "stats.comparison.empty": "Nada registrado en estas dos semanas.",
+
+  // --- Tags ---
+  "tags.less": "Menos",
+  "tags.more": "+{count} más",
+  "tags.mode": "Cómo combinar los tags",
+  "tags.mode.or": "Alguno (O)",
+  "tags.mode.and": "Todos (Y)",
+  "tags.clear": "Quitar filtro de tags",
+};
@@ -0,0 +1,152 @@
+import { api, getActiveProfileId, getApiUrl, isAbortError, isTransientError } from "./api";
+import { idbAdd, idbDelete, idbGetAll, idbPut } from "./idb";
+import { t } from "./i18n";
+
+const STORE = "outbox";
+
+// -------------------- Change events --------------------
+
+let changeHandlers = [];
+
+/**
+ * Suscripción a cambios en la cola (alta, envío, fallo, descarte).
+ * Devuelve una función para desuscribirse.
+ */
+export function onOutboxChange(fn) {
+  changeHandlers.push(fn);
+  return () => {
+    changeHandlers = changeHandlers.filter((h) => h !== fn);
+  };
+}
+
+function notifyChange() {
+  changeHandlers.forEach((h) => {
+    try {
+      h();
+    } catch {
+      // no-op
+    }
+  });
+}
+
+// -------------------- Queue --------------------
+
+export function newClientId() {
+  if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// los items anteriores a los perfiles no tienen profileId: eran del perfil "default"
+function belongsTo(item, profileId) {
+  return (item.profileId || "default") === profileId;
+}
+
+/** Items de la cola de un perfil, en orden de creación. */
+export async function listOutbox(profileId) {
+  const all = await idbGetAll(STORE);
+  return all.filter((it) => belongsTo(it, profileId)).sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Guarda un registro del perfil activo para enviarlo cuando haya conexión.
+ * El `clientId` viaja como Idempotency-Key en cada intento,
+ * así un reintento tras una respuesta perdida no crea un duplicado.
+ */
+export async function enqueueRecord(text, { clientId, tsUtc } = {}) {
+  const item = {
+    kind: "createRecord",
+    clientId: clientId || newClientId(),
+    text,
+    tsUtc: tsUtc || new Date().toISOString(),
+    profileId: getActiveProfileId(),
+    apiUrl: getApiUrl(),
+    status: "pending", // "pending" | "failed"
+    attempts: 0,
+    lastError: "",
+  };
+  item.seq = await idbAdd(STORE, item);
+  notifyChange();
+  return item;
+}
+
+export async function discardOutboxItem(seq) {
+  await idbDelete(STORE, seq);
+  notifyChange();
+}
+
+/** Borra todos los pendientes de un perfil (al eliminar el perfil). */
+export async function discardProfileOutbox(profileId) {
+  const items = await listOutbox(profileId);
+  for (const it of items) await idbDelete(STORE, it.seq);
+  notifyChange();
+}
+
+export async function retryOutboxItem(item) {
+  await idbPut(STORE, { ...item, status: "pending", lastError: "" });
+  notifyChange();
+}
+
+// -------------------- Sync --------------------
+
+// envío en curso de cada perfil: profileId => promesa
+const flushing = new Map();
+
+/**
+ * Envía en orden los pendientes del perfil `profileId` (debe ser el activo).
+ * - éxito => se quita de la cola
+ * - error transitorio (sin red, 5xx, 429) => se para y se reintenta más tarde
+ * - error definitivo (4xx) => queda "failed" para resolverlo a mano
+ *
+ * Solo hay un envío en curso por perfil; llamadas concurrentes para el mismo
+ * perfil comparten la promesa (las de otro perfil no esperan a la anterior).
+ */
+export function flushOutbox(profileId) {
+  const current = flushing.get(profileId);
+  if (current) return current;
+
+  const promise = (async () => {
+    const sent = [];
+    let failed = 0;
+    let stopped = false;
+
+    try {
+      const items = await listOutbox(profileId);
+      for (const item of items) {
+        if (item.status !== "pending") continue;
+        // si se cambia de perfil a mitad, el resto espera a que vuelva a estar activo
+        if (getActiveProfileId() !== profileId) {
+          stopped = true;
+          break;
+        }
+
+        try {
+          const resp = await api.createRecord(item.text, { clientId: item.clientId, tsUtc: item.tsUtc });
+          await idbDelete(STORE, item.seq);
+          sent.push({ item, record: resp?.record || null });
+        } catch (e) {
+          // 401 => la app ya gestiona el logout; cancelada (logout) => se reintentará; el item sigue pendiente
+          if (e?.status === 401 || isTransientError(e) || isAbortError(e)) {
+            await idbPut(STORE, { ...item, attempts: item.attempts + 1, lastError: e.message || "" });
+            stopped = true;
+            break;
+          }
+          await idbPut(STORE, {
+            ...item,
+            status: "failed",
+            attempts: item.attempts + 1,
+            lastError: e?.message || t("common.error"),
+          });
+          failed += 1;
+        }
+      }
+    } finally {
+      flushing.delete(profileId);
+      notifyChange();
+    }
+
+    return { sent, failed, stopped };
+  })();
+
+  flushing.set(profileId, promise);
+  return promise;
+}
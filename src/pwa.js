@@ -0,0 +1,75 @@
+// -------------------- Service worker / updates --------------------
+
+let updateHandlers = [];
+let waitingWorker = null;
+
+/**
+ * Suscripción a "hay una versión nueva desplegada".
+ * Devuelve una función para desuscribirse.
+ */
+export function onUpdateAvailable(fn) {
+  updateHandlers.push(fn);
+  if (waitingWorker) fn();
+  return () => {
+    updateHandlers = updateHandlers.filter((h) => h !== fn);
+  };
+}
+
+function notifyUpdate(worker) {
+  waitingWorker = worker;
+  updateHandlers.forEach((h) => {
+    try {
+      h();
+    } catch {
+      // no-op
+    }
+  });
+}
+
+function watchInstalling(reg) {
+  const worker = reg.installing;
+  if (!worker) return;
+  worker.addEventListener("statechange", () => {
+    // con controller => es una actualización (no la primera instalación)
+    if (worker.state === "installed" && navigator.serviceWorker.controller) {
+      notifyUpdate(worker);
+    }
+  });
+}
+
+/**
+ * Registra el service worker (solo en build de producción).
+ * Busca actualizaciones al volver a la pestaña y cada hora.
+ */
+export async function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  const base = import.meta.env.BASE_URL;
+  try {
+    const reg = await navigator.serviceWorker.register(`${base}sw.js`, { scope: base });
+
+    if (reg.waiting && navigator.serviceWorker.controller) notifyUpdate(reg.waiting);
+    reg.addEventListener("updatefound", () => watchInstalling(reg));
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (reloading) return;
+      reloading = true;
+      window.location.reload();
+    });
+
+    const check = () => reg.update().catch(() => {});
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") check();
+    });
+    setInterval(check, 60 * 60 * 1000);
+  } catch {
+    // sin SW la app sigue funcionando online
+  }
+}
+
+/** Activa la versión en espera; el controllerchange recarga la página. */
+export function applyUpdate() {
+  if (waitingWorker) waitingWorker.postMessage({ type: "SKIP_WAITING" });
+  else window.location.reload();
+}
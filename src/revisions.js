@@ -0,0 +1,74 @@
+import {
+  api,
+  getActiveProfileId,
+  isAbortError,
+  isEndpointMissing,
+  isEndpointUnsupported,
+  markEndpointUnsupported,
+} from "./api";
+import { idbAdd, idbGetAllByIndex, idbPut } from "./idb";
+import { tsMs } from "./dates";
+
+// -------------------- Historial de versiones de los registros --------------------
+// Cada edición guarda en local (IndexedDB) cómo estaba el registro antes del cambio.
+// Si la API tiene /records/:id/revisions se usa su historial (común a todos los
+// dispositivos); si no, este diario local.
+
+const STORE = "revisions";
+
+const ENDPOINT = "/records/:id/revisions";
+
+/** Apunta la versión `prev` de un registro justo después de sustituirla. */
+export async function journalRevision(prev) {
+  await idbAdd(STORE, {
+    profileId: getActiveProfileId(),
+    recordId: prev.id,
+    text: prev.text,
+    tsUtc: prev.tsUtc,
+    editedAtUtc: new Date().toISOString(),
+  });
+}
+
+/** Pasa el diario local de un registro a otro id (deshacer un borrado lo crea con otro). */
+export async function moveRevisions(fromId, toId) {
+  const entries = await idbGetAllByIndex(STORE, "byRecord", [getActiveProfileId(), fromId]);
+  await Promise.all(entries.map((entry) => idbPut(STORE, { ...entry, recordId: toId })));
+}
+
+function normalizeRevision(raw) {
+  return {
+    text: String(raw?.text ?? ""),
+    tsUtc: raw?.tsUtc || "",
+    editedAtUtc: raw?.editedAtUtc || raw?.savedAtUtc || raw?.createdAtUtc || "",
+  };
+}
+
+function newestFirst(list) {
+  return [...list].sort((a, b) => tsMs(b.editedAtUtc) - tsMs(a.editedAtUtc));
+}
+
+async function listLocal(recordId) {
+  const all = await idbGetAllByIndex(STORE, "byRecord", [getActiveProfileId(), recordId]);
+  return newestFirst(all.map(normalizeRevision));
+}
+
+/**
+ * Versiones anteriores de un registro, más recientes primero:
+ * { source: "server" | "local", revisions: [{ text, tsUtc, editedAtUtc }] }.
+ * `signal` cancela la consulta al servidor.
+ */
+export async function listRevisions(recordId, { signal } = {}) {
+  if (!isEndpointUnsupported(ENDPOINT)) {
+    try {
+      const resp = await api.listRecordRevisions(recordId, { signal });
+      if (Array.isArray(resp?.revisions)) {
+        return { source: "server", revisions: newestFirst(resp.revisions.map(normalizeRevision)) };
+      }
+      markEndpointUnsupported(ENDPOINT);
+    } catch (e) {
+      if (isEndpointMissing(e)) markEndpointUnsupported(ENDPOINT);
+      else if (e?.status === 401 || isAbortError(e)) throw e;
+    }
+  }
+  return { source: "local", revisions: await listLocal(recordId) };
+}
@@ -0,0 +1,107 @@
+// -------------------- Rutas (en el hash de la URL) --------------------
+// Van en el hash para que funcionen en GitHub Pages bajo /records-front/ sin
+// que el servidor sepa nada de ellas (un /records-front/records daría 404):
+//
+//   #/records?q=texto&day=YYYY-MM-DD   registros (búsqueda y día opcionales)
+//   #/records/<id>                     un registro
+//   #/calendar?q=…  #/stats?q=…        calendario / estadísticas (siguen la búsqueda)
+//   #/shortcuts                        accesos directos
+//   #/login?next=/records/<id>         login; tras entrar se vuelve a `next`
+//
+// Una ruta es { name, id?, q?, day?, next? }.
+
+export const HOME_ROUTE = { name: "records" };
+
+const LIST_SCREENS = ["records", "calendar", "stats"];
+
+let routeHandlers = [];
+
+/** Ruta de un hash ("#/records?q=x") o de un path ("/records?q=x"); lo desconocido va a registros. */
+export function parseRoute(hash) {
+  const raw = String(hash || "").replace(/^#/, "");
+  const qIndex = raw.indexOf("?");
+  const path = qIndex < 0 ? raw : raw.slice(0, qIndex);
+  const query = new URLSearchParams(qIndex < 0 ? "" : raw.slice(qIndex + 1));
+  const [name = "", id, ...rest] = path.split("/").filter(Boolean);
+
+  if (name === "records" && id && !rest.length) return { name: "record", id: decodeURIComponent(id) };
+  if (rest.length || id) return HOME_ROUTE;
+  if (LIST_SCREENS.includes(name)) {
+    const route = { name };
+    if (query.get("q")) route.q = query.get("q");
+    if (name === "records" && /^\d{4}-\d{2}-\d{2}$/.test(query.get("day") || "")) route.day = query.get("day");
+    return route;
+  }
+  if (name === "shortcuts") return { name };
+  if (name === "login") {
+    const next = query.get("next") || "";
+    // solo rutas internas: nada de "next=https://…"
+    return next.startsWith("/") && !next.startsWith("//") ? { name, next } : { name };
+  }
+  return HOME_ROUTE;
+}
+
+/** Ruta de una pantalla; las de listas de registros conservan la búsqueda `q`. */
+export function screenRoute(name, { q = "" } = {}) {
+  return LIST_SCREENS.includes(name) && q ? { name, q } : { name };
+}
+
+/** Path de la ruta sin "#": "/records?q=x". */
+export function routePath(route) {
+  if (route.name === "record") return `/records/${encodeURIComponent(route.id)}`;
+  const params = new URLSearchParams();
+  if (route.q) params.set("q", route.q);
+  if (route.day) params.set("day", route.day);
+  if (route.next) params.set("next", route.next);
+  const qs = params.toString();
+  return `/${route.name}${qs ? `?${qs}` : ""}`;
+}
+
+export function formatRoute(route) {
+  return `#${routePath(route)}`;
+}
+
+/** URL completa (con la base de la app) para compartir la ruta. */
+export function routeUrl(route) {
+  return `${window.location.origin}${window.location.pathname}${formatRoute(route)}`;
+}
+
+export function currentRoute() {
+  return parseRoute(window.location.hash);
+}
+
+function notifyRoute() {
+  const route = currentRoute();
+  routeHandlers.forEach((h) => {
+    try {
+      h(route);
+    } catch {
+      // no-op
+    }
+  });
+}
+
+/**
+ * Va a `route`. Con replace no deja entrada en el historial (p. ej. mientras
+ * se escribe la búsqueda o en redirecciones), así "atrás" no la repite.
+ */
+export function navigate(route, { replace = false } = {}) {
+  const hash = formatRoute(route);
+  if (hash === window.location.hash) return;
+  if (replace) window.history.replaceState(null, "", hash);
+  else window.history.pushState(null, "", hash);
+  notifyRoute();
+}
+
+/**
+ * Suscripción a los cambios de ruta (navigate, atrás/adelante o un hash
+ * escrito a mano). Devuelve una función para desuscribirse.
+ */
+export function onRouteChange(fn) {
+  routeHandlers.push(fn);
+  if (routeHandlers.length === 1) window.addEventListener("popstate", notifyRoute);
+  return () => {
+    routeHandlers = routeHandlers.filter((h) => h !== fn);
+    if (!routeHandlers.length) window.removeEventListener("popstate", notifyRoute);
+  };
+}
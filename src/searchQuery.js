@@ -0,0 +1,238 @@
+import { localDayKey } from "./dates";
+import { t } from "./i18n";
+
+// -------------------- Búsqueda de registros --------------------
+//
+//   palabra            contiene "palabra" (sin distinguir mayúsculas)
+//   "dos palabras"     frase exacta
+//   -palabra           excluye (también -"frase", -/regex/, -date:…)
+//   a OR b             alguno de los dos (OR une más que el "y" implícito:
+//                      `x a OR b` = x y (a o b))
+//   /regex/flags       expresión regular (por defecto sin distinguir mayúsculas)
+//   date:2026-10       día, mes o año local; rango con `date:2026-10..2026-11`
+//                      (cualquiera de los extremos puede faltar)
+//   before:2026-03-15  antes de ese día/mes/año; after: después
+
+/**
+ * Consulta mal escrita. Lleva la clave del catálogo y sus parámetros (`key`,
+ * `params`) para traducir el mensaje al pintarlo, no solo en el idioma de ahora.
+ */
+export class SearchQueryError extends Error {
+  constructor(key, params = {}) {
+    super(t(key, params));
+    this.name = "SearchQueryError";
+    this.key = key;
+    this.params = params;
+  }
+}
+
+export function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// -------------------- Fechas (día local "YYYY-MM-DD") --------------------
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/** "2026", "2026-10" o "2026-10-05" => primer o último día ("YYYY-MM-DD") de ese periodo. */
+function dayBound(value, edge) {
+  const m = String(value).match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!m) throw new SearchQueryError("search.error.badDate", { value });
+
+  const year = Number(m[1]);
+  if (m[2] === undefined) return edge === "start" ? `${year}-01-01` : `${year}-12-31`;
+
+  const month = Number(m[2]);
+  if (month < 1 || month > 12) throw new SearchQueryError("search.error.badMonth", { value });
+  const daysInMonth = new Date(year, month, 0).getDate();
+  if (m[3] === undefined) return `${year}-${pad2(month)}-${edge === "start" ? "01" : pad2(daysInMonth)}`;
+
+  const day = Number(m[3]);
+  if (day < 1 || day > daysInMonth) throw new SearchQueryError("search.error.badDay", { value });
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+function dateFilter(name, value) {
+  if (!value) throw new SearchQueryError("search.error.missingDate", { name });
+
+  if (name === "before") {
+    const limit = dayBound(value, "start");
+    return (day) => day < limit;
+  }
+  if (name === "after") {
+    const limit = dayBound(value, "end");
+    return (day) => day > limit;
+  }
+
+  const [from, to, ...rest] = value.split("..");
+  if (rest.length) throw new SearchQueryError("search.error.badRange", { value });
+  if (to === undefined) {
+    const start = dayBound(from, "start");
+    const end = dayBound(from, "end");
+    return (day) => day >= start && day <= end;
+  }
+  if (!from && !to) throw new SearchQueryError("search.error.emptyRange", { value });
+
+  const start = from ? dayBound(from, "start") : "";
+  const end = to ? dayBound(to, "end") : "";
+  if (start && end && start > end) throw new SearchQueryError("search.error.reversedRange", { value });
+  return (day) => (!start || day >= start) && (!end || day <= end);
+}
+
+// -------------------- Tokens --------------------
+
+function readRegex(input, i) {
+  // i apunta a la "/" inicial; las "\/" no cierran
+  let j = i + 1;
+  while (j < input.length && input[j] !== "/") j += input[j] === "\\" ? 2 : 1;
+  if (j >= input.length) throw new SearchQueryError("search.error.unclosedRegex");
+
+  const body = input.slice(i + 1, j);
+  const flagsMatch = input.slice(j + 1).match(/^[a-z]*/);
+  const flags = flagsMatch[0];
+  if (!body) throw new SearchQueryError("search.error.emptyRegex");
+  if (/[^imsu]/.test(flags)) throw new SearchQueryError("search.error.badFlags", { flags });
+
+  let re;
+  try {
+    re = new RegExp(body, flags || "i");
+  } catch (e) {
+    throw new SearchQueryError("search.invalidRegex", { message: e.message });
+  }
+  return { re, end: j + 1 + flags.length };
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    let negate = false;
+    if (input[i] === "-") {
+      negate = true;
+      i++;
+      if (i >= input.length || /\s/.test(input[i])) throw new SearchQueryError("search.error.emptyNegation");
+    }
+
+    if (input[i] === '"') {
+      const close = input.indexOf('"', i + 1);
+      if (close < 0) throw new SearchQueryError("search.error.unclosedQuote");
+      const value = input.slice(i + 1, close);
+      if (!value.trim()) throw new SearchQueryError("search.error.emptyPhrase");
+      tokens.push({ type: "text", value, negate });
+      i = close + 1;
+      continue;
+    }
+
+    if (input[i] === "/") {
+      const { re, end } = readRegex(input, i);
+      tokens.push({ type: "regex", re, negate });
+      i = end;
+      continue;
+    }
+
+    let j = i;
+    while (j < input.length && !/\s/.test(input[j])) j++;
+    const word = input.slice(i, j);
+    i = j;
+
+    const filter = word.match(/^(date|before|after):(.*)$/i);
+    if (word === "OR" && !negate) tokens.push({ type: "or" });
+    else if (filter) tokens.push({ type: "date", test: dateFilter(filter[1].toLowerCase(), filter[2]), negate });
+    else tokens.push({ type: "text", value: word, negate });
+  }
+
+  return tokens;
+}
+
+// -------------------- Consulta --------------------
+
+function termMatcher(token) {
+  let test;
+  if (token.type === "text") {
+    const needle = token.value.toLowerCase();
+    test = (r) => r.lowerText.includes(needle);
+  } else if (token.type === "regex") {
+    test = (r) => token.re.test(r.text);
+  } else {
+    test = (r) => token.test(r.dayKey);
+  }
+  return token.negate ? (r) => !test(r) : test;
+}
+
+function termHighlight(token) {
+  if (token.negate) return null;
+  if (token.type === "text") return new RegExp(escapeRegExp(token.value), "gi");
+  if (token.type === "regex") return new RegExp(token.re.source, `${token.re.flags}g`);
+  return null;
+}
+
+/**
+ * Interpreta la búsqueda. Devuelve { isEmpty, matches(record), highlights }:
+ * `highlights` son RegExp globales con lo que hay que resaltar (los términos
+ * excluidos y los filtros de fecha no se resaltan).
+ * Lanza un Error con un mensaje para el usuario si la búsqueda no es válida.
+ */
+export function parseSearchQuery(input) {
+  const tokens = tokenize(String(input ?? ""));
+
+  // "y" de grupos "o": [[a], [b, c]] = a y (b o c)
+  const groups = [];
+  let pendingOr = false;
+  for (const [i, token] of tokens.entries()) {
+    if (token.type === "or") {
+      if (i === 0 || pendingOr) throw new SearchQueryError("search.error.danglingOr");
+      pendingOr = true;
+      continue;
+    }
+    if (pendingOr) groups[groups.length - 1].push(token);
+    else groups.push([token]);
+    pendingOr = false;
+  }
+  if (pendingOr) throw new SearchQueryError("search.error.danglingOr");
+
+  const matchers = groups.map((g) => g.map(termMatcher));
+  const highlights = tokens.map(termHighlight).filter(Boolean);
+
+  return {
+    isEmpty: groups.length === 0,
+    highlights,
+    matches(record) {
+      if (!matchers.length) return true;
+      const text = String(record.text ?? "");
+      const r = { text, lowerText: text.toLowerCase(), dayKey: localDayKey(record.tsUtc) };
+      return matchers.every((group) => group.some((test) => test(r)));
+    },
+  };
+}
+
+/** Tramos [inicio, fin) del texto que casan con alguna de las RegExp, ordenados y sin solapes. */
+export function findHighlightRanges(text, patterns = []) {
+  const raw = String(text ?? "");
+  const ranges = [];
+  for (const re of patterns) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(raw))) {
+      if (!m[0]) {
+        re.lastIndex++; // coincidencia vacía: avanzar para no quedarse en bucle
+        continue;
+      }
+      ranges.push([m.index, m.index + m[0].length]);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
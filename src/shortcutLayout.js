@@ -0,0 +1,207 @@
+import { api, isEndpointMissing, isEndpointUnsupported, markEndpointUnsupported } from "./api";
+import { tsMs } from "./dates";
+
+// -------------------- Disposición de los shortcuts --------------------
+// { order: [id], pinned: [id], folders: [{ id, name }], folderOf: { [shortcutId]: folderId } }
+// Todos los ids van como texto (la API puede darlos numéricos): las funciones de
+// abajo convierten con `String()` lo que reciben antes de compararlo.
+// Se guarda en el servidor si la API tiene /shortcuts/layout (así todos los
+// dispositivos ven lo mismo) y siempre en local como copia / alternativa.
+
+export const PINNED_SECTION = "pinned";
+export const NO_FOLDER_SECTION = "";
+
+const LOCAL_KEY_PREFIX = "shortcutLayout:";
+
+const ENDPOINT = "/shortcuts/layout";
+
+export function emptyLayout() {
+  return { order: [], pinned: [], folders: [], folderOf: {} };
+}
+
+export function normalizeLayout(raw) {
+  const l = raw && typeof raw === "object" ? raw : {};
+  const ids = (list) => (Array.isArray(list) ? list.map(String) : []);
+  return {
+    order: ids(l.order),
+    pinned: ids(l.pinned),
+    folders: Array.isArray(l.folders)
+      ? l.folders.filter((f) => f && f.id && f.name).map((f) => ({ id: String(f.id), name: String(f.name) }))
+      : [],
+    folderOf:
+      l.folderOf && typeof l.folderOf === "object"
+        ? Object.fromEntries(Object.entries(l.folderOf).map(([id, folder]) => [id, String(folder)]))
+        : {},
+  };
+}
+
+function readLocal(profileId) {
+  try {
+    return normalizeLayout(JSON.parse(localStorage.getItem(LOCAL_KEY_PREFIX + profileId) || "null"));
+  } catch {
+    return emptyLayout();
+  }
+}
+
+function writeLocal(profileId, layout) {
+  localStorage.setItem(LOCAL_KEY_PREFIX + profileId, JSON.stringify(layout));
+}
+
+/** Disposición del servidor si la tiene; si no (o sin conexión), la copia local. */
+export async function loadShortcutLayout(profileId) {
+  if (!isEndpointUnsupported(ENDPOINT)) {
+    try {
+      const resp = await api.getShortcutLayout();
+      const layout = normalizeLayout(resp?.layout);
+      writeLocal(profileId, layout);
+      return layout;
+    } catch (e) {
+      if (isEndpointMissing(e)) markEndpointUnsupported(ENDPOINT);
+      else if (e?.status === 401) throw e;
+    }
+  }
+  return readLocal(profileId);
+}
+
+/** Guarda en local y, si la API lo admite, en el servidor. Devuelve "server" o "local". */
+export async function saveShortcutLayout(profileId, layout) {
+  writeLocal(profileId, layout);
+  if (isEndpointUnsupported(ENDPOINT)) return "local";
+  try {
+    await api.saveShortcutLayout(layout);
+    return "server";
+  } catch (e) {
+    if (!isEndpointMissing(e)) throw e;
+    markEndpointUnsupported(ENDPOINT);
+    return "local";
+  }
+}
+
+// -------------------- Orden y secciones --------------------
+
+/** Orden completo: el guardado (sin ids borrados) con los shortcuts nuevos delante, más nuevos primero. */
+function fullOrder(shortcuts, layout) {
+  const ids = new Set(shortcuts.map((s) => String(s.id)));
+  const known = layout.order.filter((id) => ids.has(id));
+  const knownSet = new Set(known);
+  const fresh = shortcuts
+    .filter((s) => !knownSet.has(String(s.id)))
+    .sort((a, b) => tsMs(b.tsUtc) - tsMs(a.tsUtc))
+    .map((s) => String(s.id));
+  return [...fresh, ...known];
+}
+
+export function sectionOf(layout, id) {
+  if (layout.pinned.includes(String(id))) return PINNED_SECTION;
+  const folder = layout.folderOf[id];
+  return layout.folders.some((f) => f.id === folder) ? folder : NO_FOLDER_SECTION;
+}
+
+/**
+ * Secciones para pintar: fijados, una por carpeta y "sin carpeta", cada una
+ * con sus shortcuts en orden: [{ id, name, items }]. El name de fijados y de
+ * "sin carpeta" es una clave del catálogo (i18n.js), no el texto.
+ */
+export function arrangeShortcuts(shortcuts, layout) {
+  const byId = new Map(shortcuts.map((s) => [String(s.id), s]));
+  const sections = [
+    { id: PINNED_SECTION, name: "shortcuts.section.pinned", items: [] },
+    ...layout.folders.map((f) => ({ id: f.id, name: f.name, items: [] })),
+    { id: NO_FOLDER_SECTION, name: layout.folders.length ? "shortcuts.folder.none" : "nav.shortcuts", items: [] },
+  ];
+  const bySection = new Map(sections.map((s) => [s.id, s]));
+  for (const id of fullOrder(shortcuts, layout)) bySection.get(sectionOf(layout, id)).items.push(byId.get(id));
+  return sections;
+}
+
+/**
+ * Mueve un shortcut a `section` (fijados, carpeta o sin carpeta), justo antes
+ * de `beforeId` o al final de la sección si no se indica. Devuelve la disposición nueva.
+ */
+export function moveShortcut(shortcuts, layout, shortcutId, { section, beforeId = null }) {
+  const id = String(shortcutId);
+  const order = fullOrder(shortcuts, layout).filter((x) => x !== id);
+  let index = beforeId !== null ? order.indexOf(String(beforeId)) : -1;
+  if (index < 0) {
+    // al final de la sección: tras su último elemento
+    const last = order.findLastIndex((x) => sectionOf(layout, x) === section);
+    index = last < 0 ? order.length : last + 1;
+  }
+  order.splice(index, 0, id);
+
+  const pinned = layout.pinned.filter((x) => x !== id);
+  const folderOf = { ...layout.folderOf };
+  if (section === PINNED_SECTION) pinned.push(id);
+  else if (section === NO_FOLDER_SECTION) delete folderOf[id];
+  else folderOf[id] = section;
+
+  return { ...layout, order, pinned, folderOf };
+}
+
+/** Sube (-1) o baja (+1) un puesto dentro de su sección. */
+export function shiftShortcut(shortcuts, layout, id, delta) {
+  const section = sectionOf(layout, id);
+  const items = arrangeShortcuts(shortcuts, layout).find((s) => s.id === section).items;
+  const i = items.findIndex((s) => String(s.id) === String(id));
+  const target = items[i + delta];
+  if (!target) return layout;
+  // bajar = ponerse delante del siguiente al de abajo
+  const beforeId = delta < 0 ? target.id : (items[i + 2]?.id ?? null);
+  return moveShortcut(shortcuts, layout, id, { section, beforeId });
+}
+
+export function togglePinned(shortcuts, layout, shortcutId) {
+  const id = String(shortcutId);
+  if (layout.pinned.includes(id)) {
+    const folder = layout.folderOf[id];
+    const back = layout.folders.some((f) => f.id === folder) ? folder : NO_FOLDER_SECTION;
+    return moveShortcut(shortcuts, { ...layout, pinned: layout.pinned.filter((x) => x !== id) }, id, {
+      section: back,
+    });
+  }
+  return { ...layout, pinned: [...layout.pinned, id], order: fullOrder(shortcuts, layout) };
+}
+
+/** Cambia la carpeta; si está fijado sigue en fijados (y volverá a esa carpeta al soltarlo). */
+export function setFolder(shortcuts, layout, shortcutId, folderId) {
+  const id = String(shortcutId);
+  if (layout.pinned.includes(id)) {
+    const folderOf = { ...layout.folderOf };
+    if (folderId) folderOf[id] = folderId;
+    else delete folderOf[id];
+    return { ...layout, folderOf };
+  }
+  return moveShortcut(shortcuts, layout, id, { section: folderId || NO_FOLDER_SECTION });
+}
+
+/**
+ * Pasa el sitio de un shortcut (orden, fijado y carpeta) a otro id: deshacer un
+ * borrado lo crea de nuevo con otro. Sin referencias al id viejo devuelve `layout`.
+ */
+export function replaceShortcutId(layout, fromId, toId) {
+  const from = String(fromId);
+  const to = String(toId);
+  if (!layout.order.includes(from) && !layout.pinned.includes(from) && !(from in layout.folderOf)) return layout;
+  const swap = (list) => list.map((x) => (x === from ? to : x));
+  const folderOf = { ...layout.folderOf };
+  if (from in folderOf) {
+    folderOf[to] = folderOf[from];
+    delete folderOf[from];
+  }
+  return { ...layout, order: swap(layout.order), pinned: swap(layout.pinned), folderOf };
+}
+
+export function addFolder(layout, name) {
+  const id = `f-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  return { ...layout, folders: [...layout.folders, { id, name }] };
+}
+
+export function renameFolder(layout, folderId, name) {
+  return { ...layout, folders: layout.folders.map((f) => (f.id === folderId ? { ...f, name } : f)) };
+}
+
+/** Borra la carpeta; sus shortcuts pasan a "sin carpeta". */
+export function removeFolder(layout, folderId) {
+  const folderOf = Object.fromEntries(Object.entries(layout.folderOf).filter(([, f]) => f !== folderId));
+  return { ...layout, folders: layout.folders.filter((f) => f.id !== folderId), folderOf };
+}
@@ -0,0 +1,180 @@
+import { dayKeyOfDate, localDayKey, tsMs } from "./dates";
+import { formatNumber } from "./i18n";
+
+// -------------------- Estadísticas (en local, con lo ya cargado) --------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Clave para agrupar un mismo texto: sin espacios sobrantes ni mayúsculas. */
+export function textKey(text) {
+  return String(text ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+}
+
+/** Lunes (00:00 local) de la semana de `date`. */
+export function startOfWeek(date) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function addDays(date, n) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+}
+
+/**
+ * Rachas de días seguidos con algún registro: { current, longest }.
+ * La actual cuenta hasta hoy, o hasta ayer si hoy aún no hay nada.
+ */
+export function dayStreaks(dayKeys, now = new Date()) {
+  const days = Array.from(new Set(dayKeys)).sort();
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const key of days) {
+    const [y, m, d] = key.split("-").map(Number);
+    const date = new Date(y, m - 1, d);
+    run = prev && dayKeyOfDate(addDays(prev, 1)) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = date;
+  }
+
+  const set = new Set(days);
+  let cursor = set.has(dayKeyOfDate(now)) ? now : addDays(now, -1);
+  let current = 0;
+  while (set.has(dayKeyOfDate(cursor))) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+  return { current, longest };
+}
+
+/** Intensidad de color para mapas de calor: 0 (nada) .. 4 (el máximo del periodo). */
+export function heatLevel(count, max) {
+  if (!count || !max) return 0;
+  return Math.min(4, Math.ceil((count / max) * 4));
+}
+
+/** Matriz 7×24 (lunes..domingo × hora local) con el número de registros. */
+export function weekdayHourMatrix(records) {
+  const matrix = Array.from({ length: 7 }, () => Array(24).fill(0));
+  for (const r of records) {
+    const d = new Date(r.tsUtc);
+    if (Number.isNaN(d.getTime())) continue;
+    matrix[(d.getDay() + 6) % 7][d.getHours()] += 1;
+  }
+  return matrix;
+}
+
+/** Registros por semana (de lunes a domingo) de las últimas `weeks` semanas; la última es la actual. */
+export function weeklyCounts(records, weeks, now = new Date()) {
+  const counts = Array(weeks).fill(0);
+  const firstWeek = addDays(startOfWeek(now), -7 * (weeks - 1)).getTime();
+  for (const r of records) {
+    const t = tsMs(r.tsUtc);
+    if (t < firstWeek) continue;
+    // con cambios de hora una semana no mide siempre 7×24h: se redondea
+    const index = Math.floor(Math.round((startOfWeek(new Date(t)).getTime() - firstWeek) / DAY_MS) / 7);
+    if (index >= 0 && index < weeks) counts[index] += 1;
+  }
+  return counts;
+}
+
+/** Media entre apariciones consecutivas (ms), o null si hay menos de dos. */
+export function averageGapMs(records) {
+  const times = records.map((r) => tsMs(r.tsUtc)).sort((a, b) => a - b);
+  if (times.length < 2) return null;
+  return (times[times.length - 1] - times[0]) / (times.length - 1);
+}
+
+/**
+ * Resumen por texto: { text, count, weekly, streaks, avgGapMs, lastTsUtc }.
+ * `texts` son los textos a seguir (p.ej. los de los accesos directos): cadenas,
+ * o { text, matches(recordText) } para los que no se repiten literalmente
+ * (plantillas con huecos). Si no se pasan, los `limit` más frecuentes.
+ */
+export function textStats(records, { texts, limit = 10, weeks = 12, now = new Date() } = {}) {
+  const byKey = new Map();
+  for (const r of records) {
+    const key = textKey(r.text);
+    if (!key) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(r);
+  }
+
+  const wanted = texts
+    ? Array.from(
+        new Map(
+          texts.map((it) => {
+            const text = String(typeof it === "string" ? it : it.text).trim();
+            const matches = typeof it === "string" ? null : it.matches;
+            return [textKey(text), { text, list: matches ? records.filter((r) => matches(r.text)) : null }];
+          })
+        ).entries()
+      )
+    : Array.from(byKey.entries())
+        .sort((a, b) => b[1].length - a[1].length)
+        .slice(0, limit)
+        .map(([key, list]) => [key, { text: String(list[0].text).trim(), list }]);
+
+  return wanted
+    .map(([key, { text, list: matched }]) => {
+      const list = matched || byKey.get(key) || [];
+      const last = list.reduce((acc, r) => (tsMs(r.tsUtc) > tsMs(acc?.tsUtc) ? r : acc), null);
+      return {
+        text,
+        count: list.length,
+        weekly: weeklyCounts(list, weeks, now),
+        streaks: dayStreaks(
+          list.map((r) => localDayKey(r.tsUtc)),
+          now
+        ),
+        avgGapMs: averageGapMs(list),
+        lastTsUtc: last?.tsUtc || "",
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+}
+
+/** Esta semana frente a la anterior (lunes a domingo): { thisWeek, lastWeek, byText }. */
+export function weekComparison(records, now = new Date()) {
+  const thisStart = startOfWeek(now).getTime();
+  const lastStart = addDays(startOfWeek(now), -7).getTime();
+  const nextStart = addDays(startOfWeek(now), 7).getTime();
+
+  let thisWeek = 0;
+  let lastWeek = 0;
+  const byKey = new Map();
+  for (const r of records) {
+    const t = tsMs(r.tsUtc);
+    const slot = t >= thisStart && t < nextStart ? "thisWeek" : t >= lastStart && t < thisStart ? "lastWeek" : "";
+    if (!slot) continue;
+    if (slot === "thisWeek") thisWeek += 1;
+    else lastWeek += 1;
+
+    const key = textKey(r.text);
+    if (!byKey.has(key)) byKey.set(key, { text: String(r.text).trim(), thisWeek: 0, lastWeek: 0 });
+    byKey.get(key)[slot] += 1;
+  }
+
+  const byText = Array.from(byKey.values()).sort(
+    (a, b) => Math.abs(b.thisWeek - b.lastWeek) - Math.abs(a.thisWeek - a.lastWeek) || b.thisWeek - a.thisWeek
+  );
+  return { thisWeek, lastWeek, byText };
+}
+
+function formatUnit(value, unit) {
+  return formatNumber(value, { style: "unit", unit, unitDisplay: "short" });
+}
+
+/** "3 d 4 h", "5 h 10 min", "12 min" (unidades en el idioma actual: "3 days 4 hr" en inglés). */
+export function formatDuration(ms) {
+  if (ms == null) return "—";
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return formatUnit(minutes, "minute");
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${formatUnit(hours, "hour")} ${formatUnit(minutes % 60, "minute")}`;
+  return `${formatUnit(Math.floor(hours / 24), "day")} ${formatUnit(hours % 24, "hour")}`;
+}
@@ -0,0 +1,88 @@
+// Service worker de la app (shell offline).
+// No se importa desde la app: vite.config.js lo emite como /sw.js en el build,
+// sustituyendo BUILD_ID y la lista de ficheros a precachear.
+
+const BUILD_ID = self.__BUILD_ID__ || "dev";
+const PRECACHE = self.__PRECACHE__ || [];
+
+const CACHE = `records-front-${BUILD_ID}`;
+const SCOPE = self.registration.scope; // p.ej. https://x.github.io/records-front/
+const INDEX_URL = new URL("./", SCOPE).href;
+
+// -------------------- Install / activate --------------------
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then((cache) =>
+      cache.addAll([INDEX_URL, ...PRECACHE.map((p) => new URL(p, SCOPE).href)])
+    )
+  );
+  // no hacemos skipWaiting aquí: la app pregunta al usuario antes de recargar
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(
+        keys.filter((k) => k.startsWith("records-front-") && k !== CACHE).map((k) => caches.delete(k))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// -------------------- Fetch --------------------
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+
+  const url = new URL(req.url);
+  // solo el propio origen y bajo el scope; la API va siempre a red
+  if (!req.url.startsWith(SCOPE)) return;
+
+  // Navegación => red primero (para ver despliegues nuevos), shell cacheado si no hay red
+  if (req.mode === "navigate") {
+    event.respondWith(
+      (async () => {
+        try {
+          const res = await fetch(req);
+          if (res.ok) {
+            const cache = await caches.open(CACHE);
+            cache.put(INDEX_URL, res.clone());
+          }
+          return res;
+        } catch {
+          const cached = await caches.match(INDEX_URL);
+          return cached || Response.error();
+        }
+      })()
+    );
+    return;
+  }
+
+  // Assets con hash => caché primero; el resto (manifest, iconos) => red con fallback
+  const immutable = url.pathname.includes("/assets/");
+  event.respondWith(
+    (async () => {
+      const cache = await caches.open(CACHE);
+      if (immutable) {
+        const cached = await cache.match(req);
+        if (cached) return cached;
+      }
+      try {
+        const res = await fetch(req);
+        if (res.ok) cache.put(req, res.clone());
+        return res;
+      } catch {
+        const cached = await cache.match(req);
+        return cached || Response.error();
+      }
+    })()
+  );
+});
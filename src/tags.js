@@ -0,0 +1,63 @@
+// -------------------- Hashtags (#trabajo, #salud…) --------------------
+
+// "#" al principio o tras algo que no sea letra/número (así "a#b" o "&#39;" no cuentan)
+const TAG_RE = /(^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+
+export function normalizeTag(tag) {
+  return String(tag || "")
+    .replace(/^#/, "")
+    .trim()
+    .toLowerCase();
+}
+
+/** Tags del texto, normalizados (minúsculas, sin "#") y sin repetir, en orden de aparición. */
+export function extractTags(text) {
+  const out = [];
+  for (const m of String(text ?? "").matchAll(TAG_RE)) {
+    const tag = normalizeTag(m[2]);
+    if (!out.includes(tag)) out.push(tag);
+  }
+  return out;
+}
+
+/**
+ * Trocea el texto en segmentos { text, tag, start } (tag solo en los "#tag")
+ * para pintarlos distinto sin perder el resto.
+ */
+export function splitTags(text) {
+  const raw = String(text ?? "");
+  const out = [];
+  let last = 0;
+  for (const m of raw.matchAll(TAG_RE)) {
+    const start = m.index + m[1].length;
+    if (start > last) out.push({ text: raw.slice(last, start), tag: "", start: last });
+    const end = start + 1 + m[2].length;
+    out.push({ text: raw.slice(start, end), tag: normalizeTag(m[2]), start });
+    last = end;
+  }
+  if (last < raw.length) out.push({ text: raw.slice(last), tag: "", start: last });
+  return out;
+}
+
+/** [{ tag, count }] de más a menos usado (empates por orden alfabético). */
+export function countTags(items) {
+  const counts = new Map();
+  for (const it of items) {
+    for (const tag of extractTags(it.text)) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag)
+  );
+}
+
+/** ¿El texto tiene los tags pedidos? mode "and" = todos, "or" = alguno. Sin tags pedidos, siempre. */
+export function matchesTags(text, selected, mode = "or") {
+  if (!selected.length) return true;
+  const tags = extractTags(text);
+  return mode === "and" ? selected.every((t) => tags.includes(t)) : selected.some((t) => tags.includes(t));
+}
+
+/** "#a OR #b" / "#a AND #b", para describir el filtro (exportación, resúmenes). */
+export function describeTagFilter(selected, mode = "or") {
+  return selected.map((t) => `#${t}`).join(mode === "and" ? " AND " : " OR ");
+}
@@ -0,0 +1,156 @@
+import { getActiveProfileId } from "./api";
+import { dayKeyOfDate, weekdayName } from "./dates";
+import { t } from "./i18n";
+import { escapeRegExp } from "./searchQuery";
+
+// -------------------- Plantillas de accesos directos --------------------
+//
+//   {{time}}      hora local HH:mm
+//   {{date}}      fecha local YYYY-MM-DD
+//   {{weekday}}   día de la semana en el idioma de la interfaz ("lunes")
+//   {{counter}}   cuántas veces se ha usado este acceso directo (1, 2, 3…)
+//   {{prompt:Peso|number}}         pregunta un número
+//   {{prompt:Nota}}                pregunta texto libre
+//   {{prompt:Ánimo|bien,regular,mal}}  elegir de una lista
+//
+// El mismo prompt repetido (misma etiqueta) se pregunta una sola vez.
+
+const VARIABLES = ["time", "date", "weekday", "counter"];
+
+function parsePrompt(arg, raw) {
+  const [labelRaw, spec = "", ...rest] = arg.split("|");
+  const label = labelRaw.trim();
+  if (!label) throw new Error(t("template.error.noLabel", { raw }));
+  if (rest.length) throw new Error(t("template.error.tooManyPipes", { raw }));
+
+  const kind = spec.trim().toLowerCase();
+  if (!kind || kind === "text") return { type: "prompt", label, kind: "text", options: [] };
+  if (kind === "number") return { type: "prompt", label, kind: "number", options: [] };
+
+  const options = spec
+    .split(",")
+    .map((o) => o.trim())
+    .filter(Boolean);
+  if (options.length < 2) throw new Error(t("template.error.fewOptions", { raw }));
+  return { type: "prompt", label, kind: "choice", options };
+}
+
+/**
+ * Trocea la plantilla en partes { type: "text", value } / { type: "var", name } /
+ * { type: "prompt", label, kind, options }.
+ * Lanza un Error con un mensaje para el usuario si la sintaxis no es válida.
+ */
+export function parseTemplate(template) {
+  const src = String(template ?? "");
+  const parts = [];
+  let pos = 0;
+
+  while (pos < src.length) {
+    const open = src.indexOf("{{", pos);
+    if (open < 0) break;
+    const close = src.indexOf("}}", open + 2);
+    if (close < 0) throw new Error(t("template.error.unclosed"));
+
+    if (open > pos) parts.push({ type: "text", value: src.slice(pos, open) });
+    const raw = src.slice(open, close + 2);
+    const inner = src.slice(open + 2, close).trim();
+    const [name, ...argParts] = inner.split(":");
+    const key = name.trim().toLowerCase();
+
+    if (key === "prompt") parts.push(parsePrompt(argParts.join(":"), raw));
+    else if (VARIABLES.includes(key) && !argParts.length) parts.push({ type: "var", name: key });
+    else throw new Error(t("template.error.unknown", { raw, valid: `{{${VARIABLES.join("}}, {{")}}}, {{prompt:…}}` }));
+
+    pos = close + 2;
+  }
+  if (pos < src.length) parts.push({ type: "text", value: src.slice(pos) });
+  return parts;
+}
+
+/** Mensaje de error de la plantilla, o "" si es válida. */
+export function validateTemplate(template) {
+  try {
+    parseTemplate(template);
+    return "";
+  } catch (e) {
+    return e.message;
+  }
+}
+
+export function hasPlaceholders(template) {
+  return /\{\{.*?\}\}/s.test(String(template ?? ""));
+}
+
+/**
+ * Función que dice si un texto pudo salir de la plantilla: las partes fijas tal
+ * cual (sin distinguir mayúsculas ni espacios de más) y cada hueco con cualquier
+ * cosa. null si la plantilla no es válida.
+ */
+export function templateMatcher(template) {
+  let parts;
+  try {
+    parts = parseTemplate(String(template ?? "").trim());
+  } catch {
+    return null;
+  }
+  const source = parts
+    .map((p) => (p.type === "text" ? escapeRegExp(p.value).replace(/\s+/g, "\\s+") : ".+?"))
+    .join("");
+  const re = new RegExp(`^${source}$`, "iu");
+  return (text) => re.test(String(text ?? "").trim());
+}
+
+/** Prompts distintos (por etiqueta) en orden de aparición. */
+export function templatePrompts(parts) {
+  const seen = new Map();
+  for (const p of parts) if (p.type === "prompt" && !seen.has(p.label)) seen.set(p.label, p);
+  return Array.from(seen.values());
+}
+
+/**
+ * Texto final. `answers` son las respuestas por etiqueta; los prompts sin
+ * respuesta se muestran como "[Etiqueta]" (útil para la vista previa).
+ */
+export function renderTemplate(parts, { now = new Date(), counter = 1, answers = {} } = {}) {
+  return parts
+    .map((p) => {
+      if (p.type === "text") return p.value;
+      if (p.type === "prompt") return answers[p.label] ?? `[${p.label}]`;
+      if (p.name === "time") {
+        return `${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")}`;
+      }
+      if (p.name === "date") return dayKeyOfDate(now);
+      if (p.name === "weekday") return weekdayName(now);
+      return String(counter);
+    })
+    .join("");
+}
+
+// -------------------- Contador por acceso directo --------------------
+
+const COUNTERS_KEY = "shortcutCounters";
+
+function readCounters() {
+  try {
+    return JSON.parse(localStorage.getItem(COUNTERS_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+function counterKey(shortcutId) {
+  return `${getActiveProfileId()}:${shortcutId}`;
+}
+
+/** Valor que tocaría ahora a {{counter}} (empieza en 1). */
+export function peekCounter(shortcutId) {
+  return (readCounters()[counterKey(shortcutId)] || 0) + 1;
+}
+
+/** Apunta un uso más (tras crear el registro). */
+export function bumpCounter(shortcutId) {
+  const counters = readCounters();
+  const key = counterKey(shortcutId);
+  counters[key] = (counters[key] || 0) + 1;
+  localStorage.setItem(COUNTERS_KEY, JSON.stringify(counters));
+}
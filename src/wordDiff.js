@@ -0,0 +1,59 @@
+// -------------------- Diff por palabras --------------------
+
+// por encima de esto (palabras × palabras) no se calcula el diff fino
+const MAX_CELLS = 1_000_000;
+
+function tokenize(text) {
+  return String(text ?? "").match(/\s+|[^\s]+/g) || [];
+}
+
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) last.text += text;
+  else parts.push({ type, text });
+}
+
+/**
+ * Diferencias palabra a palabra de `before` a `after` (subsecuencia común más larga):
+ * [{ type: "same" | "del" | "add", text }].
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const parts = [];
+
+  if (a.length * b.length > MAX_CELLS) {
+    if (a.length) pushPart(parts, "del", a.join(""));
+    if (b.length) pushPart(parts, "add", b.join(""));
+    return parts;
+  }
+
+  // lcs[i][j] = longitud común de a[i..] y b[j..], en una sola tabla plana
+  const cols = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] =
+        a[i] === b[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushPart(parts, "same", a[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      pushPart(parts, "del", a[i++]);
+    } else {
+      pushPart(parts, "add", b[j++]);
+    }
+  }
+  while (i < a.length) pushPart(parts, "del", a[i++]);
+  while (j < b.length) pushPart(parts, "add", b[j++]);
+  return parts;
+}
@@ -1,7 +1,27 @@
+import { readFileSync } from "node:fs";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
+// Emite src/sw.js como /sw.js con la lista de ficheros del build para precachear
+function serviceWorker() {
+  return {
+    name: "records-front-sw",
+    apply: "build",
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle).filter((f) => !f.endsWith(".map") && f !== "index.html");
+      const publicFiles = ["manifest.webmanifest", "favicon.png", "icon-192.png", "icon-512.png"];
+      const buildId = Date.now().toString(36);
+
+      const source = readFileSync(new URL("./src/sw.js", import.meta.url), "utf8")
+        .replace("self.__BUILD_ID__", JSON.stringify(buildId))
+        .replace("self.__PRECACHE__", JSON.stringify([...files, ...publicFiles]));
+
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: "/records-front/",
 });